@@ -0,0 +1,74 @@
+'use strict';
+
+const runtime = require('./runtime');
+
+// Attribute carrying the runtime config when the script is loaded from a hosted file instead of inlined.
+const RUNTIME_CONFIG_ATTRIBUTE = 'data-bildit-config';
+
+function serializeConfig(config) {
+  // `<` is escaped so the payload can never close the surrounding <script> element.
+  return JSON.stringify(config).replace(/</g, '\\u003c');
+}
+
+function composeModules(names) {
+  return `{${names.map(name => `${name}:${runtime.modules[name]}`).join(',')}}`;
+}
+
+function wrapRuntime(source, config, moduleNames, label) {
+  return `(function(){try{(${source})(${serializeConfig(config)},${composeModules(moduleNames)});}catch(error){try{console.error(${JSON.stringify(label)},error);}catch(_){}}})();`;
+}
+
+/**
+ * Feature flags for the pixel runtime: a module is only shipped when its config is present.
+ */
+function getPixelRuntimeModules(config) {
+  const names = ['transport'];
+  if (config.consent) names.push('consent');
+  if (config.privacy) names.push('privacy');
+  if (config.pageviews) names.push('pageviews');
+  if (config.engagement) names.push('engagement');
+  if (config.agentDetection) names.push('agentDetection');
+  if (config.aiReferrer) names.push('aiReferrer', 'classifyAIReferrer');
+  if (config.identity) names.push('identity');
+  if (config.pageContext) names.push('pageContext');
+  if (config.logger) names.push('logger');
+  if (config.destinations) names.push('destinations');
+  return names;
+}
+
+function getMouseDetectionRuntimeModules(config) {
+  const names = ['transport'];
+  if (config.consent) names.push('consent');
+  if (config.privacy) names.push('privacy');
+  if (config.identity) names.push('identity');
+  if (config.logger) names.push('logger');
+  if (config.destinations) names.push('destinations');
+  return names;
+}
+
+function buildPixelRuntimeScript(config) {
+  return wrapRuntime(
+    runtime.pixel,
+    config,
+    getPixelRuntimeModules(config),
+    'BILDITAIPixel inline script error:'
+  );
+}
+
+function buildMouseDetectionRuntimeScript(config) {
+  return wrapRuntime(
+    runtime.mouseDetection,
+    config,
+    getMouseDetectionRuntimeModules(config),
+    'BILDIT mouse script error'
+  );
+}
+
+module.exports = {
+  RUNTIME_CONFIG_ATTRIBUTE,
+  serializeConfig,
+  buildPixelRuntimeScript,
+  buildMouseDetectionRuntimeScript,
+  getPixelRuntimeModules,
+  getMouseDetectionRuntimeModules,
+};
@@ -0,0 +1,9 @@
+/**
+ * BILDIT AI Pixel runtime for strict Content-Security-Policy pages.
+ *
+ * Host this file on your own origin and point the `scriptSrc` prop of BILDITAIPixel or
+ * NextBILDITAIPixel at it; the component passes its config through `data-bildit-config`.
+ *
+ * Generated by scripts/build-client.js from client/src. Do not edit by hand.
+ */
+!function(e,t){var n=document.currentScript,r=n&&n.getAttribute("data-bildit-config");if(r){var o;try{o=JSON.parse(r)}catch(e){try{console.error("BILDITAIPixel config error:",e)}catch(e){}return}for(var a={transport:t.transport},i=["consent","privacy","pageviews","engagement","agentDetection","aiReferrer","identity","pageContext","logger","destinations"],c=0;c<i.length;c++)o[i[c]]&&(a[i[c]]=t[i[c]]);o.aiReferrer&&(a.classifyAIReferrer=t.classifyAIReferrer);try{!function(e,t){var n=e.params||{},r=e.pixelUrl,o="undefined"!=typeof navigator&&navigator.userAgent?navigator.userAgent:"unknown";try{"undefined"!=typeof location&&location.origin&&n&&null==n.site&&(n.site=location.origin)}catch(e){}var a=t.consent?t.consent(e.consent):{run:function(e){e()},onDenied:function(){}},i=t.privacy?t.privacy(e.privacy):{filter:function(e){return e}},c=t.transport(r,e.transport);a.run(c.drain),a.onDenied(c.discard);var u=t.logger&&e.logger?t.logger({level:e.logger.level,redact:e.logger.redact,prefix:"[BILDIT Pixel]",logger:window.BILDIT_LOGGER}):null,s=t.destinations&&e.destinations?t.destinations(e.destinations):null,l=t.identity&&e.identity?t.identity(e.identity):null;if(t.aiReferrer&&e.aiReferrer){var d=t.aiReferrer(e.aiReferrer,t.classifyAIReferrer),f=d.params();for(var p in f)null==n[p]&&(n[p]=f[p]);a.run(d.persist)}function g(e,t){u&&u.debug(e,t)}function v(e){var t=function(e){var t={};for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&null!=n[r]&&(t[r]=String(n[r]));if(e)for(var o in e)Object.prototype.hasOwnProperty.call(e,o)&&null!=e[o]&&(t[o]=String(e[o]));return t}(e);return l&&l.stamp(t),s&&s.forward(t),function(e){var t=new URLSearchParams;for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&t.append(n,e[n]);return t.toString()}(t)}function h(e,t){var n=e.event;if(!(e=i.filter(e)))return g("Beacon suppressed",{event:n});a.run(function(){c.send(v(e),t&&t.method),g("Beacon sent",{event:e.event,mode:e.mode})})}function m(){try{return location.pathname+location.search}catch(e){return""}}function y(e){if(O)return O.redactPath(e);var t=e.indexOf("?");if(-1===t)return e;var n=new URLSearchParams;new URLSearchParams(e.slice(t)).forEach(function(e,t){n.append(t,"redacted")});var r=n.toString();return e.slice(0,t)+(r?"?"+r:"")}var w=m();function b(e,t){var n=t||m();if(n&&n!==w){var r=w;w=n;var a={mode:"script",event:"pageview",path:y(n),prev_path:y(r),nav:e,ua:o,ts:Date.now()};O&&O.annotate(a),h(a,{method:"fetch"})}}var S={ua:o,sendEvent:h,trackPageview:b};h({mode:"script",event:"bootstrap",ua:o,ts:Date.now()},{method:"fetch"});var x=t.agentDetection?t.agentDetection(S):null,O=t.pageContext&&e.pageContext?t.pageContext(e.pageContext):null;function I(){var t={mode:"js-img",event:"render",ts:Date.now(),r:Math.random().toString(36).slice(2),ua:o};x&&x.annotate(t),O&&O.annotate(t),function(t){var n=t.event;if(!(t=i.filter(t)))return g("Beacon suppressed",{event:n});a.run(function(){!function(t){var n=new Image(1,1);n.alt=e.alt||"",n.decoding="async",n.loading="lazy",n.referrerPolicy="no-referrer-when-downgrade",n.style.position="absolute",n.style.width="1px",n.style.height="1px",n.style.border="0",n.style.clip="rect(0, 0, 0, 0)",n.style.overflow="hidden",n.width=1,n.height=1;var o=v(t);n.src=r+(-1===r.indexOf("?")?"?":"&")+o;var a=document.body||document.documentElement;a&&a.appendChild(n)}(t),g("Pixel rendered",{event:t.event,mode:t.mode})})}(t)}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",I,{once:!0}):I();var D=!1;function _(e){if(e&&"string"==typeof e[0])if("track"===e[0])!function(e,t){if(e){var n={};if(t&&"object"==typeof t)for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(n[r]=t[r]);n.mode="script",n.event=String(e),n.ua=o,n.ts=Date.now(),h(n,{method:"fetch"})}}(e[1],e[2]);else if("pageview"===e[0]){var t=e[1]||{};b(t.nav||"manual",t.path)}else if("set"===e[0]&&e[1]&&"object"==typeof e[1])for(var r in e[1])Object.prototype.hasOwnProperty.call(e[1],r)&&(n[r]=e[1][r])}document.addEventListener("mousemove",function e(){D||(D=!0,h({mode:"script",event:"mouse",mouse:"1",ua:o,ts:Date.now()},{method:"fetch"}),document.removeEventListener("mousemove",e,!0))},{once:!0,capture:!0,passive:!0}),t.engagement&&t.engagement(S,e.engagement);var k=window.bilditPixel;if(!k||!k.loaded){if(window.bilditPixel={loaded:!0,push:function(){for(var e=0;e<arguments.length;e++)_(arguments[e])},track:function(e,t){_(["track",e,t])},set:function(e){_(["set",e])}},k&&"number"==typeof k.length)for(var E=0;E<k.length;E++)_(k[E]);t.pageviews&&t.pageviews(S,e.pageviews)}}(o,a)}catch(e){try{console.error("BILDITAIPixel script error:",e)}catch(e){}}}}(0,{consent:function(e){if(!e)return{run:function(e){e()},onDenied:function(){}};var t="undefined"!=typeof window?window:{},n=e.purposes||[],r=t.BILDIT_CONSENT;if(!r||"function"!=typeof r.subscribe){var o=r,a=[];r={state:e.state||"pending",purposes:{},update:function(e){if(null!=e){if("string"==typeof e)r.state=e;else if("object"==typeof e&&(e.state&&(r.state=e.state),e.purposes))for(var t in e.purposes)Object.prototype.hasOwnProperty.call(e.purposes,t)&&(r.purposes[t]=!!e.purposes[t]);for(var n=0;n<a.length;n++)try{a[n](r)}catch(e){}}},subscribe:function(e){a.push(e)}},null!=o&&r.update(o);try{t.BILDIT_CONSENT=r}catch(e){}}function i(){if("denied"===r.state)return"denied";for(var e=!1,t=0;t<n.length;t++){var o=r.purposes[n[t]];if(!1===o)return"denied";!0!==o&&(e=!0)}return"granted"===r.state||n.length&&!e?"granted":"pending"}var c=[],u=[];if(r.subscribe(function(){var e=i();if("granted"===e){var t=c;c=[];for(var n=0;n<t.length;n++)try{t[n]()}catch(e){}}else if("denied"===e){c=[];for(var r=0;r<u.length;r++)try{u[r]()}catch(e){}}}),!1!==e.tcf&&"function"==typeof t.__tcfapi)try{t.__tcfapi("addEventListener",2,function(t,n){if(n&&t&&("tcloaded"===t.eventStatus||"useractioncomplete"===t.eventStatus))if(!1!==t.gdprApplies){for(var o=t.purpose&&t.purpose.consents||{},a=e.tcfPurposes||[1],i=0;i<a.length;i++)if(!o[a[i]])return void r.update("denied");r.update("granted")}else r.update("granted")})}catch(e){}var s=t.dataLayer;if(!1!==e.googleConsentMode&&s&&"function"==typeof s.push){for(var l=e.googleConsentKey||"analytics_storage",d=function(e){if(e&&"consent"===e[0]&&e[2]&&("default"===e[1]||"update"===e[1])){var t=e[2][l];"granted"!==t&&"denied"!==t||r.update(t)}},f=0;f<s.length;f++)d(s[f]);var p=s.push;s.push=function(){for(var e=p.apply(s,arguments),t=0;t<arguments.length;t++)d(arguments[t]);return e}}return{run:function(e){var t=i();if("granted"===t)return e();"pending"===t&&c.push(e)},onDenied:function(e){u.push(e),"denied"===i()&&e()}}},privacy:function(e){if(!e)return{filter:function(e){return e}};var t=["ua","x","y","sx","sy","vw","vh","data"],n="undefined"!=typeof navigator?navigator:{},r="undefined"!=typeof window?window:{},o=null;if(e.respectGPC&&!0===n.globalPrivacyControl)o="gpc";else if(e.respectDNT){var a=n.doNotTrack||r.doNotTrack||n.msDoNotTrack;"1"!==a&&"yes"!==a&&1!==a||(o="dnt")}var i=o?"suppress"===e.action?"suppressed":"downgraded":"allowed",c=!1;return{decision:i,filter:function(e){if("suppressed"===i)return c?null:(c=!0,{mode:e&&e.mode,event:"suppressed",privacy:i,privacy_signal:o});var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&("downgraded"===i&&-1!==t.indexOf(r)||(n[r]=e[r]));return n.privacy=i,o&&(n.privacy_signal=o),n}}},transport:function(e,t){var n=t||{},r=n.method||"auto",o="undefined"!=typeof navigator?navigator:{},a=!1,i=[],c=null,u="held";function s(t){return e+(-1===e.indexOf("?")?"?":"&")+t}function l(e,t){try{return"function"==typeof o.sendBeacon&&!0===o.sendBeacon(e,t)}catch(e){return!1}}function d(e,t,n){if("function"!=typeof fetch)return n(!1);try{fetch(e,t).then(function(){n(!0)},function(){n(!1)})}catch(e){n(!1)}}function f(e,t,n){if(e.length>1){var o=e.join("\n"),i=s("batch="+e.length);if(l(i,o))return n(!0);if("function"==typeof fetch)return d(i,{method:"POST",mode:"no-cors",credentials:"omit",keepalive:!0,body:o,headers:{"Content-Type":"text/plain"}},n);for(var c=0;c<e.length;c++)f([e[c]],t,function(){});return n(!0)}var u=s(e[0]),p="auto"===r?a?"beacon":t||"image":r;if("beacon"===p){if(l(u))return n(!0);p="fetch"}if("fetch"===p&&"function"==typeof fetch)return d(u,{method:"GET",mode:"no-cors",credentials:"omit",keepalive:!0},n);!function(e,t){try{var n=new Image(1,1);n.onload=function(){t(!0)},n.onerror=function(){t(!1)},n.src=e}catch(e){t(!1)}}(u,n)}function p(){try{var e=window.localStorage.getItem(n.storageKey),t=e?JSON.parse(e):[];return t&&t.length?t:[]}catch(e){return[]}}function g(e){if(n.offlineQueue&&"discarded"!==u)try{var t=p().concat(e);t.length>n.maxStoredEvents&&(t=t.slice(t.length-n.maxStoredEvents)),window.localStorage.setItem(n.storageKey,JSON.stringify(t))}catch(e){}}function v(e,t,r){if(!1===o.onLine)return g(e);f(e,t,function(o){o||(r<(n.retries||0)?setTimeout(function(){v(e,t,r+1)},(n.retryDelay||1e3)*Math.pow(2,r)):g(e))})}function h(){if(c&&(clearTimeout(c),c=null),i.length){var e=i;i=[],v(e,null,0)}}function m(){if(n.offlineQueue&&"draining"===u){var e=p();if(e.length){try{window.localStorage.removeItem(n.storageKey)}catch(e){}for(var t=0;t<e.length;t++)y(e[t])}}}function y(e,t){return n.batch?(i.push(e),a||i.length>=(n.maxBatchSize||10)?h():void(c||(c=setTimeout(h,n.maxBatchWait||2e3)))):v([e],t,0)}try{document.addEventListener("visibilitychange",function(){(a="hidden"===document.visibilityState)&&h()}),window.addEventListener("pagehide",function(){a=!0,h()}),window.addEventListener("online",m)}catch(e){}return{send:y,flush:h,drain:function(){u="draining",m()},discard:function(){if(u="discarded",n.offlineQueue)try{window.localStorage.removeItem(n.storageKey)}catch(e){}}}},pageviews:function(e,t){if("undefined"!=typeof history){r("pushState","push"),r("replaceState","replace"),window.addEventListener("popstate",function(){e.trackPageview("pop")});var n=t&&t.nextRouter&&window.next&&window.next.router;n&&n.events&&"function"==typeof n.events.on&&n.events.on("routeChangeComplete",function(t){try{var n=new URL(t,location.href);e.trackPageview("next-router",n.pathname+n.search)}catch(e){}})}function r(t,n){var r=history[t];"function"==typeof r&&(history[t]=function(){var t=r.apply(this,arguments);try{e.trackPageview(n)}catch(e){}return t})}},engagement:function(e,t){var n=t&&t.scrollMilestones||[25,50,75,100],r={},o=0,a=0,i="hidden"===document.visibilityState?0:Date.now(),c=!1;function u(){i&&(a+=Date.now()-i,i=0)}document.addEventListener("visibilitychange",function(){"hidden"===document.visibilityState?u():i||(i=Date.now())}),window.addEventListener("scroll",function(){var t=document.documentElement||document.body;if(t){var a=t.scrollHeight||0;if(a){var i=Math.min(100,Math.round(((window.scrollY||window.pageYOffset||0)+(window.innerHeight||0))/a*100));i>o&&(o=i);for(var c=0;c<n.length;c++){var u=n[c];i>=u&&!r[u]&&(r[u]=!0,e.sendEvent({mode:"script",event:"scroll-depth",depth:u,ua:e.ua,ts:Date.now()},{method:"fetch"}))}}}},{passive:!0}),window.addEventListener("pagehide",function(){c||(c=!0,u(),e.sendEvent({mode:"script",event:"engagement",active_ms:a,max_scroll:o,ua:e.ua,ts:Date.now()},{method:"beacon"}))})},agentDetection:function(e){var t={webdriver:50,"headless-ua":40,"no-languages":15,"no-plugins":10,"zero-window":20,"no-pointer":10,"timing-regular":30},n=[];function r(){for(var e=0,r=0;r<n.length;r++)e+=t[n[r]]||0;return Math.min(100,e)}var o=[];return document.addEventListener("mousemove",function t(){if(o.push(Date.now()),!(o.length<10)){document.removeEventListener("mousemove",t,!0);for(var a=[],i=1;i<o.length;i++)a.push(o[i]-o[i-1]);for(var c=0,u=0;u<a.length;u++)c+=a[u];c/=a.length;for(var s=0,l=0;l<a.length;l++)s+=Math.pow(a[l]-c,2);var d=Math.sqrt(s/a.length);(0===c||d/c<.05)&&(n.push("timing-regular"),e.sendEvent({mode:"script",event:"agent-timing",agent_score:r(),agent_signals:n.join(","),ua:e.ua,ts:Date.now()},{method:"fetch"}))}},{capture:!0,passive:!0}),{annotate:function(t){n=function(){var t="undefined"!=typeof navigator?navigator:{},n=[];!0===t.webdriver&&n.push("webdriver"),/HeadlessChrome|PhantomJS|Puppeteer|Playwright|Electron|jsdom/i.test(e.ua)&&n.push("headless-ua"),t.languages&&t.languages.length||n.push("no-languages"),t.plugins&&0===t.plugins.length&&n.push("no-plugins"),window.outerWidth&&window.outerHeight&&window.innerWidth&&window.innerHeight||n.push("zero-window");try{"function"==typeof window.matchMedia&&window.matchMedia("(any-pointer: none)").matches&&n.push("no-pointer")}catch(e){}return n}().concat(n),t.agent_score=r(),t.agent_signals=n.join(",")||"none"}}},aiReferrer:function(e,t){var n=e||{},r="bildit_ai_ref",o=n.storage||"localStorage",a=864e5*(n.ttlDays>0?n.ttlDays:30),i=null;try{i=t(document.referrer,location.search,n.sources)}catch(e){}var c=function(){try{if("cookie"===o){var e=/(?:^|;\s*)bildit_ai_ref=([^;]*)/.exec(document.cookie);return e?decodeURIComponent(e[1]):null}if("localStorage"===o){var t=window.localStorage.getItem(r);if(!t)return null;var n=t.split("|");return Number(n[1])+a>Date.now()?n[0]:(window.localStorage.removeItem(r),null)}}catch(e){}return null}();return{params:function(){var e={};return(c||i)&&(e.ai_referrer=c||i),i&&(e.ai_referrer_current=i),e},persist:function(){if(i&&!c){c=i;try{"cookie"===o?document.cookie=r+"="+encodeURIComponent(i)+"; path=/; max-age="+Math.round(a/1e3)+"; SameSite=Lax"+(n.cookieDomain?"; domain="+n.cookieDomain:"")+("https:"===location.protocol?"; Secure":""):"localStorage"===o&&window.localStorage.setItem(r,i+"|"+Date.now())}catch(e){}}}}},classifyAIReferrer:function(e,t,n){var r={"chatgpt.com":"chatgpt","chat.openai.com":"chatgpt","com.openai.chatgpt":"chatgpt",chatgpt:"chatgpt",openai:"chatgpt","perplexity.ai":"perplexity","ai.perplexity.app.android":"perplexity",perplexity:"perplexity","gemini.google.com":"gemini","bard.google.com":"gemini","com.google.android.apps.bard":"gemini",gemini:"gemini","copilot.microsoft.com":"copilot","copilot.cloud.microsoft":"copilot","copilot.com":"copilot","com.microsoft.copilot":"copilot",copilot:"copilot","claude.ai":"claude","com.anthropic.claude":"claude",claude:"claude","chat.deepseek.com":"deepseek",deepseek:"deepseek","grok.com":"grok",grok:"grok","chat.mistral.ai":"mistral","meta.ai":"meta-ai","you.com":"you","kimi.com":"kimi","kimi.moonshot.cn":"kimi","phind.com":"phind"};function o(e,t){return!!e&&Object.prototype.hasOwnProperty.call(e,t)}function a(e){for(var t=String(e).toLowerCase();t;){if(o(n,t))return n[t];if(o(r,t))return r[t];var a=t.indexOf(".");if(-1===a)return null;t=t.slice(a+1)}return null}var i=e?/^[a-z][a-z0-9+.-]*:\/\/([^\/?#:]+)/i.exec(String(e)):null,c=i?a(i[1]):null;if(c)return c;var u=t?/[?&]utm_source=([^&#]*)/.exec(String(t)):null;if(!u)return null;try{return a(decodeURIComponent(u[1].replace(/\+/g," ")).trim())||null}catch(e){return null}},identity:function(e){var t=e||{},n=t.storage||"sessionStorage",r=6e4*(t.sessionTimeout>0?t.sessionTimeout:30),o=Math.round(86400*(t.visitorDays>0?t.visitorDays:365)),a="bildit_sid",i="bildit_vid",c=/^[A-Za-z0-9_-]{8,64}$/,u={};function s(){var e=null;try{e=window.crypto.getRandomValues(new Uint8Array(12))}catch(e){}for(var t="",n=0;n<12;n++){var r=e?e[n]:Math.floor(256*Math.random());t+=(r<16?"0":"")+r.toString(16)}return t}function l(e){try{var t=new RegExp("(?:^|;\\s*)"+e+"=([^;]*)").exec(document.cookie);return t&&c.test(t[1])?t[1]:null}catch(e){return null}}function d(e,n,r){try{document.cookie=e+"="+n+"; path=/; max-age="+r+"; SameSite=Lax"+(t.cookieDomain?"; domain="+t.cookieDomain:"")+("https:"===location.protocol?"; Secure":"")}catch(e){}}function f(e){if("sessionStorage"===n)try{return window.sessionStorage.getItem(e)}catch(e){}return u[e]||null}function p(e,t){if(u[e]=t,"sessionStorage"===n)try{window.sessionStorage.setItem(e,t)}catch(e){}}return{stamp:function(e){return"downgraded"===e.privacy||"suppressed"===e.privacy||(null==e.sid&&(e.sid=function(e){if("cookie"===n){var t=l(a)||s();return d(a,t,Math.round(r/1e3)),t}var o=(f(a)||"").split("|"),i=c.test(o[0])&&Number(o[1])+r>e?o[0]:s();return p(a,i+"|"+e),i}(Date.now())),t.visitor&&null==e.vid&&(e.vid=function(){if("cookie"===n){var e=l(i);return e||(e=s(),d(i,e,o)),e}var t=f(i);return t&&c.test(t)||(t=s(),p(i,t)),t}())),e}}},pageContext:function(e){var t=e||{},n=t.maxLength>0?t.maxLength:200,r=t.maxTotal>0?t.maxTotal:1e3,o=t.query&&t.query.allow?t.query.allow:[],a=t.attributes||[];function i(e){if(!e||!1===t.query)return"";var n=new URLSearchParams;return new URLSearchParams(e).forEach(function(e,t){n.append(t,-1!==o.indexOf(t)?e:"redacted")}),n.toString()}function c(e,t){var n=document.querySelector(e);return n?n.getAttribute(t):null}function u(){var e=document.querySelector('link[rel="canonical"]');if(!e||!e.href)return null;try{var t=new URL(e.href,location.href),n=i(t.search);return t.origin+t.pathname+(n?"?"+n:"")}catch(e){return null}}function s(){var e=[];function t(n){if(n&&"object"==typeof n){for(var r=n["@type"],o="string"==typeof r?[r]:r&&r.length?r:[],a=0;a<o.length;a++)"string"==typeof o[a]&&-1===e.indexOf(o[a])&&e.push(o[a]);if(n["@graph"]&&n["@graph"].length)for(var i=0;i<n["@graph"].length;i++)t(n["@graph"][i])}}for(var n=document.querySelectorAll('script[type="application/ld+json"]'),r=0;r<n.length&&r<10;r++){var o=n[r].textContent||"";if(!(o.length>1e5))try{var a=JSON.parse(o);if(a&&a.length)for(var i=0;i<a.length;i++)t(a[i]);else t(a)}catch(e){}}return e.join(",")}return{redactPath:function(e){var t=e.indexOf("?");if(-1===t)return e;var n=i(e.slice(t));return e.slice(0,t)+(n?"?"+n:"")},annotate:function(e){var o;try{o=function(){var e=[];e.push(["path",location.pathname]),e.push(["query",i(location.search)]),e.push(["canonical",u()]),e.push(["lang",document.documentElement&&document.documentElement.getAttribute("lang")]),e.push(["og_type",c('meta[property="og:type"]',"content")]),t.jsonLd&&e.push(["ld_type",s()]),e.push(["title",document.title]);for(var n=0;n<a.length;n++){var r="data-bildit-"+a[n],o=document.documentElement&&document.documentElement.getAttribute(r)||document.body&&document.body.getAttribute(r);e.push(["page_"+a[n].replace(/-/g,"_"),o])}return e}()}catch(e){return}for(var l=null!=e.path,d=0,f=0;f<o.length;f++){var p=o[f][0],g=o[f][1];if(null!=g&&""!==g&&null==e[p]&&("query"!==p||!l)){g=String(g).replace(/\s+/g," ").trim().slice(0,n);var v=encodeURIComponent(p).length+encodeURIComponent(g).length+2;!g||d+v>r||(d+=v,e[p]=g)}}}}},logger:function(e){var t=e||{},n={debug:10,info:20,warn:30,error:40,silent:100},r=n[t.level]||n.warn,o=!1!==t.redact,a=t.prefix?t.prefix+" ":"",i=t.logger||("undefined"!=typeof console?console:null),c={ua:1,userAgent:1,user_agent:1,"User-Agent":1,"user-agent":1},u={ip:1,clientIp:1,client_ip:1};function s(e){var t=String(e);if(-1!==t.indexOf(":"))return t.split(":").slice(0,3).join(":")+"::";var n=t.split(".");return 4===n.length?n.slice(0,3).join(".")+".0":"redacted"}function l(e){return"[object Object]"===Object.prototype.toString.call(e)}function d(e,t){var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){var o=e[r];null==o?n[r]=o:c[r]?n[r]="redacted":u[r]?n[r]=s(o):"url"===r&&"string"==typeof o?n[r]=o.replace(/([?&]ua=)[^&]*/,"$1redacted"):l(o)&&t<3?n[r]=d(o,t+1):n[r]=o}return n}function f(e){var t={};for(var n in e)if(Object.prototype.hasOwnProperty.call(e,n)){var r=e[n];t[n]=r instanceof Error?r.message:r}return o?d(t,0):t}function p(e){return!!i&&n[e]>=r}function g(e,t,n){if(p(e)){var r=n?f(n):{};try{if("function"==typeof i){var o={};for(var c in r)Object.prototype.hasOwnProperty.call(r,c)&&(o[c]=r[c]);return o.level=e,o.message=t,o.time=Date.now(),void i(o)}var u="function"==typeof i[e]?i[e]:i.log;"function"==typeof u&&u.call(i,a+t,r)}catch(e){}}}return{debug:function(e,t){g("debug",e,t)},info:function(e,t){g("info",e,t)},warn:function(e,t){g("warn",e,t)},error:function(e,t){g("error",e,t)},enabled:p}},destinations:function(e,t){var n=e||[];function r(e,t){return Object.prototype.hasOwnProperty.call(e,t)}function o(e,t){return e+(-1===e.indexOf("?")?"?":"&")+t}function a(){return Math.random().toString(36).slice(2)+Date.now().toString(36)}function i(e,t){for(var n in t)r(t,n)&&null!=t[n]&&(e[n]=String(t[n]));return e}function c(e,t){var n=i({},t);e.params&&i(n,e.params);var o=e.map;if(o)for(var a in o)if(r(o,a)&&r(n,a)){var c=n[a];delete n[a],o[a]&&(n[o[a]]=c)}return"function"==typeof e.transform&&(n=e.transform(n)),n}function u(e){var t=String(e).replace(/[^A-Za-z0-9_]/g,"_");return/^[A-Za-z]/.test(t)||(t="e_"+t),t.slice(0,40)}function s(e,t){var n,c=e.type||"http",s=i({},e.headers||{});if("ga4"===c){var l={},d=0;for(n in t)!r(t,n)||"client_id"===n||d>=25||(l[u(n)]=t[n].slice(0,100),d++);var f="measurement_id="+encodeURIComponent(e.measurementId)+"&api_secret="+encodeURIComponent(e.apiSecret);return{url:o(e.url||"https://www.google-analytics.com/mp/collect",f),method:"POST",headers:s,body:JSON.stringify({client_id:e.clientId||t.client_id||t.nonce||a(),events:[{name:u(e.eventName||t.event||"bildit_event"),params:l}]})}}if("segment"===c){s["Content-Type"]="application/json",e.writeKey&&(s.Authorization="Basic "+btoa(e.writeKey+":"));var p=Number(t.ts);return{url:e.url||"https://api.segment.io/v1/track",method:"POST",headers:s,body:JSON.stringify({anonymousId:e.anonymousId||t.anonymous_id||t.nonce||a(),event:e.event||t.event||"BILDIT Event",properties:t,timestamp:new Date(p>0?p:Date.now()).toISOString(),context:{library:{name:"@bildit-platform/ai-pixel"}}})}}var g=String(e.method||"GET").toUpperCase();if("GET"===g){var v=[];for(n in t)r(t,n)&&v.push(encodeURIComponent(n)+"="+encodeURIComponent(t[n]));return{url:o(e.url,v.join("&")),method:"GET",headers:s}}return s["Content-Type"]=s["Content-Type"]||"application/json",{url:e.url,method:g,headers:s,body:JSON.stringify(t)}}var l=t||function(e,t,n){if(e){var o=function(e){for(var t in e)if(r(e,t))return!0;return!1}(e.headers);"GET"!==e.method||o?"function"==typeof fetch&&fetch(e.url,{method:e.method,headers:e.headers,body:e.body,keepalive:!0,credentials:"omit",mode:o?"cors":"no-cors"}).then(null,function(){}):new Image(1,1).src=e.url}else{var a=n.callback&&window[n.callback];"function"==typeof a&&a(t)}};return{forward:function(e,r){for(var o=[],a=0;a<n.length;a++){var i=n[a];if(i){var u=i.name||i.type||"http";try{if("ga4"===i.type&&!t)throw new Error("GA4 destinations are server-only");if(i.events&&-1===i.events.indexOf(e.event))continue;var d=c(i,e);if(!d)continue;var f="custom"===i.type?null:s(i,d);o.push({name:u,destination:i,result:l(f,d,i,r)})}catch(e){o.push({name:u,destination:i,error:e})}}}return o}}}});
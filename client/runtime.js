@@ -0,0 +1,21 @@
+// Generated by scripts/build-client.js from client/src. Do not edit by hand.
+'use strict';
+
+module.exports = {
+  "pixel": "function(e,t){var n=e.params||{},r=e.pixelUrl,a=\"undefined\"!=typeof navigator&&navigator.userAgent?navigator.userAgent:\"unknown\";try{\"undefined\"!=typeof location&&location.origin&&n&&null==n.site&&(n.site=location.origin)}catch(e){}var o=t.consent?t.consent(e.consent):{run:function(e){e()},onDenied:function(){}},i=t.privacy?t.privacy(e.privacy):{filter:function(e){return e}},c=t.transport(r,e.transport);o.run(c.drain),o.onDenied(c.discard);var d=t.logger&&e.logger?t.logger({level:e.logger.level,redact:e.logger.redact,prefix:\"[BILDIT Pixel]\",logger:window.BILDIT_LOGGER}):null,s=t.destinations&&e.destinations?t.destinations(e.destinations):null,l=t.identity&&e.identity?t.identity(e.identity):null;if(t.aiReferrer&&e.aiReferrer){var u=t.aiReferrer(e.aiReferrer,t.classifyAIReferrer),f=u.params();for(var v in f)null==n[v]&&(n[v]=f[v]);o.run(u.persist)}function p(e,t){d&&d.debug(e,t)}function g(e){var t=function(e){var t={};for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&null!=n[r]&&(t[r]=String(n[r]));if(e)for(var a in e)Object.prototype.hasOwnProperty.call(e,a)&&null!=e[a]&&(t[a]=String(e[a]));return t}(e);return l&&l.stamp(t),s&&s.forward(t),function(e){var t=new URLSearchParams;for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&t.append(n,e[n]);return t.toString()}(t)}function m(e,t){var n=e.event;if(!(e=i.filter(e)))return p(\"Beacon suppressed\",{event:n});o.run(function(){c.send(g(e),t&&t.method),p(\"Beacon sent\",{event:e.event,mode:e.mode})})}function h(){try{return location.pathname+location.search}catch(e){return\"\"}}function y(e){if(O)return O.redactPath(e);var t=e.indexOf(\"?\");if(-1===t)return e;var n=new URLSearchParams;new URLSearchParams(e.slice(t)).forEach(function(e,t){n.append(t,\"redacted\")});var r=n.toString();return e.slice(0,t)+(r?\"?\"+r:\"\")}var w=h();function b(e,t){var n=t||h();if(n&&n!==w){var r=w;w=n;var o={mode:\"script\",event:\"pageview\",path:y(n),prev_path:y(r),nav:e,ua:a,ts:Date.now()};O&&O.annotate(o),m(o,{method:\"fetch\"})}}var P={ua:a,sendEvent:m,trackPageview:b};m({mode:\"script\",event:\"bootstrap\",ua:a,ts:Date.now()},{method:\"fetch\"});var x=t.agentDetection?t.agentDetection(P):null,O=t.pageContext&&e.pageContext?t.pageContext(e.pageContext):null;function D(){var t={mode:\"js-img\",event:\"render\",ts:Date.now(),r:Math.random().toString(36).slice(2),ua:a};x&&x.annotate(t),O&&O.annotate(t),function(t){var n=t.event;if(!(t=i.filter(t)))return p(\"Beacon suppressed\",{event:n});o.run(function(){!function(t){var n=new Image(1,1);n.alt=e.alt||\"\",n.decoding=\"async\",n.loading=\"lazy\",n.referrerPolicy=\"no-referrer-when-downgrade\",n.style.position=\"absolute\",n.style.width=\"1px\",n.style.height=\"1px\",n.style.border=\"0\",n.style.clip=\"rect(0, 0, 0, 0)\",n.style.overflow=\"hidden\",n.width=1,n.height=1;var a=g(t);n.src=r+(-1===r.indexOf(\"?\")?\"?\":\"&\")+a;var o=document.body||document.documentElement;o&&o.appendChild(n)}(t),p(\"Pixel rendered\",{event:t.event,mode:t.mode})})}(t)}\"loading\"===document.readyState?document.addEventListener(\"DOMContentLoaded\",D,{once:!0}):D();var L=!1;function S(e){if(e&&\"string\"==typeof e[0])if(\"track\"===e[0])!function(e,t){if(e){var n={};if(t&&\"object\"==typeof t)for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(n[r]=t[r]);n.mode=\"script\",n.event=String(e),n.ua=a,n.ts=Date.now(),m(n,{method:\"fetch\"})}}(e[1],e[2]);else if(\"pageview\"===e[0]){var t=e[1]||{};b(t.nav||\"manual\",t.path)}else if(\"set\"===e[0]&&e[1]&&\"object\"==typeof e[1])for(var r in e[1])Object.prototype.hasOwnProperty.call(e[1],r)&&(n[r]=e[1][r])}document.addEventListener(\"mousemove\",function e(){L||(L=!0,m({mode:\"script\",event:\"mouse\",mouse:\"1\",ua:a,ts:Date.now()},{method:\"fetch\"}),document.removeEventListener(\"mousemove\",e,!0))},{once:!0,capture:!0,passive:!0}),t.engagement&&t.engagement(P,e.engagement);var R=window.bilditPixel;if(!R||!R.loaded){if(window.bilditPixel={loaded:!0,push:function(){for(var e=0;e<arguments.length;e++)S(arguments[e])},track:function(e,t){S([\"track\",e,t])},set:function(e){S([\"set\",e])}},R&&\"number\"==typeof R.length)for(var j=0;j<R.length;j++)S(R[j]);t.pageviews&&t.pageviews(P,e.pageviews)}}",
+  "mouseDetection": "function(t,n){if(window.BILDIT_MOUSE_DETECTION_INITIALIZED&&window.BILDIT_MOUSE_DETECTION)return window.BILDIT_MOUSE_DETECTION;var e=t.pixelUrl,i=t.options||{},o=Number(i.duration)||5e3,r=Number(i.throttle)||1e3,s=Number(i.maxMovements)||10,a=i.params||{};try{\"undefined\"!=typeof location&&location.origin&&a&&null==a.site&&(a.site=location.origin)}catch(t){}var c=!1,l=0,u=0,d=0,v=[],g=n.consent?n.consent(t.consent):{run:function(t){t()},onDenied:function(){}},m=n.privacy?n.privacy(t.privacy):{filter:function(t){return t}},w=n.transport(e,t.transport);g.run(function(){w.drain()}),g.onDenied(function(){w.discard()});var I=n.logger&&t.logger?n.logger({level:t.logger.level,redact:t.logger.redact,prefix:\"[BILDIT Mouse Detection]\",logger:window.BILDIT_LOGGER}):null,f=n.destinations&&t.destinations?n.destinations(t.destinations):null,p=n.identity&&t.identity?n.identity(t.identity):null;function E(t,n){I&&I.debug(t,n)}function D(t){(t=m.filter(t))&&g.run(function(){var n=Date.now();n-u<r?E(\"Request throttled\",{event:t.event}):(u=n,p&&p.stamp(t),w.send(function(t){var n=new URLSearchParams;for(var e in a)Object.prototype.hasOwnProperty.call(a,e)&&null!=a[e]&&n.set(e,String(a[e]));if(t)for(var i in t)Object.prototype.hasOwnProperty.call(t,i)&&null!=t[i]&&n.set(i,String(t[i]));if(n.has(\"ts\")||n.set(\"ts\",Date.now().toString()),n.has(\"nonce\")||n.set(\"nonce\",Math.random().toString(36).slice(2)),n.set(\"mode\",\"mouse\"),f){var o={};n.forEach(function(t,n){o[n]=t}),f.forward(o)}return n.toString()}(t),\"image\"),E(\"Pixel request sent\",{event:t.event}))})}function S(){c||(c=!0,l=Date.now(),d=0,v=[],D({event:\"mouse-start\"}),setTimeout(T,o))}function T(){if(c){c=!1;var t=Date.now()-l,n=v.slice(0,5);try{n=JSON.stringify(n)}catch(t){n=\"[]\"}D({event:\"mouse-end\",dur:String(t),moves:String(v.length),data:n})}}function h(t){c||S(),d++,v.length<s&&v.push({x:t.clientX,y:t.clientY,t:Date.now()-l}),d%5==0&&D({event:\"mouse-update\",c:String(d),t:String(Date.now()-l),x:String(t.clientX),y:String(t.clientY)})}function y(t){c||S(),D({event:\"mouse-click\",x:String(t.clientX),y:String(t.clientY),b:String(t.button)})}function L(){c||S(),D({event:\"scroll\",sx:String(window.scrollX||0),sy:String(window.scrollY||0)})}document.addEventListener(\"mousemove\",h,{passive:!0}),document.addEventListener(\"click\",y,{passive:!0}),window.addEventListener(\"scroll\",L,{passive:!0}),D({event:\"mouse-init\",vw:String(window.innerWidth||0),vh:String(window.innerHeight||0)}),E(\"Mouse detection initialized\",{pixelUrl:e,duration:o,throttle:r,maxMovements:s});var O={start:S,stop:T,cleanup:function(){document.removeEventListener(\"mousemove\",h),document.removeEventListener(\"click\",y),window.removeEventListener(\"scroll\",L),window.BILDIT_MOUSE_DETECTION_INITIALIZED=!1,E(\"Mouse detection cleaned up\")},configure:function(i){i&&(i.pixelUrl&&(e=i.pixelUrl,w=n.transport(e,t.transport),g.run(w.drain)),i.duration&&(o=Number(i.duration)||o),i.throttle&&(r=Number(i.throttle)||r),i.maxMovements&&(s=Number(i.maxMovements)||s))}};try{window.BILDIT_MOUSE_DETECTION=O,window.BILDIT_MOUSE_DETECTION_INITIALIZED=!0}catch(t){}return O}",
+  "modules": {
+    "consent": "function(e){if(!e)return{run:function(e){e()},onDenied:function(){}};var t=\"undefined\"!=typeof window?window:{},n=e.purposes||[],r=t.BILDIT_CONSENT;if(!r||\"function\"!=typeof r.subscribe){var a=r,o=[];r={state:e.state||\"pending\",purposes:{},update:function(e){if(null!=e){if(\"string\"==typeof e)r.state=e;else if(\"object\"==typeof e&&(e.state&&(r.state=e.state),e.purposes))for(var t in e.purposes)Object.prototype.hasOwnProperty.call(e.purposes,t)&&(r.purposes[t]=!!e.purposes[t]);for(var n=0;n<o.length;n++)try{o[n](r)}catch(e){}}},subscribe:function(e){o.push(e)}},null!=a&&r.update(a);try{t.BILDIT_CONSENT=r}catch(e){}}function i(){if(\"denied\"===r.state)return\"denied\";for(var e=!1,t=0;t<n.length;t++){var a=r.purposes[n[t]];if(!1===a)return\"denied\";!0!==a&&(e=!0)}return\"granted\"===r.state||n.length&&!e?\"granted\":\"pending\"}var u=[],s=[];if(r.subscribe(function(){var e=i();if(\"granted\"===e){var t=u;u=[];for(var n=0;n<t.length;n++)try{t[n]()}catch(e){}}else if(\"denied\"===e){u=[];for(var r=0;r<s.length;r++)try{s[r]()}catch(e){}}}),!1!==e.tcf&&\"function\"==typeof t.__tcfapi)try{t.__tcfapi(\"addEventListener\",2,function(t,n){if(n&&t&&(\"tcloaded\"===t.eventStatus||\"useractioncomplete\"===t.eventStatus))if(!1!==t.gdprApplies){for(var a=t.purpose&&t.purpose.consents||{},o=e.tcfPurposes||[1],i=0;i<o.length;i++)if(!a[o[i]])return void r.update(\"denied\");r.update(\"granted\")}else r.update(\"granted\")})}catch(e){}var p=t.dataLayer;if(!1!==e.googleConsentMode&&p&&\"function\"==typeof p.push){for(var f=e.googleConsentKey||\"analytics_storage\",d=function(e){if(e&&\"consent\"===e[0]&&e[2]&&(\"default\"===e[1]||\"update\"===e[1])){var t=e[2][f];\"granted\"!==t&&\"denied\"!==t||r.update(t)}},c=0;c<p.length;c++)d(p[c]);var l=p.push;p.push=function(){for(var e=l.apply(p,arguments),t=0;t<arguments.length;t++)d(arguments[t]);return e}}return{run:function(e){var t=i();if(\"granted\"===t)return e();\"pending\"===t&&u.push(e)},onDenied:function(e){s.push(e),\"denied\"===i()&&e()}}}",
+    "privacy": "function(r){if(!r)return{filter:function(r){return r}};var e=[\"ua\",\"x\",\"y\",\"sx\",\"sy\",\"vw\",\"vh\",\"data\"],n=\"undefined\"!=typeof navigator?navigator:{},a=\"undefined\"!=typeof window?window:{},i=null;if(r.respectGPC&&!0===n.globalPrivacyControl)i=\"gpc\";else if(r.respectDNT){var o=n.doNotTrack||a.doNotTrack||n.msDoNotTrack;\"1\"!==o&&\"yes\"!==o&&1!==o||(i=\"dnt\")}var t=i?\"suppress\"===r.action?\"suppressed\":\"downgraded\":\"allowed\",d=!1;return{decision:t,filter:function(r){if(\"suppressed\"===t)return d?null:(d=!0,{mode:r&&r.mode,event:\"suppressed\",privacy:t,privacy_signal:i});var n={};for(var a in r)Object.prototype.hasOwnProperty.call(r,a)&&(\"downgraded\"===t&&-1!==e.indexOf(a)||(n[a]=r[a]));return n.privacy=t,i&&(n.privacy_signal=i),n}}}",
+    "transport": "function(e,t){var n=t||{},i=n.method||\"auto\",o=\"undefined\"!=typeof navigator?navigator:{},r=!1,a=[],c=null,f=\"held\";function u(t){return e+(-1===e.indexOf(\"?\")?\"?\":\"&\")+t}function d(e,t){try{return\"function\"==typeof o.sendBeacon&&!0===o.sendBeacon(e,t)}catch(e){return!1}}function l(e,t,n){if(\"function\"!=typeof fetch)return n(!1);try{fetch(e,t).then(function(){n(!0)},function(){n(!1)})}catch(e){n(!1)}}function h(e,t,n){if(e.length>1){var o=e.join(\"\\n\"),a=u(\"batch=\"+e.length);if(d(a,o))return n(!0);if(\"function\"==typeof fetch)return l(a,{method:\"POST\",mode:\"no-cors\",credentials:\"omit\",keepalive:!0,body:o,headers:{\"Content-Type\":\"text/plain\"}},n);for(var c=0;c<e.length;c++)h([e[c]],t,function(){});return n(!0)}var f=u(e[0]),s=\"auto\"===i?r?\"beacon\":t||\"image\":i;if(\"beacon\"===s){if(d(f))return n(!0);s=\"fetch\"}if(\"fetch\"===s&&\"function\"==typeof fetch)return l(f,{method:\"GET\",mode:\"no-cors\",credentials:\"omit\",keepalive:!0},n);!function(e,t){try{var n=new Image(1,1);n.onload=function(){t(!0)},n.onerror=function(){t(!1)},n.src=e}catch(e){t(!1)}}(f,n)}function s(){try{var e=window.localStorage.getItem(n.storageKey),t=e?JSON.parse(e):[];return t&&t.length?t:[]}catch(e){return[]}}function g(e){if(n.offlineQueue&&\"discarded\"!==f)try{var t=s().concat(e);t.length>n.maxStoredEvents&&(t=t.slice(t.length-n.maxStoredEvents)),window.localStorage.setItem(n.storageKey,JSON.stringify(t))}catch(e){}}function v(e,t,i){if(!1===o.onLine)return g(e);h(e,t,function(o){o||(i<(n.retries||0)?setTimeout(function(){v(e,t,i+1)},(n.retryDelay||1e3)*Math.pow(2,i)):g(e))})}function m(){if(c&&(clearTimeout(c),c=null),a.length){var e=a;a=[],v(e,null,0)}}function y(){if(n.offlineQueue&&\"draining\"===f){var e=s();if(e.length){try{window.localStorage.removeItem(n.storageKey)}catch(e){}for(var t=0;t<e.length;t++)w(e[t])}}}function w(e,t){return n.batch?(a.push(e),r||a.length>=(n.maxBatchSize||10)?m():void(c||(c=setTimeout(m,n.maxBatchWait||2e3)))):v([e],t,0)}try{document.addEventListener(\"visibilitychange\",function(){(r=\"hidden\"===document.visibilityState)&&m()}),window.addEventListener(\"pagehide\",function(){r=!0,m()}),window.addEventListener(\"online\",y)}catch(e){}return{send:w,flush:m,drain:function(){f=\"draining\",y()},discard:function(){if(f=\"discarded\",n.offlineQueue)try{window.localStorage.removeItem(n.storageKey)}catch(e){}}}}",
+    "pageviews": "function(t,e){if(\"undefined\"!=typeof history){o(\"pushState\",\"push\"),o(\"replaceState\",\"replace\"),window.addEventListener(\"popstate\",function(){t.trackPageview(\"pop\")});var n=e&&e.nextRouter&&window.next&&window.next.router;n&&n.events&&\"function\"==typeof n.events.on&&n.events.on(\"routeChangeComplete\",function(e){try{var n=new URL(e,location.href);t.trackPageview(\"next-router\",n.pathname+n.search)}catch(t){}})}function o(e,n){var o=history[e];\"function\"==typeof o&&(history[e]=function(){var e=o.apply(this,arguments);try{t.trackPageview(n)}catch(t){}return e})}}",
+    "engagement": "function(e,t){var n=t&&t.scrollMilestones||[25,50,75,100],i={},o=0,d=0,a=\"hidden\"===document.visibilityState?0:Date.now(),s=!1;function c(){a&&(d+=Date.now()-a,a=0)}document.addEventListener(\"visibilitychange\",function(){\"hidden\"===document.visibilityState?c():a||(a=Date.now())}),window.addEventListener(\"scroll\",function(){var t=document.documentElement||document.body;if(t){var d=t.scrollHeight||0;if(d){var a=Math.min(100,Math.round(((window.scrollY||window.pageYOffset||0)+(window.innerHeight||0))/d*100));a>o&&(o=a);for(var s=0;s<n.length;s++){var c=n[s];a>=c&&!i[c]&&(i[c]=!0,e.sendEvent({mode:\"script\",event:\"scroll-depth\",depth:c,ua:e.ua,ts:Date.now()},{method:\"fetch\"}))}}}},{passive:!0}),window.addEventListener(\"pagehide\",function(){s||(s=!0,c(),e.sendEvent({mode:\"script\",event:\"engagement\",active_ms:d,max_scroll:o,ua:e.ua,ts:Date.now()},{method:\"beacon\"}))})}",
+    "agentDetection": "function(n){var e={webdriver:50,\"headless-ua\":40,\"no-languages\":15,\"no-plugins\":10,\"zero-window\":20,\"no-pointer\":10,\"timing-regular\":30},t=[];function o(){for(var n=0,o=0;o<t.length;o++)n+=e[t[o]]||0;return Math.min(100,n)}var a=[];return document.addEventListener(\"mousemove\",function e(){if(a.push(Date.now()),!(a.length<10)){document.removeEventListener(\"mousemove\",e,!0);for(var i=[],r=1;r<a.length;r++)i.push(a[r]-a[r-1]);for(var s=0,u=0;u<i.length;u++)s+=i[u];s/=i.length;for(var g=0,h=0;h<i.length;h++)g+=Math.pow(i[h]-s,2);var d=Math.sqrt(g/i.length);(0===s||d/s<.05)&&(t.push(\"timing-regular\"),n.sendEvent({mode:\"script\",event:\"agent-timing\",agent_score:o(),agent_signals:t.join(\",\"),ua:n.ua,ts:Date.now()},{method:\"fetch\"}))}},{capture:!0,passive:!0}),{annotate:function(e){t=function(){var e=\"undefined\"!=typeof navigator?navigator:{},t=[];!0===e.webdriver&&t.push(\"webdriver\"),/HeadlessChrome|PhantomJS|Puppeteer|Playwright|Electron|jsdom/i.test(n.ua)&&t.push(\"headless-ua\"),e.languages&&e.languages.length||t.push(\"no-languages\"),e.plugins&&0===e.plugins.length&&t.push(\"no-plugins\"),window.outerWidth&&window.outerHeight&&window.innerWidth&&window.innerHeight||t.push(\"zero-window\");try{\"function\"==typeof window.matchMedia&&window.matchMedia(\"(any-pointer: none)\").matches&&t.push(\"no-pointer\")}catch(n){}return t}().concat(t),e.agent_score=o(),e.agent_signals=t.join(\",\")||\"none\"}}}",
+    "aiReferrer": "function(e,o){var r=e||{},t=\"bildit_ai_ref\",a=r.storage||\"localStorage\",n=864e5*(r.ttlDays>0?r.ttlDays:30),c=null;try{c=o(document.referrer,location.search,r.sources)}catch(e){}var i=function(){try{if(\"cookie\"===a){var e=/(?:^|;\\s*)bildit_ai_ref=([^;]*)/.exec(document.cookie);return e?decodeURIComponent(e[1]):null}if(\"localStorage\"===a){var o=window.localStorage.getItem(t);if(!o)return null;var r=o.split(\"|\");return Number(r[1])+n>Date.now()?r[0]:(window.localStorage.removeItem(t),null)}}catch(e){}return null}();return{params:function(){var e={};return(i||c)&&(e.ai_referrer=i||c),c&&(e.ai_referrer_current=c),e},persist:function(){if(c&&!i){i=c;try{\"cookie\"===a?document.cookie=t+\"=\"+encodeURIComponent(c)+\"; path=/; max-age=\"+Math.round(n/1e3)+\"; SameSite=Lax\"+(r.cookieDomain?\"; domain=\"+r.cookieDomain:\"\")+(\"https:\"===location.protocol?\"; Secure\":\"\"):\"localStorage\"===a&&window.localStorage.setItem(t,c+\"|\"+Date.now())}catch(e){}}}}}",
+    "classifyAIReferrer": "function(o,e,i){var t={\"chatgpt.com\":\"chatgpt\",\"chat.openai.com\":\"chatgpt\",\"com.openai.chatgpt\":\"chatgpt\",chatgpt:\"chatgpt\",openai:\"chatgpt\",\"perplexity.ai\":\"perplexity\",\"ai.perplexity.app.android\":\"perplexity\",perplexity:\"perplexity\",\"gemini.google.com\":\"gemini\",\"bard.google.com\":\"gemini\",\"com.google.android.apps.bard\":\"gemini\",gemini:\"gemini\",\"copilot.microsoft.com\":\"copilot\",\"copilot.cloud.microsoft\":\"copilot\",\"copilot.com\":\"copilot\",\"com.microsoft.copilot\":\"copilot\",copilot:\"copilot\",\"claude.ai\":\"claude\",\"com.anthropic.claude\":\"claude\",claude:\"claude\",\"chat.deepseek.com\":\"deepseek\",deepseek:\"deepseek\",\"grok.com\":\"grok\",grok:\"grok\",\"chat.mistral.ai\":\"mistral\",\"meta.ai\":\"meta-ai\",\"you.com\":\"you\",\"kimi.com\":\"kimi\",\"kimi.moonshot.cn\":\"kimi\",\"phind.com\":\"phind\"};function c(o,e){return!!o&&Object.prototype.hasOwnProperty.call(o,e)}function r(o){for(var e=String(o).toLowerCase();e;){if(c(i,e))return i[e];if(c(t,e))return t[e];var r=e.indexOf(\".\");if(-1===r)return null;e=e.slice(r+1)}return null}var a=o?/^[a-z][a-z0-9+.-]*:\\/\\/([^\\/?#:]+)/i.exec(String(o)):null,l=a?r(a[1]):null;if(l)return l;var p=e?/[?&]utm_source=([^&#]*)/.exec(String(e)):null;if(!p)return null;try{return r(decodeURIComponent(p[1].replace(/\\+/g,\" \")).trim())||null}catch(o){return null}}",
+    "identity": "function(t){var o=t||{},r=o.storage||\"sessionStorage\",n=6e4*(o.sessionTimeout>0?o.sessionTimeout:30),e=Math.round(86400*(o.visitorDays>0?o.visitorDays:365)),i=\"bildit_sid\",a=\"bildit_vid\",s=/^[A-Za-z0-9_-]{8,64}$/,u={};function c(){var t=null;try{t=window.crypto.getRandomValues(new Uint8Array(12))}catch(t){}for(var o=\"\",r=0;r<12;r++){var n=t?t[r]:Math.floor(256*Math.random());o+=(n<16?\"0\":\"\")+n.toString(16)}return o}function d(t){try{var o=new RegExp(\"(?:^|;\\\\s*)\"+t+\"=([^;]*)\").exec(document.cookie);return o&&s.test(o[1])?o[1]:null}catch(t){return null}}function l(t,r,n){try{document.cookie=t+\"=\"+r+\"; path=/; max-age=\"+n+\"; SameSite=Lax\"+(o.cookieDomain?\"; domain=\"+o.cookieDomain:\"\")+(\"https:\"===location.protocol?\"; Secure\":\"\")}catch(t){}}function v(t){if(\"sessionStorage\"===r)try{return window.sessionStorage.getItem(t)}catch(t){}return u[t]||null}function f(t,o){if(u[t]=o,\"sessionStorage\"===r)try{window.sessionStorage.setItem(t,o)}catch(t){}}return{stamp:function(t){return\"downgraded\"===t.privacy||\"suppressed\"===t.privacy||(null==t.sid&&(t.sid=function(t){if(\"cookie\"===r){var o=d(i)||c();return l(i,o,Math.round(n/1e3)),o}var e=(v(i)||\"\").split(\"|\"),a=s.test(e[0])&&Number(e[1])+n>t?e[0]:c();return f(i,a+\"|\"+t),a}(Date.now())),o.visitor&&null==t.vid&&(t.vid=function(){if(\"cookie\"===r){var t=d(a);return t||(t=c(),l(a,t,e)),t}var o=v(a);return o&&s.test(o)||(o=c(),f(a,o)),o}())),t}}}",
+    "pageContext": "function(t){var e=t||{},n=e.maxLength>0?e.maxLength:200,r=e.maxTotal>0?e.maxTotal:1e3,a=e.query&&e.query.allow?e.query.allow:[],o=e.attributes||[];function u(t){if(!t||!1===e.query)return\"\";var n=new URLSearchParams;return new URLSearchParams(t).forEach(function(t,e){n.append(e,-1!==a.indexOf(e)?t:\"redacted\")}),n.toString()}function l(t,e){var n=document.querySelector(t);return n?n.getAttribute(e):null}function c(){var t=document.querySelector('link[rel=\"canonical\"]');if(!t||!t.href)return null;try{var e=new URL(t.href,location.href),n=u(e.search);return e.origin+e.pathname+(n?\"?\"+n:\"\")}catch(t){return null}}function i(){var t=[];function e(n){if(n&&\"object\"==typeof n){for(var r=n[\"@type\"],a=\"string\"==typeof r?[r]:r&&r.length?r:[],o=0;o<a.length;o++)\"string\"==typeof a[o]&&-1===t.indexOf(a[o])&&t.push(a[o]);if(n[\"@graph\"]&&n[\"@graph\"].length)for(var u=0;u<n[\"@graph\"].length;u++)e(n[\"@graph\"][u])}}for(var n=document.querySelectorAll('script[type=\"application/ld+json\"]'),r=0;r<n.length&&r<10;r++){var a=n[r].textContent||\"\";if(!(a.length>1e5))try{var o=JSON.parse(a);if(o&&o.length)for(var u=0;u<o.length;u++)e(o[u]);else e(o)}catch(t){}}return t.join(\",\")}return{redactPath:function(t){var e=t.indexOf(\"?\");if(-1===e)return t;var n=u(t.slice(e));return t.slice(0,e)+(n?\"?\"+n:\"\")},annotate:function(t){var a;try{a=function(){var t=[];t.push([\"path\",location.pathname]),t.push([\"query\",u(location.search)]),t.push([\"canonical\",c()]),t.push([\"lang\",document.documentElement&&document.documentElement.getAttribute(\"lang\")]),t.push([\"og_type\",l('meta[property=\"og:type\"]',\"content\")]),e.jsonLd&&t.push([\"ld_type\",i()]),t.push([\"title\",document.title]);for(var n=0;n<o.length;n++){var r=\"data-bildit-\"+o[n],a=document.documentElement&&document.documentElement.getAttribute(r)||document.body&&document.body.getAttribute(r);t.push([\"page_\"+o[n].replace(/-/g,\"_\"),a])}return t}()}catch(t){return}for(var h=null!=t.path,p=0,f=0;f<a.length;f++){var g=a[f][0],d=a[f][1];if(null!=d&&\"\"!==d&&null==t[g]&&(\"query\"!==g||!h)){d=String(d).replace(/\\s+/g,\" \").trim().slice(0,n);var m=encodeURIComponent(g).length+encodeURIComponent(d).length+2;!d||p+m>r||(p+=m,t[g]=d)}}}}}",
+    "logger": "function(e){var r=e||{},n={debug:10,info:20,warn:30,error:40,silent:100},t=n[r.level]||n.warn,o=!1!==r.redact,i=r.prefix?r.prefix+\" \":\"\",a=r.logger||(\"undefined\"!=typeof console?console:null),c={ua:1,userAgent:1,user_agent:1,\"User-Agent\":1,\"user-agent\":1},f={ip:1,clientIp:1,client_ip:1};function l(e){var r=String(e);if(-1!==r.indexOf(\":\"))return r.split(\":\").slice(0,3).join(\":\")+\"::\";var n=r.split(\".\");return 4===n.length?n.slice(0,3).join(\".\")+\".0\":\"redacted\"}function u(e){return\"[object Object]\"===Object.prototype.toString.call(e)}function p(e,r){var n={};for(var t in e)if(Object.prototype.hasOwnProperty.call(e,t)){var o=e[t];null==o?n[t]=o:c[t]?n[t]=\"redacted\":f[t]?n[t]=l(o):\"url\"===t&&\"string\"==typeof o?n[t]=o.replace(/([?&]ua=)[^&]*/,\"$1redacted\"):u(o)&&r<3?n[t]=p(o,r+1):n[t]=o}return n}function s(e){var r={};for(var n in e)if(Object.prototype.hasOwnProperty.call(e,n)){var t=e[n];r[n]=t instanceof Error?t.message:t}return o?p(r,0):r}function v(e){return!!a&&n[e]>=t}function d(e,r,n){if(v(e)){var t=n?s(n):{};try{if(\"function\"==typeof a){var o={};for(var c in t)Object.prototype.hasOwnProperty.call(t,c)&&(o[c]=t[c]);return o.level=e,o.message=r,o.time=Date.now(),void a(o)}var f=\"function\"==typeof a[e]?a[e]:a.log;\"function\"==typeof f&&f.call(a,i+r,t)}catch(e){}}}return{debug:function(e,r){d(\"debug\",e,r)},info:function(e,r){d(\"info\",e,r)},warn:function(e,r){d(\"warn\",e,r)},error:function(e,r){d(\"error\",e,r)},enabled:v}}",
+    "destinations": "function(e,n){var t=e||[];function r(e,n){return Object.prototype.hasOwnProperty.call(e,n)}function o(e,n){return e+(-1===e.indexOf(\"?\")?\"?\":\"&\")+n}function i(){return Math.random().toString(36).slice(2)+Date.now().toString(36)}function a(e,n){for(var t in n)r(n,t)&&null!=n[t]&&(e[t]=String(n[t]));return e}function c(e,n){var t=a({},n);e.params&&a(t,e.params);var o=e.map;if(o)for(var i in o)if(r(o,i)&&r(t,i)){var c=t[i];delete t[i],o[i]&&(t[o[i]]=c)}return\"function\"==typeof e.transform&&(t=e.transform(t)),t}function s(e){var n=String(e).replace(/[^A-Za-z0-9_]/g,\"_\");return/^[A-Za-z]/.test(n)||(n=\"e_\"+n),n.slice(0,40)}function u(e,n){var t,c=e.type||\"http\",u=a({},e.headers||{});if(\"ga4\"===c){var l={},d=0;for(t in n)!r(n,t)||\"client_id\"===t||d>=25||(l[s(t)]=n[t].slice(0,100),d++);var f=\"measurement_id=\"+encodeURIComponent(e.measurementId)+\"&api_secret=\"+encodeURIComponent(e.apiSecret);return{url:o(e.url||\"https://www.google-analytics.com/mp/collect\",f),method:\"POST\",headers:u,body:JSON.stringify({client_id:e.clientId||n.client_id||n.nonce||i(),events:[{name:s(e.eventName||n.event||\"bildit_event\"),params:l}]})}}if(\"segment\"===c){u[\"Content-Type\"]=\"application/json\",e.writeKey&&(u.Authorization=\"Basic \"+btoa(e.writeKey+\":\"));var p=Number(n.ts);return{url:e.url||\"https://api.segment.io/v1/track\",method:\"POST\",headers:u,body:JSON.stringify({anonymousId:e.anonymousId||n.anonymous_id||n.nonce||i(),event:e.event||n.event||\"BILDIT Event\",properties:n,timestamp:new Date(p>0?p:Date.now()).toISOString(),context:{library:{name:\"@bildit-platform/ai-pixel\"}}})}}var m=String(e.method||\"GET\").toUpperCase();if(\"GET\"===m){var v=[];for(t in n)r(n,t)&&v.push(encodeURIComponent(t)+\"=\"+encodeURIComponent(n[t]));return{url:o(e.url,v.join(\"&\")),method:\"GET\",headers:u}}return u[\"Content-Type\"]=u[\"Content-Type\"]||\"application/json\",{url:e.url,method:m,headers:u,body:JSON.stringify(n)}}var l=n||function(e,n,t){if(e){var o=function(e){for(var n in e)if(r(e,n))return!0;return!1}(e.headers);\"GET\"!==e.method||o?\"function\"==typeof fetch&&fetch(e.url,{method:e.method,headers:e.headers,body:e.body,keepalive:!0,credentials:\"omit\",mode:o?\"cors\":\"no-cors\"}).then(null,function(){}):new Image(1,1).src=e.url}else{var i=t.callback&&window[t.callback];\"function\"==typeof i&&i(n)}};return{forward:function(e,r){for(var o=[],i=0;i<t.length;i++){var a=t[i];if(a){var s=a.name||a.type||\"http\";try{if(\"ga4\"===a.type&&!n)throw new Error(\"GA4 destinations are server-only\");if(a.events&&-1===a.events.indexOf(e.event))continue;var d=c(a,e);if(!d)continue;var f=\"custom\"===a.type?null:u(a,d);o.push({name:s,destination:a,result:l(f,d,a,r)})}catch(e){o.push({name:s,destination:a,error:e})}}}return o}}}"
+  }
+};
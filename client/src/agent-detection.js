@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Automation heuristics for the client runtime. Each matching signal adds its weight to a 0-100
+ * `agent_score`; `annotate(params)` attaches the score and signals to the `render` beacon.
+ * Synthetic pointer input tends to arrive at near-constant intervals, so the first ten mouse
+ * moves are sampled and an `agent-timing` beacon reports the updated score when their timing is
+ * suspiciously regular.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createAgentDetection(ctx) {
+  var weights = { 'webdriver': 50, 'headless-ua': 40, 'no-languages': 15, 'no-plugins': 10, 'zero-window': 20, 'no-pointer': 10, 'timing-regular': 30 };
+  var signals = [];
+
+  function score(){
+    var total = 0;
+    for (var i = 0; i < signals.length; i++) total += weights[signals[i]] || 0;
+    return Math.min(100, total);
+  }
+
+  function collect(){
+    var nav = typeof navigator !== 'undefined' ? navigator : {};
+    var found = [];
+    if (nav.webdriver === true) found.push('webdriver');
+    if (/HeadlessChrome|PhantomJS|Puppeteer|Playwright|Electron|jsdom/i.test(ctx.ua)) found.push('headless-ua');
+    if (!nav.languages || !nav.languages.length) found.push('no-languages');
+    if (nav.plugins && nav.plugins.length === 0) found.push('no-plugins');
+    if (!window.outerWidth || !window.outerHeight || !window.innerWidth || !window.innerHeight) found.push('zero-window');
+    try {
+      if (typeof window.matchMedia === 'function' && window.matchMedia('(any-pointer: none)').matches) found.push('no-pointer');
+    } catch (_) {}
+    return found;
+  }
+
+  var moveTimes = [];
+  function sampleMoveTiming(){
+    moveTimes.push(Date.now());
+    if (moveTimes.length < 10) return;
+    document.removeEventListener('mousemove', sampleMoveTiming, true);
+    var intervals = [];
+    for (var i = 1; i < moveTimes.length; i++) intervals.push(moveTimes[i] - moveTimes[i - 1]);
+    var mean = 0;
+    for (var j = 0; j < intervals.length; j++) mean += intervals[j];
+    mean = mean / intervals.length;
+    var variance = 0;
+    for (var k = 0; k < intervals.length; k++) variance += Math.pow(intervals[k] - mean, 2);
+    var deviation = Math.sqrt(variance / intervals.length);
+    if (mean === 0 || deviation / mean < 0.05) {
+      signals.push('timing-regular');
+      ctx.sendEvent({ mode: 'script', event: 'agent-timing', agent_score: score(), agent_signals: signals.join(','), ua: ctx.ua, ts: Date.now() }, { method: 'fetch' });
+    }
+  }
+  document.addEventListener('mousemove', sampleMoveTiming, { capture: true, passive: true });
+
+  return {
+    annotate: function(params){
+      signals = collect().concat(signals);
+      params.agent_score = score();
+      params.agent_signals = signals.join(',') || 'none';
+    }
+  };
+}
+
+module.exports = createAgentDetection;
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * AI-referral attribution for the pixel runtime.
+ *
+ * Classifies this visit's `document.referrer` / `utm_source` with the shared classifier and keeps
+ * the first assistant the visitor arrived from (first touch) for `ttlDays` in localStorage or a
+ * `bildit_ai_ref` cookie (`storage: 'none'` keeps nothing). `params()` returns `ai_referrer` (the
+ * first touch, else this visit) and `ai_referrer_current` (this visit, when it came from an
+ * assistant); `persist()` stores a new first touch and runs behind the consent gate.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createAIReferrerAttribution(attributionCfg, classify) {
+  var c = attributionCfg || {};
+  var KEY = 'bildit_ai_ref';
+  var storage = c.storage || 'localStorage';
+  var ttl = (c.ttlDays > 0 ? c.ttlDays : 30) * 864e5;
+
+  var current = null;
+  try { current = classify(document.referrer, location.search, c.sources); } catch (_) {}
+
+  function readFirstTouch() {
+    try {
+      if (storage === 'cookie') {
+        var match = /(?:^|;\s*)bildit_ai_ref=([^;]*)/.exec(document.cookie);
+        return match ? decodeURIComponent(match[1]) : null;
+      }
+      if (storage === 'localStorage') {
+        var stored = window.localStorage.getItem(KEY);
+        if (!stored) return null;
+        var parts = stored.split('|');
+        if (!(Number(parts[1]) + ttl > Date.now())) {
+          window.localStorage.removeItem(KEY);
+          return null;
+        }
+        return parts[0];
+      }
+    } catch (_) {}
+    return null;
+  }
+
+  var firstTouch = readFirstTouch();
+
+  function persist() {
+    if (!current || firstTouch) return;
+    firstTouch = current;
+    try {
+      if (storage === 'cookie') {
+        document.cookie = KEY + '=' + encodeURIComponent(current) + '; path=/; max-age=' + Math.round(ttl / 1000) +
+          '; SameSite=Lax' + (c.cookieDomain ? '; domain=' + c.cookieDomain : '') +
+          (location.protocol === 'https:' ? '; Secure' : '');
+      } else if (storage === 'localStorage') {
+        window.localStorage.setItem(KEY, current + '|' + Date.now());
+      }
+    } catch (_) {}
+  }
+
+  function params() {
+    var result = {};
+    if (firstTouch || current) result.ai_referrer = firstTouch || current;
+    if (current) result.ai_referrer_current = current;
+    return result;
+  }
+
+  return { params: params, persist: persist };
+}
+
+module.exports = createAIReferrerAttribution;
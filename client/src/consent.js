@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Consent gate for the client runtime.
+ *
+ * `gate.run(fn)` runs `fn` immediately when consent is granted, queues it while consent is
+ * pending and drops it once consent is denied; `gate.onDenied(fn)` runs `fn` whenever consent
+ * becomes (or already is) denied. The store lives on `window.BILDIT_CONSENT` so every
+ * BILDIT script on the page (and the site's CMP glue) shares one state. TCF v2 (`__tcfapi`) and
+ * Google Consent Mode (`dataLayer` consent commands) update the store when present.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createConsentGate(consentCfg) {
+  if (!consentCfg) return { run: function(fn){ fn(); }, onDenied: function(){} };
+  var w = typeof window !== 'undefined' ? window : {};
+  var required = consentCfg.purposes || [];
+  var store = w.BILDIT_CONSENT;
+  if (!store || typeof store.subscribe !== 'function') {
+    var preset = store;
+    var listeners = [];
+    store = {
+      state: consentCfg.state || 'pending',
+      purposes: {},
+      update: function(next){
+        if (next == null) return;
+        if (typeof next === 'string') {
+          store.state = next;
+        } else if (typeof next === 'object') {
+          if (next.state) store.state = next.state;
+          if (next.purposes) {
+            for (var p in next.purposes) {
+              if (Object.prototype.hasOwnProperty.call(next.purposes, p)) store.purposes[p] = !!next.purposes[p];
+            }
+          }
+        }
+        for (var i = 0; i < listeners.length; i++) {
+          try { listeners[i](store); } catch (_) {}
+        }
+      },
+      subscribe: function(fn){ listeners.push(fn); }
+    };
+    if (preset != null) store.update(preset);
+    try { w.BILDIT_CONSENT = store; } catch (_) {}
+  }
+
+  function decide(){
+    if (store.state === 'denied') return 'denied';
+    var missing = false;
+    for (var i = 0; i < required.length; i++) {
+      var value = store.purposes[required[i]];
+      if (value === false) return 'denied';
+      if (value !== true) missing = true;
+    }
+    if (store.state === 'granted') return 'granted';
+    return (required.length && !missing) ? 'granted' : 'pending';
+  }
+
+  var queue = [];
+  var deniedListeners = [];
+  store.subscribe(function(){
+    var decision = decide();
+    if (decision === 'granted') {
+      var held = queue;
+      queue = [];
+      for (var i = 0; i < held.length; i++) {
+        try { held[i](); } catch (_) {}
+      }
+    } else if (decision === 'denied') {
+      queue = [];
+      for (var j = 0; j < deniedListeners.length; j++) {
+        try { deniedListeners[j](); } catch (_) {}
+      }
+    }
+  });
+
+  if (consentCfg.tcf !== false && typeof w.__tcfapi === 'function') {
+    try {
+      w.__tcfapi('addEventListener', 2, function(tcData, success){
+        if (!success || !tcData) return;
+        if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+        if (tcData.gdprApplies === false) { store.update('granted'); return; }
+        var consents = (tcData.purpose && tcData.purpose.consents) || {};
+        var tcfPurposes = consentCfg.tcfPurposes || [1];
+        for (var i = 0; i < tcfPurposes.length; i++) {
+          if (!consents[tcfPurposes[i]]) { store.update('denied'); return; }
+        }
+        store.update('granted');
+      });
+    } catch (_) {}
+  }
+
+  var dataLayer = w.dataLayer;
+  if (consentCfg.googleConsentMode !== false && dataLayer && typeof dataLayer.push === 'function') {
+    var consentKey = consentCfg.googleConsentKey || 'analytics_storage';
+    var readConsentCommand = function(entry){
+      if (!entry || entry[0] !== 'consent' || !entry[2]) return;
+      if (entry[1] !== 'default' && entry[1] !== 'update') return;
+      var value = entry[2][consentKey];
+      if (value === 'granted' || value === 'denied') store.update(value);
+    };
+    for (var d = 0; d < dataLayer.length; d++) readConsentCommand(dataLayer[d]);
+    var originalPush = dataLayer.push;
+    dataLayer.push = function(){
+      var result = originalPush.apply(dataLayer, arguments);
+      for (var a = 0; a < arguments.length; a++) readConsentCommand(arguments[a]);
+      return result;
+    };
+  }
+
+  return {
+    run: function(fn){
+      var decision = decide();
+      if (decision === 'granted') return fn();
+      if (decision === 'pending') queue.push(fn);
+    },
+    onDenied: function(fn){
+      deniedListeners.push(fn);
+      if (decide() === 'denied') fn();
+    }
+  };
+}
+
+module.exports = createConsentGate;
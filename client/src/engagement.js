@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Engagement beacons for the client runtime: active (visible) time, scroll depth milestones and a
+ * summary on `pagehide`.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function installEngagement(ctx, engagementCfg) {
+  var milestones = (engagementCfg && engagementCfg.scrollMilestones) || [25, 50, 75, 100];
+  var reachedMilestones = {};
+  var maxScroll = 0;
+  var activeMs = 0;
+  var visibleSince = document.visibilityState === 'hidden' ? 0 : Date.now();
+  var summarySent = false;
+
+  function updateActiveTime(){
+    if (visibleSince) {
+      activeMs += Date.now() - visibleSince;
+      visibleSince = 0;
+    }
+  }
+
+  function handleScrollDepth(){
+    var root = document.documentElement || document.body;
+    if (!root) return;
+    var scrollable = root.scrollHeight || 0;
+    if (!scrollable) return;
+    var depth = Math.min(100, Math.round(((window.scrollY || window.pageYOffset || 0) + (window.innerHeight || 0)) / scrollable * 100));
+    if (depth > maxScroll) maxScroll = depth;
+    for (var i = 0; i < milestones.length; i++) {
+      var milestone = milestones[i];
+      if (depth >= milestone && !reachedMilestones[milestone]) {
+        reachedMilestones[milestone] = true;
+        ctx.sendEvent({ mode: 'script', event: 'scroll-depth', depth: milestone, ua: ctx.ua, ts: Date.now() }, { method: 'fetch' });
+      }
+    }
+  }
+
+  document.addEventListener('visibilitychange', function(){
+    if (document.visibilityState === 'hidden') {
+      updateActiveTime();
+    } else if (!visibleSince) {
+      visibleSince = Date.now();
+    }
+  });
+  window.addEventListener('scroll', handleScrollDepth, { passive: true });
+  window.addEventListener('pagehide', function(){
+    if (summarySent) return;
+    summarySent = true;
+    updateActiveTime();
+    ctx.sendEvent({ mode: 'script', event: 'engagement', active_ms: activeMs, max_scroll: maxScroll, ua: ctx.ua, ts: Date.now() }, { method: 'beacon' });
+  });
+}
+
+module.exports = installEngagement;
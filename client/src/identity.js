@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Session and visitor IDs for the client runtimes.
+ *
+ * `stamp(params)` adds `sid` (and `vid` with `visitor: true`) to an outgoing beacon. The session
+ * rolls: it ends after `sessionTimeout` minutes (default 30) without a beacon. `storage` picks
+ * where the IDs live: `'sessionStorage'` (default, per tab), `'cookie'` (the `bildit_sid` /
+ * `bildit_vid` cookies, shared with the server helper that may have set them) or `'none'` (this
+ * page only). Downgraded and suppressed hits are left unstamped. Runs inside the consent gate, so
+ * nothing is stored before consent.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createIdentity(identityCfg) {
+  var c = identityCfg || {};
+  var storage = c.storage || 'sessionStorage';
+  var timeout = (c.sessionTimeout > 0 ? c.sessionTimeout : 30) * 6e4;
+  var visitorMaxAge = Math.round((c.visitorDays > 0 ? c.visitorDays : 365) * 86400);
+  var SID = 'bildit_sid';
+  var VID = 'bildit_vid';
+  var VALID = /^[A-Za-z0-9_-]{8,64}$/;
+  var memory = {};
+
+  function newId() {
+    var bytes = null;
+    try { bytes = window.crypto.getRandomValues(new Uint8Array(12)); } catch (_) {}
+    var id = '';
+    for (var i = 0; i < 12; i++) {
+      var b = bytes ? bytes[i] : Math.floor(Math.random() * 256);
+      id += (b < 16 ? '0' : '') + b.toString(16);
+    }
+    return id;
+  }
+
+  function readCookie(name) {
+    try {
+      var match = new RegExp('(?:^|;\\s*)' + name + '=([^;]*)').exec(document.cookie);
+      return match && VALID.test(match[1]) ? match[1] : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function writeCookie(name, value, maxAge) {
+    try {
+      document.cookie = name + '=' + value + '; path=/; max-age=' + maxAge + '; SameSite=Lax' +
+        (c.cookieDomain ? '; domain=' + c.cookieDomain : '') +
+        (location.protocol === 'https:' ? '; Secure' : '');
+    } catch (_) {}
+  }
+
+  // `id|lastActivity` for the session, the bare id for the visitor.
+  function read(key) {
+    if (storage === 'sessionStorage') {
+      try { return window.sessionStorage.getItem(key); } catch (_) {}
+    }
+    return memory[key] || null;
+  }
+
+  function write(key, value) {
+    memory[key] = value;
+    if (storage === 'sessionStorage') {
+      try { window.sessionStorage.setItem(key, value); } catch (_) {}
+    }
+  }
+
+  function session(now) {
+    if (storage === 'cookie') {
+      // The cookie's max-age is the rolling window; every beacon pushes it out again.
+      var cookieId = readCookie(SID) || newId();
+      writeCookie(SID, cookieId, Math.round(timeout / 1000));
+      return cookieId;
+    }
+    var parts = (read(SID) || '').split('|');
+    var id = VALID.test(parts[0]) && Number(parts[1]) + timeout > now ? parts[0] : newId();
+    write(SID, id + '|' + now);
+    return id;
+  }
+
+  function visitor() {
+    if (storage === 'cookie') {
+      var cookieId = readCookie(VID);
+      if (!cookieId) {
+        cookieId = newId();
+        writeCookie(VID, cookieId, visitorMaxAge);
+      }
+      return cookieId;
+    }
+    var id = read(VID);
+    if (!id || !VALID.test(id)) {
+      id = newId();
+      write(VID, id);
+    }
+    return id;
+  }
+
+  function stamp(params) {
+    if (params.privacy === 'downgraded' || params.privacy === 'suppressed') return params;
+    if (params.sid == null) params.sid = session(Date.now());
+    if (c.visitor && params.vid == null) params.vid = visitor();
+    return params;
+  }
+
+  return { stamp: stamp };
+}
+
+module.exports = createIdentity;
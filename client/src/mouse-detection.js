@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Mouse activity runtime: records pointer movement, clicks and scrolls for a short window and
+ * reports them as throttled `mode=mouse` beacons (`mouse-init`, `mouse-start`, `mouse-update`,
+ * `mouse-click`, `scroll`, `mouse-end`). Returns the controls it also exposes on
+ * `window.BILDIT_MOUSE_DETECTION`.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function mouseDetectionRuntime(cfg, modules) {
+  if (window.BILDIT_MOUSE_DETECTION_INITIALIZED && window.BILDIT_MOUSE_DETECTION) {
+    return window.BILDIT_MOUSE_DETECTION;
+  }
+
+  var pixelUrl = cfg.pixelUrl;
+  var opts = cfg.options || {};
+  var DURATION = Number(opts.duration) || 5000;
+  var THROTTLE = Number(opts.throttle) || 1000;
+  var MAX = Number(opts.maxMovements) || 10;
+  var baseParams = opts.params || {};
+
+  // Ensure site param defaults to current origin when available
+  try {
+    if (typeof location !== 'undefined' && location.origin && baseParams && baseParams.site == null) {
+      baseParams.site = location.origin;
+    }
+  } catch (_) {}
+
+  var isRecording = false;
+  var startTime = 0;
+  var lastPing = 0;
+  var count = 0;
+  var movements = [];
+
+  var consentGate = modules.consent ? modules.consent(cfg.consent) : { run: function(fn){ fn(); }, onDenied: function(){} };
+  var privacyPolicy = modules.privacy ? modules.privacy(cfg.privacy) : { filter: function(extra){ return extra; } };
+  var transport = modules.transport(pixelUrl, cfg.transport);
+  // Beacons stored offline on an earlier visit go out only with consent and are dropped without it.
+  consentGate.run(function(){ transport.drain(); });
+  consentGate.onDenied(function(){ transport.discard(); });
+  var logger = modules.logger && cfg.logger
+    ? modules.logger({ level: cfg.logger.level, redact: cfg.logger.redact, prefix: '[BILDIT Mouse Detection]', logger: window.BILDIT_LOGGER })
+    : null;
+
+  var destinations = modules.destinations && cfg.destinations ? modules.destinations(cfg.destinations) : null;
+  var identity = modules.identity && cfg.identity ? modules.identity(cfg.identity) : null;
+
+  function log(message, data){
+    if (logger) logger.debug(message, data);
+  }
+
+  function qs(extra){
+    var sp = new URLSearchParams();
+    for (var k in baseParams){ if (Object.prototype.hasOwnProperty.call(baseParams,k) && baseParams[k]!=null) sp.set(k, String(baseParams[k])); }
+    if (extra){ for (var ek in extra){ if (Object.prototype.hasOwnProperty.call(extra,ek) && extra[ek]!=null) sp.set(ek, String(extra[ek])); } }
+    if (!sp.has('ts')) sp.set('ts', Date.now().toString());
+    if (!sp.has('nonce')) sp.set('nonce', Math.random().toString(36).slice(2));
+    sp.set('mode','mouse');
+    if (destinations) {
+      var params = {};
+      sp.forEach(function(value, key){ params[key] = value; });
+      destinations.forward(params);
+    }
+    return sp.toString();
+  }
+
+  function send(extra){
+    extra = privacyPolicy.filter(extra);
+    if (!extra) return;
+    consentGate.run(function(){
+      var now = Date.now();
+      if (now - lastPing < THROTTLE) {
+        log('Request throttled', { event: extra.event });
+        return;
+      }
+      lastPing = now;
+      if (identity) identity.stamp(extra);
+      transport.send(qs(extra), 'image');
+      log('Pixel request sent', { event: extra.event });
+    });
+  }
+
+  function start(){
+    if (isRecording) return;
+    isRecording = true;
+    startTime = Date.now();
+    count = 0;
+    movements = [];
+    send({ event:'mouse-start' });
+    setTimeout(stop, DURATION);
+  }
+
+  function stop(){
+    if (!isRecording) return;
+    isRecording = false;
+    var dur = Date.now() - startTime;
+    var summary = movements.slice(0,5);
+    try { summary = JSON.stringify(summary); } catch(e){ summary = '[]'; }
+    send({ event:'mouse-end', dur: String(dur), moves: String(movements.length), data: summary });
+  }
+
+  function onMove(e){
+    if (!isRecording) start();
+    count++;
+    if (movements.length < MAX){
+      movements.push({ x:e.clientX, y:e.clientY, t: Date.now()-startTime });
+    }
+    if (count % 5 === 0){
+      send({ event:'mouse-update', c:String(count), t:String(Date.now()-startTime), x:String(e.clientX), y:String(e.clientY) });
+    }
+  }
+
+  function onClick(e){
+    if (!isRecording) start();
+    send({ event:'mouse-click', x:String(e.clientX), y:String(e.clientY), b:String(e.button) });
+  }
+
+  function onScroll(){
+    if (!isRecording) start();
+    send({ event:'scroll', sx:String(window.scrollX||0), sy:String(window.scrollY||0) });
+  }
+
+  function cleanup(){
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('click', onClick);
+    window.removeEventListener('scroll', onScroll);
+    window.BILDIT_MOUSE_DETECTION_INITIALIZED = false;
+    log('Mouse detection cleaned up');
+  }
+
+  function configure(next){
+    if (!next) return;
+    if (next.pixelUrl) {
+      pixelUrl = next.pixelUrl;
+      transport = modules.transport(pixelUrl, cfg.transport);
+      consentGate.run(transport.drain);
+    }
+    if (next.duration) DURATION = Number(next.duration) || DURATION;
+    if (next.throttle) THROTTLE = Number(next.throttle) || THROTTLE;
+    if (next.maxMovements) MAX = Number(next.maxMovements) || MAX;
+  }
+
+  document.addEventListener('mousemove', onMove, { passive:true });
+  document.addEventListener('click', onClick, { passive:true });
+  window.addEventListener('scroll', onScroll, { passive:true });
+
+  // Initial beacon for environment
+  send({ event:'mouse-init', vw:String(window.innerWidth||0), vh:String(window.innerHeight||0) });
+  log('Mouse detection initialized', { pixelUrl: pixelUrl, duration: DURATION, throttle: THROTTLE, maxMovements: MAX });
+
+  var controls = { start:start, stop:stop, cleanup:cleanup, configure:configure };
+  try {
+    window.BILDIT_MOUSE_DETECTION = controls;
+    window.BILDIT_MOUSE_DETECTION_INITIALIZED = true;
+  } catch(_){}
+  return controls;
+}
+
+module.exports = mouseDetectionRuntime;
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Page context for the client runtime: which page the visitor or agent was on. `annotate(params)`
+ * adds `path`, `query` (values redacted unless their key is in `query.allow`; `query: false`
+ * drops it), `canonical`, `lang`, `og_type`, `title`, the JSON-LD `@type`s as `ld_type` (with
+ * `jsonLd: true`) and the listed `data-bildit-*` attributes of `<html>` / `<body>` as `page_<name>`.
+ * Keys already present are left alone; `redactPath` applies the same query redaction to page view
+ * paths. Each value is cut to `maxLength` characters and fields are dropped, least important
+ * first, once their URL-encoded size would pass `maxTotal`, so beacons stay within URL limits.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createPageContext(pageCfg) {
+  var c = pageCfg || {};
+  var maxLength = c.maxLength > 0 ? c.maxLength : 200;
+  var maxTotal = c.maxTotal > 0 ? c.maxTotal : 1000;
+  var allow = c.query && c.query.allow ? c.query.allow : [];
+  var attributes = c.attributes || [];
+
+  function redactQuery(search) {
+    if (!search || c.query === false) return '';
+    var redacted = new URLSearchParams();
+    new URLSearchParams(search).forEach(function(value, key){
+      redacted.append(key, allow.indexOf(key) !== -1 ? value : 'redacted');
+    });
+    return redacted.toString();
+  }
+
+  function attr(selector, name) {
+    var el = document.querySelector(selector);
+    return el ? el.getAttribute(name) : null;
+  }
+
+  function canonical() {
+    var el = document.querySelector('link[rel="canonical"]');
+    if (!el || !el.href) return null;
+    try {
+      var url = new URL(el.href, location.href);
+      var query = redactQuery(url.search);
+      return url.origin + url.pathname + (query ? '?' + query : '');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function ldTypes() {
+    var types = [];
+    function add(node) {
+      if (!node || typeof node !== 'object') return;
+      var type = node['@type'];
+      var list = typeof type === 'string' ? [type] : (type && type.length ? type : []);
+      for (var i = 0; i < list.length; i++) {
+        if (typeof list[i] === 'string' && types.indexOf(list[i]) === -1) types.push(list[i]);
+      }
+      if (node['@graph'] && node['@graph'].length) {
+        for (var g = 0; g < node['@graph'].length; g++) add(node['@graph'][g]);
+      }
+    }
+    var scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    for (var s = 0; s < scripts.length && s < 10; s++) {
+      var text = scripts[s].textContent || '';
+      // Very large blocks are skipped rather than parsed on the main thread.
+      if (text.length > 100000) continue;
+      try {
+        var data = JSON.parse(text);
+        if (data && data.length) {
+          for (var d = 0; d < data.length; d++) add(data[d]);
+        } else {
+          add(data);
+        }
+      } catch (_) {}
+    }
+    return types.join(',');
+  }
+
+  function collect() {
+    var fields = [];
+    fields.push(['path', location.pathname]);
+    fields.push(['query', redactQuery(location.search)]);
+    fields.push(['canonical', canonical()]);
+    fields.push(['lang', document.documentElement && document.documentElement.getAttribute('lang')]);
+    fields.push(['og_type', attr('meta[property="og:type"]', 'content')]);
+    if (c.jsonLd) fields.push(['ld_type', ldTypes()]);
+    fields.push(['title', document.title]);
+    for (var i = 0; i < attributes.length; i++) {
+      var name = 'data-bildit-' + attributes[i];
+      var value = (document.documentElement && document.documentElement.getAttribute(name)) ||
+        (document.body && document.body.getAttribute(name));
+      fields.push(['page_' + attributes[i].replace(/-/g, '_'), value]);
+    }
+    return fields;
+  }
+
+  // For the `path` / `prev_path` of page views, which carry the query string.
+  function redactPath(path) {
+    var index = path.indexOf('?');
+    if (index === -1) return path;
+    var query = redactQuery(path.slice(index));
+    return path.slice(0, index) + (query ? '?' + query : '');
+  }
+
+  return {
+    redactPath: redactPath,
+    annotate: function(params){
+      var fields;
+      try { fields = collect(); } catch (_) { return; }
+      // A `path` the caller set (page views) carries its own query; read before `path` is added.
+      var pathPreset = params.path != null;
+      var used = 0;
+      for (var i = 0; i < fields.length; i++) {
+        var key = fields[i][0];
+        var value = fields[i][1];
+        if (value == null || value === '' || params[key] != null) continue;
+        if (key === 'query' && pathPreset) continue;
+        value = String(value).replace(/\s+/g, ' ').trim().slice(0, maxLength);
+        var size = encodeURIComponent(key).length + encodeURIComponent(value).length + 2;
+        if (!value || used + size > maxTotal) continue;
+        used += size;
+        params[key] = value;
+      }
+    }
+  };
+}
+
+module.exports = createPageContext;
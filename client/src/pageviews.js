@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * SPA page view tracking for the client runtime. Wraps `history.pushState`/`replaceState`, listens
+ * to `popstate` and, in the Next.js Pages router, to `routeChangeComplete`. Deduplication against
+ * the initial `render` beacon lives in `ctx.trackPageview`.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function installPageviews(ctx, pageviewsCfg) {
+  if (typeof history === 'undefined') return;
+
+  function patchHistory(method, nav){
+    var original = history[method];
+    if (typeof original !== 'function') return;
+    history[method] = function(){
+      var result = original.apply(this, arguments);
+      try { ctx.trackPageview(nav); } catch (_) {}
+      return result;
+    };
+  }
+
+  patchHistory('pushState', 'push');
+  patchHistory('replaceState', 'replace');
+  window.addEventListener('popstate', function(){ ctx.trackPageview('pop'); });
+
+  // Next.js Pages router: route events also cover navigations that bypass the patched history.
+  var nextRouter = pageviewsCfg && pageviewsCfg.nextRouter && window.next && window.next.router;
+  if (nextRouter && nextRouter.events && typeof nextRouter.events.on === 'function') {
+    nextRouter.events.on('routeChangeComplete', function(url){
+      try {
+        var routeUrl = new URL(url, location.href);
+        ctx.trackPageview('next-router', routeUrl.pathname + routeUrl.search);
+      } catch (_) {}
+    });
+  }
+}
+
+module.exports = installPageviews;
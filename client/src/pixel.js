@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * Pixel beacon runtime: the `bootstrap`, `render` and `mouse` beacons, the `window.bilditPixel`
+ * command queue and page view bookkeeping. Optional features arrive through `modules`; a feature
+ * left out of the build for this config is simply absent.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function pixelRuntime(cfg, modules) {
+  var baseParams = cfg.params || {};
+  var pixelUrl = cfg.pixelUrl;
+  var UA = (typeof navigator !== 'undefined' && navigator.userAgent) ? navigator.userAgent : 'unknown';
+
+  // Ensure site param defaults to current origin when available
+  try {
+    if (typeof location !== 'undefined' && location.origin && baseParams && baseParams.site == null) {
+      baseParams.site = location.origin;
+    }
+  } catch (_) {}
+
+  var consentGate = modules.consent ? modules.consent(cfg.consent) : { run: function(fn){ fn(); }, onDenied: function(){} };
+  var privacyPolicy = modules.privacy ? modules.privacy(cfg.privacy) : { filter: function(extra){ return extra; } };
+  var transport = modules.transport(pixelUrl, cfg.transport);
+  // Beacons stored offline on an earlier visit go out only with consent and are dropped without it.
+  consentGate.run(transport.drain);
+  consentGate.onDenied(transport.discard);
+  var logger = modules.logger && cfg.logger
+    ? modules.logger({ level: cfg.logger.level, redact: cfg.logger.redact, prefix: '[BILDIT Pixel]', logger: window.BILDIT_LOGGER })
+    : null;
+
+  var destinations = modules.destinations && cfg.destinations ? modules.destinations(cfg.destinations) : null;
+  var identity = modules.identity && cfg.identity ? modules.identity(cfg.identity) : null;
+
+  // AI-referral attribution rides on every beacon; a new first touch is only stored with consent.
+  if (modules.aiReferrer && cfg.aiReferrer) {
+    var attribution = modules.aiReferrer(cfg.aiReferrer, modules.classifyAIReferrer);
+    var attributed = attribution.params();
+    for (var attributedKey in attributed) {
+      if (baseParams[attributedKey] == null) baseParams[attributedKey] = attributed[attributedKey];
+    }
+    consentGate.run(attribution.persist);
+  }
+
+  function log(message, data) {
+    if (logger) logger.debug(message, data);
+  }
+
+  function collectParams(extra) {
+    var params = {};
+    for (var key in baseParams) {
+      if (Object.prototype.hasOwnProperty.call(baseParams, key) && baseParams[key] != null) {
+        params[key] = String(baseParams[key]);
+      }
+    }
+    if (extra) {
+      for (var extraKey in extra) {
+        if (Object.prototype.hasOwnProperty.call(extra, extraKey) && extra[extraKey] != null) {
+          params[extraKey] = String(extra[extraKey]);
+        }
+      }
+    }
+    return params;
+  }
+
+  function toQuery(params) {
+    var query = new URLSearchParams();
+    for (var key in params) {
+      if (Object.prototype.hasOwnProperty.call(params, key)) query.append(key, params[key]);
+    }
+    return query.toString();
+  }
+
+  function mergeParams(extra) {
+    var params = collectParams(extra);
+    if (identity) identity.stamp(params);
+    if (destinations) destinations.forward(params);
+    return toQuery(params);
+  }
+
+  function sendEvent(extra, opts) {
+    var event = extra.event;
+    extra = privacyPolicy.filter(extra);
+    if (!extra) return log('Beacon suppressed', { event: event });
+    consentGate.run(function(){
+      transport.send(mergeParams(extra), opts && opts.method);
+      log('Beacon sent', { event: extra.event, mode: extra.mode });
+    });
+  }
+
+  function appendPixel(extra) {
+    var event = extra.event;
+    extra = privacyPolicy.filter(extra);
+    if (!extra) return log('Beacon suppressed', { event: event });
+    consentGate.run(function(){
+      renderPixel(extra);
+      log('Pixel rendered', { event: extra.event, mode: extra.mode });
+    });
+  }
+
+  function renderPixel(extra) {
+    var img = new Image(1, 1);
+    img.alt = cfg.alt || '';
+    img.decoding = 'async';
+    img.loading = 'lazy';
+    img.referrerPolicy = 'no-referrer-when-downgrade';
+    img.style.position = 'absolute';
+    img.style.width = '1px';
+    img.style.height = '1px';
+    img.style.border = '0';
+    img.style.clip = 'rect(0, 0, 0, 0)';
+    img.style.overflow = 'hidden';
+    img.width = 1;
+    img.height = 1;
+    var qs = mergeParams(extra);
+    img.src = pixelUrl + (pixelUrl.indexOf('?') === -1 ? '?' : '&') + qs;
+    var target = document.body || document.documentElement;
+    if (target) {
+      target.appendChild(img);
+    }
+  }
+
+  // Page views after client-side navigations. The initial load is covered by the `render`
+  // beacon, so the current path seeds `lastPath` and only changes produce a `pageview`.
+  function currentPath() {
+    try { return location.pathname + location.search; } catch (_) { return ''; }
+  }
+
+  // Query values can carry tokens or personal data, so page view paths keep only the keys; with
+  // `pageContext` its `query` option decides (allowlisted keys, or no query at all).
+  function redactPath(path) {
+    if (pageContext) return pageContext.redactPath(path);
+    var index = path.indexOf('?');
+    if (index === -1) return path;
+    var redacted = new URLSearchParams();
+    new URLSearchParams(path.slice(index)).forEach(function(value, key){
+      redacted.append(key, 'redacted');
+    });
+    var query = redacted.toString();
+    return path.slice(0, index) + (query ? '?' + query : '');
+  }
+
+  var lastPath = currentPath();
+  function trackPageview(nav, path) {
+    var nextPath = path || currentPath();
+    if (!nextPath || nextPath === lastPath) return;
+    var previousPath = lastPath;
+    lastPath = nextPath;
+    var pageviewParams = { mode: 'script', event: 'pageview', path: redactPath(nextPath), prev_path: redactPath(previousPath), nav: nav, ua: UA, ts: Date.now() };
+    if (pageContext) pageContext.annotate(pageviewParams);
+    sendEvent(pageviewParams, { method: 'fetch' });
+  }
+
+  var ctx = { ua: UA, sendEvent: sendEvent, trackPageview: trackPageview };
+
+  sendEvent({ mode: 'script', event: 'bootstrap', ua: UA, ts: Date.now() }, { method: 'fetch' });
+
+  var agentDetection = modules.agentDetection ? modules.agentDetection(ctx) : null;
+  var pageContext = modules.pageContext && cfg.pageContext ? modules.pageContext(cfg.pageContext) : null;
+
+  function initPixel() {
+    var renderParams = { mode: 'js-img', event: 'render', ts: Date.now(), r: Math.random().toString(36).slice(2), ua: UA };
+    if (agentDetection) agentDetection.annotate(renderParams);
+    if (pageContext) pageContext.annotate(renderParams);
+    appendPixel(renderParams);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPixel, { once: true });
+  } else {
+    initPixel();
+  }
+
+  var mouseTracked = false;
+  function handleMouseMove() {
+    if (mouseTracked) return;
+    mouseTracked = true;
+    sendEvent({ mode: 'script', event: 'mouse', mouse: '1', ua: UA, ts: Date.now() }, { method: 'fetch' });
+    document.removeEventListener('mousemove', handleMouseMove, true);
+  }
+  document.addEventListener('mousemove', handleMouseMove, { once: true, capture: true, passive: true });
+
+  if (modules.engagement) modules.engagement(ctx, cfg.engagement);
+
+  // Command queue: `window.bilditPixel.push(['track', name, props])`, `['set', params]` or
+  // `['pageview', { path }]`. Commands pushed before this script ran are replayed once installed.
+  function trackEvent(name, props) {
+    if (!name) return;
+    var extra = {};
+    if (props && typeof props === 'object') {
+      for (var propKey in props) {
+        if (Object.prototype.hasOwnProperty.call(props, propKey)) extra[propKey] = props[propKey];
+      }
+    }
+    extra.mode = 'script';
+    extra.event = String(name);
+    extra.ua = UA;
+    extra.ts = Date.now();
+    sendEvent(extra, { method: 'fetch' });
+  }
+
+  function runCommand(command) {
+    if (!command || typeof command[0] !== 'string') return;
+    if (command[0] === 'track') {
+      trackEvent(command[1], command[2]);
+    } else if (command[0] === 'pageview') {
+      var pageview = command[1] || {};
+      trackPageview(pageview.nav || 'manual', pageview.path);
+    } else if (command[0] === 'set' && command[1] && typeof command[1] === 'object') {
+      for (var setKey in command[1]) {
+        if (Object.prototype.hasOwnProperty.call(command[1], setKey)) baseParams[setKey] = command[1][setKey];
+      }
+    }
+  }
+
+  var existingQueue = window.bilditPixel;
+  if (!existingQueue || !existingQueue.loaded) {
+    window.bilditPixel = {
+      loaded: true,
+      push: function(){
+        for (var i = 0; i < arguments.length; i++) runCommand(arguments[i]);
+      },
+      track: function(name, props){ runCommand(['track', name, props]); },
+      set: function(params){ runCommand(['set', params]); }
+    };
+    if (existingQueue && typeof existingQueue.length === 'number') {
+      for (var q = 0; q < existingQueue.length; q++) runCommand(existingQueue[q]);
+    }
+    if (modules.pageviews) modules.pageviews(ctx, cfg.pageviews);
+  }
+}
+
+module.exports = pixelRuntime;
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * GPC / Do-Not-Track policy for the client runtime.
+ *
+ * `policy.filter(extra)` returns the beacon params to send, tagged with the `privacy` decision, or
+ * null when the hit is suppressed. A downgraded hit loses the params that identify the device or
+ * visitor; a suppressed visitor still produces one minimal `suppressed` beacon so the traffic can
+ * be counted.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createPrivacyPolicy(privacyCfg) {
+  if (!privacyCfg) return { filter: function(extra){ return extra; } };
+  var stripped = ['ua', 'x', 'y', 'sx', 'sy', 'vw', 'vh', 'data'];
+  var nav = typeof navigator !== 'undefined' ? navigator : {};
+  var w = typeof window !== 'undefined' ? window : {};
+  var signal = null;
+  if (privacyCfg.respectGPC && nav.globalPrivacyControl === true) {
+    signal = 'gpc';
+  } else if (privacyCfg.respectDNT) {
+    var dnt = nav.doNotTrack || w.doNotTrack || nav.msDoNotTrack;
+    if (dnt === '1' || dnt === 'yes' || dnt === 1) signal = 'dnt';
+  }
+  var decision = signal ? (privacyCfg.action === 'suppress' ? 'suppressed' : 'downgraded') : 'allowed';
+  var reported = false;
+  return {
+    decision: decision,
+    filter: function(extra){
+      if (decision === 'suppressed') {
+        if (reported) return null;
+        reported = true;
+        return { mode: extra && extra.mode, event: 'suppressed', privacy: decision, privacy_signal: signal };
+      }
+      var result = {};
+      for (var key in extra) {
+        if (!Object.prototype.hasOwnProperty.call(extra, key)) continue;
+        if (decision === 'downgraded' && stripped.indexOf(key) !== -1) continue;
+        result[key] = extra[key];
+      }
+      result.privacy = decision;
+      if (signal) result.privacy_signal = signal;
+      return result;
+    }
+  };
+}
+
+module.exports = createPrivacyPolicy;
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Bootstrap for the standalone scripts/mouse-detection.js build. Reads the `window.BILDIT_*`
+ * configuration globals (or the `data-bildit-config` attribute written by
+ * `BILDITMouseDetectionScript` with `scriptSrc`), starts the mouse runtime once the DOM is ready
+ * and exposes the legacy `BILDIT_MOUSE_DETECTION_CONFIG` / `BILDIT_MOUSE_DETECTION_CLEANUP` controls.
+ *
+ * Serialized into the standalone script by scripts/build-client.js: keep it self-contained ES5.
+ */
+function standaloneMouseDetection(runtime, modules) {
+  var w = window;
+  var respectGPC = w.BILDIT_RESPECT_GPC === true;
+  var respectDNT = w.BILDIT_RESPECT_DNT === true;
+  var cfg = {
+    pixelUrl: w.BILDIT_PIXEL_URL || 'https://ai-pixel.bildit.co/pixel.gif',
+    options: {
+      duration: w.BILDIT_RECORDING_DURATION,
+      throttle: w.BILDIT_THROTTLE_INTERVAL,
+      maxMovements: w.BILDIT_MAX_MOVEMENTS,
+      params: { source: 'mouse-detection' }
+    },
+    consent: w.BILDIT_CONSENT != null ? { state: 'pending', purposes: [] } : null,
+    privacy: (respectGPC || respectDNT)
+      ? { respectGPC: respectGPC, respectDNT: respectDNT, action: w.BILDIT_PRIVACY_ACTION === 'suppress' ? 'suppress' : 'downgrade' }
+      : null,
+    transport: null,
+    identity: w.BILDIT_IDENTITY || null,
+    logger: (w.BILDIT_DEBUG || w.BILDIT_LOG_LEVEL)
+      ? { level: w.BILDIT_LOG_LEVEL || 'debug', redact: w.BILDIT_LOG_REDACT !== false }
+      : null,
+    destinations: w.BILDIT_DESTINATIONS || null
+  };
+
+  var script = document.currentScript;
+  var raw = script && script.getAttribute('data-bildit-config');
+  if (raw) {
+    try { cfg = JSON.parse(raw); } catch (_) {}
+  }
+
+  function initialize(){
+    var controls = runtime(cfg, modules);
+    w.BILDIT_MOUSE_DETECTION_CLEANUP = controls.cleanup;
+    w.BILDIT_MOUSE_DETECTION_CONFIG = {
+      setPixelUrl: function(url){ controls.configure({ pixelUrl: url }); },
+      setRecordingDuration: function(duration){ controls.configure({ duration: duration }); },
+      setThrottleInterval: function(interval){ controls.configure({ throttle: interval }); },
+      setMaxMovements: function(max){ controls.configure({ maxMovements: max }); },
+      startRecording: controls.start,
+      stopRecording: controls.stop,
+      cleanup: controls.cleanup
+    };
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+}
+
+module.exports = standaloneMouseDetection;
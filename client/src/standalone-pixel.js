@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Bootstrap for the hostable client/pixel-runtime.js build. Loaded through `<script src>` (the
+ * `scriptSrc` prop), it reads the config the component serialized into `data-bildit-config` and
+ * starts the pixel runtime with the modules that config enables.
+ *
+ * Serialized into the hosted script by scripts/build-client.js: keep it self-contained ES5.
+ */
+function standalonePixel(runtime, modules) {
+  var script = document.currentScript;
+  var raw = script && script.getAttribute('data-bildit-config');
+  if (!raw) return;
+
+  var cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (error) {
+    try { console.error('BILDITAIPixel config error:', error); } catch (_) {}
+    return;
+  }
+
+  // Mirror the render-time feature flags so the hosted build behaves like the inline one.
+  var enabled = { transport: modules.transport };
+  var optional = ['consent', 'privacy', 'pageviews', 'engagement', 'agentDetection', 'aiReferrer', 'identity', 'pageContext', 'logger', 'destinations'];
+  for (var i = 0; i < optional.length; i++) {
+    if (cfg[optional[i]]) enabled[optional[i]] = modules[optional[i]];
+  }
+  if (cfg.aiReferrer) enabled.classifyAIReferrer = modules.classifyAIReferrer;
+
+  try {
+    runtime(cfg, enabled);
+  } catch (error) {
+    try { console.error('BILDITAIPixel script error:', error); } catch (_) {}
+  }
+}
+
+module.exports = standalonePixel;
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Beacon transport for the client runtime.
+ *
+ * `transport.send(query, hint)` delivers one beacon query string to `pixelUrl`.
+ * - method `auto` uses the caller's hint (`image` or `fetch`) and switches to
+ *   `navigator.sendBeacon` once the page is hidden; `image`, `fetch` and `beacon` force one.
+ * - batching buffers queries and POSTs them newline-separated to `pixelUrl?batch=<n>`, flushing on
+ *   size, timer, `visibilitychange` (hidden) and `pagehide`.
+ * - failed deliveries retry with exponential backoff; with `offlineQueue` the leftovers are kept in
+ *   localStorage. They were recorded under an earlier consent decision, so the caller releases them
+ *   with `transport.drain()` once consent allows beacons (they also go out when the browser comes
+ *   back online after that) and drops them with `transport.discard()` when it is denied.
+ *
+ * Serialized into the inline scripts by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createTransport(pixelUrl, transportCfg) {
+  var tc = transportCfg || {};
+  var method = tc.method || 'auto';
+  var nav = typeof navigator !== 'undefined' ? navigator : {};
+  var hiding = false;
+  var buffer = [];
+  var timer = null;
+  var storedState = 'held';
+
+  function urlFor(query){ return pixelUrl + (pixelUrl.indexOf('?') === -1 ? '?' : '&') + query; }
+
+  function viaBeacon(url, body){
+    try { return typeof nav.sendBeacon === 'function' && nav.sendBeacon(url, body) === true; } catch (_) { return false; }
+  }
+
+  function viaFetch(url, init, done){
+    if (typeof fetch !== 'function') return done(false);
+    try {
+      fetch(url, init).then(function(){ done(true); }, function(){ done(false); });
+    } catch (_) { done(false); }
+  }
+
+  function viaImage(url, done){
+    try {
+      var img = new Image(1, 1);
+      img.onload = function(){ done(true); };
+      img.onerror = function(){ done(false); };
+      img.src = url;
+    } catch (_) { done(false); }
+  }
+
+  function deliver(items, hint, done){
+    if (items.length > 1) {
+      var body = items.join('\n');
+      var batchUrl = urlFor('batch=' + items.length);
+      if (viaBeacon(batchUrl, body)) return done(true);
+      if (typeof fetch === 'function') {
+        return viaFetch(batchUrl, { method: 'POST', mode: 'no-cors', credentials: 'omit', keepalive: true, body: body, headers: { 'Content-Type': 'text/plain' } }, done);
+      }
+      for (var i = 0; i < items.length; i++) deliver([items[i]], hint, function(){});
+      return done(true);
+    }
+    var url = urlFor(items[0]);
+    var chosen = method === 'auto' ? (hiding ? 'beacon' : (hint || 'image')) : method;
+    if (chosen === 'beacon') {
+      if (viaBeacon(url)) return done(true);
+      chosen = 'fetch';
+    }
+    if (chosen === 'fetch' && typeof fetch === 'function') {
+      return viaFetch(url, { method: 'GET', mode: 'no-cors', credentials: 'omit', keepalive: true }, done);
+    }
+    viaImage(url, done);
+  }
+
+  function readStored(){
+    try {
+      var raw = window.localStorage.getItem(tc.storageKey);
+      var parsed = raw ? JSON.parse(raw) : [];
+      return parsed && parsed.length ? parsed : [];
+    } catch (_) { return []; }
+  }
+
+  function persist(items){
+    if (!tc.offlineQueue || storedState === 'discarded') return;
+    try {
+      var stored = readStored().concat(items);
+      if (stored.length > tc.maxStoredEvents) stored = stored.slice(stored.length - tc.maxStoredEvents);
+      window.localStorage.setItem(tc.storageKey, JSON.stringify(stored));
+    } catch (_) {}
+  }
+
+  function attempt(items, hint, tries){
+    if (nav.onLine === false) return persist(items);
+    deliver(items, hint, function(ok){
+      if (ok) return;
+      if (tries < (tc.retries || 0)) {
+        setTimeout(function(){ attempt(items, hint, tries + 1); }, (tc.retryDelay || 1000) * Math.pow(2, tries));
+        return;
+      }
+      persist(items);
+    });
+  }
+
+  function flush(){
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!buffer.length) return;
+    var items = buffer;
+    buffer = [];
+    attempt(items, null, 0);
+  }
+
+  function drainStored(){
+    if (!tc.offlineQueue || storedState !== 'draining') return;
+    var stored = readStored();
+    if (!stored.length) return;
+    try { window.localStorage.removeItem(tc.storageKey); } catch (_) {}
+    for (var i = 0; i < stored.length; i++) send(stored[i]);
+  }
+
+  function drain(){
+    storedState = 'draining';
+    drainStored();
+  }
+
+  function discard(){
+    storedState = 'discarded';
+    if (!tc.offlineQueue) return;
+    try { window.localStorage.removeItem(tc.storageKey); } catch (_) {}
+  }
+
+  function send(query, hint){
+    if (!tc.batch) return attempt([query], hint, 0);
+    buffer.push(query);
+    if (hiding || buffer.length >= (tc.maxBatchSize || 10)) return flush();
+    if (!timer) timer = setTimeout(flush, tc.maxBatchWait || 2000);
+  }
+
+  try {
+    document.addEventListener('visibilitychange', function(){
+      hiding = document.visibilityState === 'hidden';
+      if (hiding) flush();
+    });
+    window.addEventListener('pagehide', function(){ hiding = true; flush(); });
+    window.addEventListener('online', drainStored);
+  } catch (_) {}
+
+  return { send: send, flush: flush, drain: drain, discard: discard };
+}
+
+module.exports = createTransport;
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Runs the local pixel collector.
+ *
+ * Usage:
+ *   bildit-pixel-collector [--port 8765] [--host 127.0.0.1] [--file bildit-hits.jsonl | --no-file]
+ *                          [--max 1000] [--quiet]
+ */
+
+const { createPixelCollector, DEFAULT_PORT, DEFAULT_HOST } = require('./index');
+
+const USAGE = `Usage: bildit-pixel-collector [options]
+
+  --port <n>     Port to listen on (default ${DEFAULT_PORT})
+  --host <host>  Interface to bind (default ${DEFAULT_HOST})
+  --file <path>  Append hits to this JSONL file (default bildit-hits.jsonl)
+  --no-file      Keep hits in memory only
+  --max <n>      Hits kept in memory for the view and the API (default 1000)
+  --quiet        Do not print a line per hit
+`;
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, host: DEFAULT_HOST, file: 'bildit-hits.jsonl', max: undefined, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+    switch (flag) {
+      case '--port':
+        args.port = Number(value());
+        break;
+      case '--host':
+        args.host = value();
+        break;
+      case '--file':
+        args.file = value();
+        break;
+      case '--no-file':
+        args.file = null;
+        break;
+      case '--max':
+        args.max = Number(value());
+        break;
+      case '--quiet':
+        args.quiet = true;
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  if (!Number.isInteger(args.port) || args.port < 0) throw new Error('--port expects a number');
+  return args;
+}
+
+function describeHit(hit) {
+  const params = hit.params || {};
+  const parts = [`#${hit.id}`, hit.method, params.event || '-', params.mode || '-'];
+  if (params.bot) parts.push(`bot=${params.bot}`);
+  parts.push(params.site || params.path || hit.path);
+  return parts.join(' ');
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const collector = createPixelCollector({
+    file: args.file,
+    max: args.max,
+    onHit: args.quiet ? undefined : hit => console.log(describeHit(hit)),
+  });
+  const { url, pixelUrl, file } = await collector.listen(args.port, args.host);
+
+  console.log(`BILDIT pixel collector on ${url}`);
+  console.log(`  pixelUrl: ${pixelUrl}`);
+  console.log(`  hits API: ${url}/api/hits`);
+  if (file) console.log(`  recording to ${file}`);
+
+  const stop = () => collector.close().then(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
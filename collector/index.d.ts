@@ -0,0 +1,40 @@
+import type { IncomingMessage, Server, ServerResponse } from 'http';
+
+export declare const DEFAULT_PORT: number;
+export declare const DEFAULT_HOST: string;
+
+export interface CollectedHit {
+  id: number;
+  time: string;
+  method: string;
+  path: string;
+  ip?: string;
+  headers: Record<string, string | string[] | undefined>;
+  params: Record<string, unknown>;
+  batch?: number;
+}
+
+export interface PixelCollectorOptions {
+  port?: number;
+  host?: string;
+  file?: string | null;
+  max?: number;
+  maxBodySize?: number;
+  onHit?: (hit: CollectedHit) => void;
+}
+
+export type CollectedHitFilter = { after?: number | string; limit?: number | string } & Record<
+  string,
+  string | number | undefined
+>;
+
+export interface PixelCollector {
+  server: Server;
+  handle(req: IncomingMessage, res: ServerResponse): Promise<void>;
+  listen(port?: number, host?: string): Promise<{ url: string; pixelUrl: string; port: number; file: string | null }>;
+  close(): Promise<void>;
+  query(filter?: CollectedHitFilter): CollectedHit[];
+  clear(): void;
+}
+
+export declare function createPixelCollector(options?: PixelCollectorOptions): PixelCollector;
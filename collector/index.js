@@ -0,0 +1,273 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { PIXEL_GIF } = require('../server/proxy');
+
+// Local stand-in for the pixel endpoint: every request outside the view and the API is recorded as
+// a hit (query params, POST batches and JSON bodies), kept in memory and optionally appended to JSONL.
+
+const DEFAULT_PORT = 8765;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_HITS = 1000;
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024;
+
+const REDACTED_HEADERS = new Set(['cookie', 'authorization', 'proxy-authorization']);
+const RESERVED_FILTER_KEYS = new Set(['after', 'limit']);
+
+// Beacons may come from any page under development; the API exposes every recorded hit, so only
+// pages served from this machine may read, stream or clear it.
+const CORS_HEADERS = Object.freeze({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+});
+const LOCAL_ORIGIN_PATTERN = /^https?:\/\/(?:localhost|127\.0\.0\.1|\[::1\])(?::\d+)?$/i;
+
+const NO_STORE_HEADERS = Object.freeze(Object.assign({ 'Cache-Control': 'no-store' }, CORS_HEADERS));
+
+const VIEW_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>BILDIT pixel collector</title>
+<style>
+body{font:13px/1.4 system-ui,sans-serif;margin:0;color:#1d1d1f}
+header{display:flex;gap:8px;align-items:center;padding:10px 16px;background:#f4f4f6;position:sticky;top:0}
+header h1{font-size:15px;margin:0 auto 0 0}
+table{border-collapse:collapse;width:100%}
+th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #eee;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;max-width:320px}
+tr.hit{cursor:pointer}
+tr.hit:hover{background:#fafafa}
+pre{margin:0;padding:8px 16px;background:#fbfbfd;white-space:pre-wrap}
+</style>
+</head>
+<body>
+<header><h1>BILDIT pixel collector</h1><input id="filter" placeholder="Filter"><button id="clear">Clear</button><span id="count"></span></header>
+<table><thead><tr><th>#</th><th>Time</th><th>Method</th><th>Event</th><th>Mode</th><th>Bot</th><th>Site / path</th><th>User agent</th></tr></thead><tbody id="hits"></tbody></table>
+<script>
+var body = document.getElementById('hits');
+var filter = document.getElementById('filter');
+var count = document.getElementById('count');
+function cell(row, value){ var td = document.createElement('td'); td.textContent = value == null ? '' : String(value); td.title = td.textContent; row.appendChild(td); }
+function visible(row){ row.hidden = !!filter.value && row.dataset.search.indexOf(filter.value.toLowerCase()) === -1; }
+function add(hit){
+  var p = hit.params || {};
+  var row = document.createElement('tr');
+  row.className = 'hit';
+  row.dataset.search = JSON.stringify(hit).toLowerCase();
+  [hit.id, hit.time.slice(11, 23), hit.method, p.event, p.mode, p.bot, p.site || p.path || hit.path, p.ua || (hit.headers || {})['user-agent']].forEach(function(v){ cell(row, v); });
+  row.onclick = function(){
+    var next = row.nextSibling;
+    if (next && next.className === 'detail') return body.removeChild(next);
+    var detail = document.createElement('tr');
+    detail.className = 'detail';
+    var td = document.createElement('td');
+    td.colSpan = 8;
+    var pre = document.createElement('pre');
+    pre.textContent = JSON.stringify(hit, null, 2);
+    td.appendChild(pre);
+    detail.appendChild(td);
+    body.insertBefore(detail, row.nextSibling);
+  };
+  visible(row);
+  body.insertBefore(row, body.firstChild);
+  count.textContent = body.querySelectorAll('tr.hit').length + ' hits';
+}
+filter.oninput = function(){ body.querySelectorAll('tr.hit').forEach(visible); };
+document.getElementById('clear').onclick = function(){
+  fetch('/api/hits', { method: 'DELETE' }).then(function(){ body.textContent = ''; count.textContent = '0 hits'; });
+};
+fetch('/api/hits?limit=200').then(function(r){ return r.json(); }).then(function(data){
+  data.hits.forEach(add);
+  new EventSource('/api/stream').onmessage = function(e){ add(JSON.parse(e.data)); };
+});
+</script>
+</body>
+</html>
+`;
+
+function send(res, status, headers, body) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+function apiHeaders(req, headers) {
+  const result = Object.assign({ 'Cache-Control': 'no-store', Vary: 'Origin' }, headers);
+  const origin = req.headers.origin;
+  if (typeof origin === 'string' && LOCAL_ORIGIN_PATTERN.test(origin)) {
+    result['Access-Control-Allow-Origin'] = origin;
+    result['Access-Control-Allow-Methods'] = 'GET, DELETE, OPTIONS';
+  }
+  return result;
+}
+
+function recordHeaders(headers) {
+  const recorded = {};
+  for (const key of Object.keys(headers || {})) {
+    recorded[key] = REDACTED_HEADERS.has(key) ? 'redacted' : headers[key];
+  }
+  return recorded;
+}
+
+// `null` once the body passes `limit`; the rest is drained unbuffered so the 413 still goes out.
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Batched beacons are newline-separated query strings; destinations may POST JSON instead.
+function parseBody(body, contentType) {
+  const text = body.trim();
+  if (!text) return [];
+  if (/json/i.test(contentType || '') || text[0] === '{' || text[0] === '[') {
+    try {
+      const parsed = JSON.parse(text);
+      return (Array.isArray(parsed) ? parsed : [parsed]).filter(entry => entry && typeof entry === 'object');
+    } catch (_) {}
+  }
+  return text.split('\n').filter(Boolean).map(line => Object.fromEntries(new URLSearchParams(line.trim())));
+}
+
+/**
+ * Creates a local collector. `listen(port, host)` starts it and resolves with its URLs; `query`
+ * filters the hits kept in memory (`after` id, `limit`, and any param equality).
+ */
+function createPixelCollector(options = {}) {
+  const max = options.max > 0 ? options.max : DEFAULT_MAX_HITS;
+  const maxBodySize = options.maxBodySize > 0 ? options.maxBodySize : DEFAULT_MAX_BODY_SIZE;
+  const onHit = typeof options.onHit === 'function' ? options.onHit : null;
+  const file = options.file ? path.resolve(options.file) : null;
+  const out = file ? fs.createWriteStream(file, { flags: 'a' }) : null;
+  const hits = [];
+  const streams = new Set();
+  let nextId = 1;
+
+  function record(entry) {
+    const hit = Object.assign({ id: nextId++, time: new Date().toISOString() }, entry);
+    hits.push(hit);
+    if (hits.length > max) hits.shift();
+    const line = JSON.stringify(hit);
+    if (out) out.write(`${line}\n`);
+    for (const stream of streams) stream.write(`data: ${line}\n\n`);
+    if (onHit) {
+      try {
+        onHit(hit);
+      } catch (_) {}
+    }
+    return hit;
+  }
+
+  function query(filter = {}) {
+    const after = Number(filter.after) || 0;
+    const limit = Number(filter.limit) || 0;
+    const keys = Object.keys(filter).filter(key => !RESERVED_FILTER_KEYS.has(key) && filter[key] != null);
+    const matches = hits.filter(
+      hit => hit.id > after && keys.every(key => hit.params[key] != null && String(hit.params[key]) === String(filter[key]))
+    );
+    return limit > 0 ? matches.slice(-limit) : matches;
+  }
+
+  function clear() {
+    hits.length = 0;
+  }
+
+  function openStream(req, res) {
+    res.writeHead(200, apiHeaders(req, { 'Content-Type': 'text/event-stream', Connection: 'keep-alive' }));
+    res.write(': connected\n\n');
+    streams.add(res);
+    req.on('close', () => streams.delete(res));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const method = (req.method || 'GET').toUpperCase();
+
+    const api = url.pathname === '/api/hits' || url.pathname === '/api/stream';
+
+    if (method === 'OPTIONS') return send(res, 204, api ? apiHeaders(req) : CORS_HEADERS);
+    if (url.pathname === '/' && !url.search && method === 'GET') {
+      return send(res, 200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }, VIEW_HTML);
+    }
+    if (url.pathname === '/api/hits') {
+      if (method === 'DELETE') {
+        clear();
+        return send(res, 204, apiHeaders(req));
+      }
+      const body = JSON.stringify({ hits: query(Object.fromEntries(url.searchParams)) });
+      return send(res, 200, apiHeaders(req, { 'Content-Type': 'application/json' }), body);
+    }
+    if (url.pathname === '/api/stream') return openStream(req, res);
+    if (url.pathname === '/favicon.ico') return send(res, 404, NO_STORE_HEADERS);
+
+    const base = {
+      method,
+      path: url.pathname,
+      ip: req.socket ? req.socket.remoteAddress : undefined,
+      headers: recordHeaders(req.headers),
+    };
+    const params = Object.fromEntries(url.searchParams);
+
+    if (method === 'POST') {
+      delete params.batch;
+      const body = await readBody(req, maxBodySize);
+      if (body === null) return send(res, 413, NO_STORE_HEADERS);
+      const entries = parseBody(body, req.headers['content-type']);
+      if (!entries.length) record(Object.assign({}, base, { params }));
+      for (const entry of entries) {
+        record(Object.assign({}, base, { params: Object.assign({}, params, entry), batch: entries.length }));
+      }
+      return send(res, 204, NO_STORE_HEADERS);
+    }
+
+    if (method !== 'HEAD') record(Object.assign({}, base, { params }));
+    return send(res, 200, Object.assign({ 'Content-Type': 'image/gif' }, NO_STORE_HEADERS), PIXEL_GIF);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!res.headersSent) send(res, 500, NO_STORE_HEADERS, error instanceof Error ? error.message : String(error));
+    });
+  });
+
+  function listen(port = options.port != null ? options.port : DEFAULT_PORT, host = options.host || DEFAULT_HOST) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        const address = server.address();
+        const hostname = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+        const origin = `http://${hostname}:${address.port}`;
+        resolve({ url: origin, pixelUrl: `${origin}/pixel.gif`, port: address.port, file });
+      });
+    });
+  }
+
+  function close() {
+    for (const stream of streams) stream.end();
+    streams.clear();
+    return new Promise(resolve => {
+      server.close(() => {
+        if (out) out.end(resolve);
+        else resolve();
+      });
+    });
+  }
+
+  return { server, handle, listen, close, query, clear };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  createPixelCollector,
+};
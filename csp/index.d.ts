@@ -0,0 +1,18 @@
+import type { MouseDetectionOptions, PixelInlineScriptOptions } from '../react';
+
+export declare const PIXEL_RUNTIME_FILE: string;
+export declare const MOUSE_DETECTION_RUNTIME_FILE: string;
+
+export declare function hashInlineScript(source: string): string;
+
+export declare function getPixelInlineScriptHash(
+  pixelUrl: string,
+  params?: Record<string, string | number | boolean | null | undefined>,
+  altText?: string,
+  options?: PixelInlineScriptOptions
+): string;
+
+export declare function getMouseDetectionInlineScriptHash(
+  pixelUrl: string,
+  options?: MouseDetectionOptions
+): string;
@@ -0,0 +1,33 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { buildPixelInlineScript, buildMouseDetectionInlineScript } = require('../react');
+
+// Hostable runtime files for the `scriptSrc` mode; copy them into your static assets at build time.
+const PIXEL_RUNTIME_FILE = path.join(__dirname, '..', 'client', 'pixel-runtime.js');
+const MOUSE_DETECTION_RUNTIME_FILE = path.join(__dirname, '..', 'scripts', 'mouse-detection.js');
+
+/**
+ * Returns the CSP source expression (`'sha256-…'`) allowing an inline script with this exact content.
+ */
+function hashInlineScript(source) {
+  const digest = crypto.createHash('sha256').update(String(source), 'utf8').digest('base64');
+  return `'sha256-${digest}'`;
+}
+
+function getPixelInlineScriptHash(pixelUrl, baseParams, altText, options) {
+  return hashInlineScript(buildPixelInlineScript(pixelUrl, baseParams, altText, options));
+}
+
+function getMouseDetectionInlineScriptHash(pixelUrl, options) {
+  return hashInlineScript(buildMouseDetectionInlineScript(pixelUrl, options));
+}
+
+module.exports = {
+  PIXEL_RUNTIME_FILE,
+  MOUSE_DETECTION_RUNTIME_FILE,
+  hashInlineScript,
+  getPixelInlineScriptHash,
+  getMouseDetectionInlineScriptHash,
+};
@@ -1,16 +1,38 @@
 import * as React from 'react';
 import type { ScriptProps } from 'next/script';
+import type { NextFetchEvent, NextMiddleware, NextRequest } from 'next/server';
 import {
   BILDITAIPixel,
   BILDITAIPixelProps,
+  PixelAIReferrerOptions,
+  PixelConsent,
+  PixelEngagementOptions,
+  PixelIdentityOptions,
   PixelModeInput,
+  PixelPageContextOptions,
+  PixelPrivacyOptions,
+  PixelTransportMethod,
+  PixelTransportOptions,
   PIXEL_URL,
   DEFAULT_ALT,
   buildPixelInlineScript,
   buildMouseDetectionInlineScript,
+  buildPixelRuntimeConfig,
+  buildMouseDetectionRuntimeConfig,
   normalizePixelParams,
   BILDITMouseDetectionScript,
+  useBILDITPixel,
 } from '../react';
+import type { LogLevel, PixelDestination } from '../shared';
+import type {
+  AIBotMatch,
+  BotPurpose,
+  HeadersLike,
+  PixelProxyOptions,
+  ResponseLike,
+  TrackAIBotRequestOptions,
+  TrackAIBotResult,
+} from '../server';
 
 export {
   BILDITAIPixel,
@@ -18,81 +40,171 @@ export {
   DEFAULT_ALT,
   buildPixelInlineScript,
   buildMouseDetectionInlineScript,
+  buildPixelRuntimeConfig,
+  buildMouseDetectionRuntimeConfig,
   normalizePixelParams,
   BILDITMouseDetectionScript,
+  useBILDITPixel,
 };
 
-export type HeadersLike =
-  | { get(name: string): string | null | undefined }
-  | Iterable<[string, string]>
-  | Record<string, string | string[] | undefined>;
-
-export interface TrackAIBotRequestOptions {
-  pixelUrl?: string;
-  params?: BILDITAIPixelProps['params'];
-  requireBotMatch?: boolean;
-  force?: boolean;
-  userAgent?: string;
-  referer?: string;
-  headers?: HeadersLike;
-  fetchOptions?: RequestInit;
-}
-
-export interface TrackAIBotResult {
-  triggered: boolean;
-  status?: number;
-  ok?: boolean;
-  skipped?: boolean;
-  reason?: string;
-  error?: string;
-  url?: string;
-  userAgent?: string;
-  referer?: string;
-  bot?: string;
-}
+export {
+  AI_BOT_SIGNATURES,
+  BOT_PURPOSES,
+  identifyAIBot,
+  verifyAIBot,
+  registerAIBotSignature,
+  createBotIdentifier,
+  createRateLimiter,
+  createMemoryDedupeStore,
+  parseRobotsTxt,
+  createRobotsPolicy,
+  fetchRobotsPolicy,
+  generateRobotsTxt,
+  classifyAIReferrer,
+  readPixelIdentity,
+  createPixelIdentity,
+  setPixelIdentityCookies,
+} from '../server';
 
-export interface BotSignature {
-  slug: string;
-  pattern: RegExp;
-}
+export type {
+  AIBotMatch,
+  AIBotSignatureInput,
+  BotDnsResolver,
+  BotIdentifier,
+  BotIpRanges,
+  BotPurpose,
+  BotSignature,
+  BotVerificationOptions,
+  BotVerificationStatus,
+  CreateBotIdentifierOptions,
+  DedupeInput,
+  DedupeOptions,
+  DedupeStore,
+  HeadersLike,
+  PixelIdentity,
+  PixelIdentityCookieOptions,
+  PixelProxyOptions,
+  RateLimiter,
+  RateLimiterOptions,
+  ResponseLike,
+  RobotsPolicy,
+  RobotsPolicyOptions,
+  RobotsSources,
+  RobotsVerdict,
+  SamplingOptions,
+  TrackAIBotRequestOptions,
+  TrackAIBotResult,
+} from '../server';
 
 export interface BILDITAIPixelScriptProps
   extends Omit<ScriptProps, 'id' | 'strategy' | 'nonce' | 'dangerouslySetInnerHTML'> {
   alt?: string;
   pixelUrl?: string;
+  proxyPath?: string;
   params?: BILDITAIPixelProps['params'];
   scriptId?: string;
   scriptNonce?: string;
   scriptStrategy?: ScriptProps['strategy'];
+  scriptSrc?: string;
+  consent?: PixelConsent;
+  privacy?: PixelPrivacyOptions;
+  trackPageviews?: boolean;
+  transport?: PixelTransportMethod | PixelTransportOptions;
+  engagement?: boolean | PixelEngagementOptions;
+  agentDetection?: boolean;
+  aiReferrer?: boolean | PixelAIReferrerOptions;
+  identity?: boolean | PixelIdentityOptions;
+  pageContext?: boolean | PixelPageContextOptions;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  destinations?: PixelDestination[];
 }
 
 export interface NextBILDITAIPixelProps
   extends Omit<
     BILDITAIPixelProps,
-    'params' | 'pixelUrl' | 'alt' | 'mode' | 'scriptId' | 'scriptNonce'
+    'params' | 'pixelUrl' | 'proxyPath' | 'alt' | 'mode' | 'scriptId' | 'scriptNonce' | 'scriptSrc' | 'consent' | 'privacy' | 'trackPageviews' | 'transport' | 'engagement' | 'agentDetection' | 'aiReferrer' | 'identity' | 'pageContext' | 'logLevel' | 'logRedact' | 'destinations'
   > {
   alt?: string;
   pixelUrl?: string;
+  proxyPath?: string;
   params?: BILDITAIPixelProps['params'];
   mode?: PixelModeInput;
   includeScript?: boolean;
   scriptId?: string;
   scriptNonce?: string;
   scriptStrategy?: ScriptProps['strategy'];
+  scriptSrc?: string;
   scriptProps?: BILDITAIPixelScriptProps;
+  consent?: PixelConsent;
+  privacy?: PixelPrivacyOptions;
+  trackPageviews?: boolean;
+  transport?: PixelTransportMethod | PixelTransportOptions;
+  engagement?: boolean | PixelEngagementOptions;
+  agentDetection?: boolean;
+  aiReferrer?: boolean | PixelAIReferrerOptions;
+  identity?: boolean | PixelIdentityOptions;
+  pageContext?: boolean | PixelPageContextOptions;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  destinations?: PixelDestination[];
 }
 
 export declare const BILDITAIPixelScript: React.FC<BILDITAIPixelScriptProps>;
 
 export declare const NextBILDITAIPixel: React.FC<NextBILDITAIPixelProps>;
 
-export declare const AI_BOT_SIGNATURES: ReadonlyArray<BotSignature>;
-
-export declare function identifyAIBot(userAgent?: string | null): BotSignature | null;
-
 export declare function trackAIBotRequestForPixel(
   request?: Request | { headers?: HeadersLike | undefined } | null,
   options?: TrackAIBotRequestOptions
 ): Promise<TrackAIBotResult>;
 
+export declare function trackAIBotResponseForPixel(
+  request: Request | { headers?: HeadersLike | undefined; url?: string; method?: string } | null,
+  response: ResponseLike,
+  options?: TrackAIBotRequestOptions
+): Promise<TrackAIBotResult>;
+
+export type BotPolicyAction =
+  | 'allow'
+  | 'block'
+  | 'throttle'
+  | number
+  | { action?: 'allow' | 'headers'; headers?: Record<string, string> }
+  | { action: 'rewrite'; to: string | URL | ((url: URL) => string | URL); headers?: Record<string, string> }
+  | { action: 'block' | 'throttle'; status?: number; body?: BodyInit | null; retryAfter?: number; headers?: Record<string, string> };
+
+export interface BotMiddlewareDetection {
+  bot: string;
+  signature: AIBotMatch;
+  userAgent?: string;
+  path: string;
+}
+
+export type MiddlewarePathMatcher = string | RegExp | ((pathname: string, request: NextRequest) => boolean);
+
+export interface BILDITMiddlewareOptions extends TrackAIBotRequestOptions {
+  matcher?: MiddlewarePathMatcher | MiddlewarePathMatcher[];
+  exclude?: MiddlewarePathMatcher | MiddlewarePathMatcher[];
+  skipStatic?: boolean;
+  policy?: Partial<Record<BotPurpose | 'default', BotPolicyAction>> & Record<string, BotPolicyAction | undefined>;
+  onBot?: (
+    detection: BotMiddlewareDetection,
+    request: NextRequest
+  ) => BotPolicyAction | void | null | Promise<BotPolicyAction | void | null>;
+  middleware?: NextMiddleware;
+}
+
+export declare function createBILDITMiddleware(
+  options?: BILDITMiddlewareOptions
+): (request: NextRequest, event?: NextFetchEvent) => Promise<Response>;
+
+export declare function createPixelRouteHandler(options?: PixelProxyOptions): {
+  GET: (request: Request, ...context: unknown[]) => Promise<Response>;
+  HEAD: (request: Request, ...context: unknown[]) => Promise<Response>;
+  POST: (request: Request, ...context: unknown[]) => Promise<Response>;
+};
+
+export declare function createPixelApiHandler(options?: PixelProxyOptions): (req: any, res: any) => Promise<void>;
+
 export default NextBILDITAIPixel;
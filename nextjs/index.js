@@ -7,28 +7,43 @@ const {
   PIXEL_URL,
   DEFAULT_ALT,
   buildPixelInlineScript,
+  buildMouseDetectionInlineScript,
+  buildPixelRuntimeConfig,
+  buildMouseDetectionRuntimeConfig,
+  buildRuntimeScriptAttributes,
   normalizePixelParams,
   SURFACE_KEYS,
+  BILDITMouseDetectionScript,
+  useBILDITPixel,
 } = require('../react');
+const { buildPixelRuntimeScript } = require('../client');
+const {
+  trackAIBotRequestForPixel: trackServerRequest,
+  trackAIBotResponseForPixel: trackServerResponse,
+  identifyAIBot,
+  verifyAIBot,
+  registerAIBotSignature,
+  createBotIdentifier,
+  AI_BOT_SIGNATURES,
+  BOT_PURPOSES,
+  createRateLimiter,
+  createMemoryDedupeStore,
+  createPixelProxyHandler,
+  createPixelProxyNodeHandler,
+  parseRobotsTxt,
+  createRobotsPolicy,
+  fetchRobotsPolicy,
+  generateRobotsTxt,
+  classifyAIReferrer,
+  readPixelIdentity,
+  createPixelIdentity,
+  setPixelIdentityCookies,
+} = require('../server');
+const { createMiddleware } = require('./middleware');
 
 const DEFAULT_SCRIPT_ID = 'bildit-ai-pixel';
 const DEFAULT_BOT_EVENT = 'next-bot';
 
-const AI_BOT_SIGNATURES = Object.freeze([
-  { slug: 'openai-gptbot', pattern: /gptbot/i },
-  { slug: 'openai-chatgpt', pattern: /chatgpt|gpt-?crawler/i },
-  { slug: 'anthropic-claudebot', pattern: /anthropic|claudebot/i },
-  { slug: 'perplexity', pattern: /perplexity|pplx/i },
-  { slug: 'google-gemini', pattern: /google.*(other|snippet|inspect)|google-extended|gemini|aiagent/i },
-  { slug: 'bing-copilot', pattern: /bingbot|bingpreview|bing-ai|msnbot|cpt-ai/i },
-  { slug: 'meta-ai', pattern: /facebookexternalhit|facebot|meta-ai/i },
-  { slug: 'xai-grok', pattern: /grok|x-ai|xbot|xai-bot/i },
-  { slug: 'baidu-ernie', pattern: /baidu|ernie/i },
-  { slug: 'kimi-moonshot', pattern: /moonshot|kimi/i },
-  { slug: 'deepseek', pattern: /deepseek|deepthinker/i },
-  { slug: 'generic-ai', pattern: /ai(\s|-)agent|ai crawler|llm|large language/i },
-]);
-
 function withNextDefaults(params) {
   const merged = Object.assign({}, params || {});
   if (merged.component == null) merged.component = 'nextjs';
@@ -37,73 +52,6 @@ function withNextDefaults(params) {
   return merged;
 }
 
-function toHeaderValue(headersLike, name) {
-  if (!headersLike) return undefined;
-  const target = name.toLowerCase();
-
-  if (typeof headersLike.get === 'function') {
-    const direct = headersLike.get(name);
-    if (direct != null) return direct;
-    const lower = headersLike.get(target);
-    if (lower != null) return lower;
-    return undefined;
-  }
-
-  if (Array.isArray(headersLike)) {
-    for (const [key, value] of headersLike) {
-      if (typeof key === 'string' && key.toLowerCase() === target) {
-        return Array.isArray(value) ? value[0] : value;
-      }
-    }
-    return undefined;
-  }
-
-  if (typeof headersLike === 'object') {
-    for (const key of Object.keys(headersLike)) {
-      if (key.toLowerCase() === target) {
-        const value = headersLike[key];
-        if (Array.isArray(value)) return value[0];
-        return value;
-      }
-    }
-  }
-
-  return undefined;
-}
-
-function identifyAIBot(userAgent) {
-  if (!userAgent) return null;
-  const ua = userAgent.toString();
-  for (const signature of AI_BOT_SIGNATURES) {
-    if (signature.pattern.test(ua)) {
-      return signature;
-    }
-  }
-  return null;
-}
-
-function ensureSearchParam(url, key, value) {
-  if (value == null) return;
-  url.searchParams.set(key, String(value));
-}
-
-function buildPixelUrlWithParams(pixelUrl, params) {
-  const url = new URL(pixelUrl);
-  for (const [key, value] of Object.entries(params)) {
-    ensureSearchParam(url, key, value);
-  }
-  // Ensure site param: prefer explicit param, then referer origin, then host
-  if (!url.searchParams.has('site')) {
-    try {
-      if (typeof params.referer === 'string' && params.referer) {
-        const ref = new URL(params.referer);
-        ensureSearchParam(url, 'site', ref.origin);
-      }
-    } catch (_) {}
-  }
-  return url;
-}
-
 function resolveModeWithoutScript(mode) {
   if (!mode || (Array.isArray(mode) && mode.length === 0)) {
     return ['img', 'iframe', 'noscript'];
@@ -155,10 +103,37 @@ function createScriptAttributes({
   scriptId,
   scriptNonce,
   scriptStrategy,
+  scriptSrc,
+  consent,
+  privacy,
+  trackPageviews,
+  transport,
+  engagement,
+  agentDetection,
+  aiReferrer,
+  identity,
+  pageContext,
+  logLevel,
+  logRedact,
+  destinations,
   extraProps,
 }) {
   const baseParams = normalizedParams || normalizePixelParams(withNextDefaults(params));
-  const scriptContent = buildPixelInlineScript(pixelUrl, baseParams, alt);
+  const runtimeConfig = buildPixelRuntimeConfig(pixelUrl, baseParams, alt, {
+    consent,
+    privacy,
+    trackPageviews,
+    transport,
+    engagement,
+    agentDetection,
+    aiReferrer,
+    identity,
+    pageContext,
+    logLevel,
+    logRedact,
+    destinations,
+    nextRouter: true,
+  });
 
   const attributes = Object.assign({}, extraProps || {});
   delete attributes.children;
@@ -167,7 +142,11 @@ function createScriptAttributes({
   attributes.id = scriptId ?? attributes.id ?? DEFAULT_SCRIPT_ID;
   attributes.nonce = scriptNonce ?? attributes.nonce;
   attributes.strategy = scriptStrategy ?? attributes.strategy ?? 'afterInteractive';
-  attributes.dangerouslySetInnerHTML = { __html: scriptContent };
+  if (scriptSrc) {
+    Object.assign(attributes, buildRuntimeScriptAttributes(scriptSrc, runtimeConfig));
+  } else {
+    attributes.dangerouslySetInnerHTML = { __html: buildPixelRuntimeScript(runtimeConfig) };
+  }
 
   return {
     attributes,
@@ -175,204 +154,79 @@ function createScriptAttributes({
   };
 }
 
-async function trackAIBotRequestForPixel(request, options = {}) {
-  const {
-    pixelUrl = PIXEL_URL,
-    params,
-    requireBotMatch = true,
-    force = false,
-    userAgent: userAgentOverride,
-    referer: refererOverride,
-    headers: headersOverride,
-    fetchOptions,
-    debug = false,
-  } = options;
-
-  let headersLike = headersOverride;
-  if (!headersLike && request && typeof request === 'object') {
-    headersLike = request.headers;
-  }
-
-  const userAgent = userAgentOverride || toHeaderValue(headersLike, 'user-agent');
-  const referer = refererOverride || toHeaderValue(headersLike, 'referer') || toHeaderValue(headersLike, 'referrer');
-
-  const botSignature = identifyAIBot(userAgent);
-  
-  // Enhanced logging for debugging
-  if (debug || process.env.BILDIT_DEBUG === 'true') {
-    console.log('[BILDIT Middleware] Bot detection:', {
-      userAgent: userAgent ? userAgent.substring(0, 100) + '...' : 'none',
-      referer: referer || 'none',
-      botSignature: botSignature ? botSignature.slug : 'none',
-      force,
-      requireBotMatch,
-      pixelUrl
-    });
-  }
-
-  if (!force && requireBotMatch && !botSignature) {
-    if (debug || process.env.BILDIT_DEBUG === 'true') {
-      console.log('[BILDIT Middleware] Skipping pixel request - no bot detected');
-    }
-    return {
-      triggered: false,
-      skipped: true,
-      reason: 'non-bot-user-agent',
-      userAgent,
-      referer,
-    };
-  }
+/**
+ * Next.js flavour of the server tracker: tags hits with the Next.js component/framework params.
+ */
+function withNextTrackingDefaults(options) {
+  const params = withNextDefaults(options.params);
+  if (params.event == null) params.event = DEFAULT_BOT_EVENT;
+  return Object.assign({ source: 'nextjs-server' }, options, { params });
+}
 
-  const normalizedParams = normalizePixelParams(withNextDefaults(params));
-  if (!normalizedParams.mode) normalizedParams.mode = 'server';
-  if (!normalizedParams.event) normalizedParams.event = DEFAULT_BOT_EVENT;
-  if (!normalizedParams.ts) normalizedParams.ts = Date.now().toString();
-  if (!normalizedParams.nonce) normalizedParams.nonce = Math.random().toString(36).slice(2);
-  if (userAgent && !normalizedParams.ua) normalizedParams.ua = userAgent;
-  if (referer && !normalizedParams.referer) normalizedParams.referer = referer;
-  if (botSignature && !normalizedParams.bot) normalizedParams.bot = botSignature.slug;
-
-  // Ensure site param when referer is missing by deriving origin from request
-  if (!normalizedParams.site) {
-    try {
-      // 1) Prefer origin of referer if present
-      if (referer) {
-        const ref = new URL(referer);
-        normalizedParams.site = ref.origin;
-      } else {
-        // 2) Use the request URL origin if available (Edge/Next middleware has request.url)
-        let originCandidate;
-        try {
-          if (request && typeof request.url === 'string') {
-            originCandidate = new URL(request.url).origin;
-          }
-        } catch (_) {}
-
-        // 3) Fall back to forwarded headers (common in proxies)
-        if (!originCandidate) {
-          const xfProto = toHeaderValue(headersLike, 'x-forwarded-proto') || 'https';
-          const xfHost = toHeaderValue(headersLike, 'x-forwarded-host');
-          if (xfHost) originCandidate = `${xfProto}://${xfHost}`;
-        }
-
-        // 4) As a last resort, use Host header
-        if (!originCandidate) {
-          const host = toHeaderValue(headersLike, 'host');
-          if (host) originCandidate = `https://${host}`;
-        }
-
-        if (originCandidate) normalizedParams.site = originCandidate;
-      }
-    } catch (_) {}
-  }
+function trackAIBotRequestForPixel(request, options = {}) {
+  return trackServerRequest(request, withNextTrackingDefaults(options));
+}
 
-  const url = buildPixelUrlWithParams(pixelUrl, normalizedParams);
-
-  if (typeof fetch !== 'function') {
-    return {
-      triggered: false,
-      skipped: true,
-      reason: 'fetch-unavailable',
-      url: url.toString(),
-      userAgent,
-      referer,
-      bot: botSignature ? botSignature.slug : undefined,
-    };
-  }
+/**
+ * Post-response variant for route handlers and API routes, where the response is known.
+ */
+function trackAIBotResponseForPixel(request, response, options = {}) {
+  return trackServerResponse(request, response, withNextTrackingDefaults(options));
+}
 
-  try {
-    const { headers: extraHeaders, ...restFetchOptions } = fetchOptions || {};
-
-    const headerBag = {};
-
-    if (extraHeaders) {
-      if (typeof extraHeaders[Symbol.iterator] === 'function' && typeof extraHeaders !== 'function') {
-        for (const pair of extraHeaders) {
-          if (!pair) continue;
-          const [key, value] = pair;
-          if (key) headerBag[key] = Array.isArray(value) ? value.join(', ') : value;
-        }
-      } else if (typeof extraHeaders === 'object') {
-        for (const key of Object.keys(extraHeaders)) {
-          const value = extraHeaders[key];
-          if (value == null) continue;
-          headerBag[key] = Array.isArray(value) ? value.join(', ') : value;
-        }
-      }
-    }
+/**
+ * Next.js middleware that tracks AI bots on matching paths and applies per-bot policy actions:
+ * `export default createBILDITMiddleware({ policy: { training: 'block' } });`
+ */
+function createBILDITMiddleware(options = {}) {
+  return createMiddleware(options, trackAIBotRequestForPixel);
+}
 
-    if (userAgent) headerBag['User-Agent'] = userAgent;
-    headerBag['X-BILDIT-Source'] = headerBag['X-BILDIT-Source'] || 'nextjs-server';
-
-    // Enhanced logging for fetch request
-    if (debug || process.env.BILDIT_DEBUG === 'true') {
-      console.log('[BILDIT Middleware] Making pixel request:', {
-        url: url.toString(),
-        headers: headerBag,
-        bot: botSignature ? botSignature.slug : undefined,
-        params: normalizedParams
-      });
-    }
+function withNextProxyDefaults(options) {
+  return Object.assign({ source: 'nextjs-proxy' }, options);
+}
 
-    const response = await fetch(url.toString(), {
-      method: restFetchOptions.method || 'GET',
-      redirect:
-        restFetchOptions.redirect !== undefined ? restFetchOptions.redirect : 'follow',
-      ...restFetchOptions,
-      headers: headerBag,
-    });
-
-    // Log successful response
-    if (debug || process.env.BILDIT_DEBUG === 'true') {
-      console.log('[BILDIT Middleware] Pixel request successful:', {
-        status: response.status,
-        ok: response.ok,
-        url: url.toString(),
-        bot: botSignature ? botSignature.slug : undefined
-      });
-    }
+/**
+ * App Router route handler for a first-party pixel endpoint:
+ * `export const { GET, POST } = createPixelRouteHandler();` in `app/pixel.gif/route.js`.
+ */
+function createPixelRouteHandler(options = {}) {
+  const handler = createPixelProxyHandler(withNextProxyDefaults(options));
+  return { GET: handler, HEAD: handler, POST: handler };
+}
 
-    return {
-      triggered: true,
-      status: response.status,
-      ok: response.ok,
-      url: url.toString(),
-      userAgent,
-      referer,
-      bot: botSignature ? botSignature.slug : undefined,
-    };
-  } catch (error) {
-    // Enhanced error logging
-    if (debug || process.env.BILDIT_DEBUG === 'true') {
-      console.error('[BILDIT Middleware] Pixel request failed:', {
-        error: error instanceof Error ? error.message : String(error),
-        url: url.toString(),
-        bot: botSignature ? botSignature.slug : undefined,
-        userAgent: userAgent ? userAgent.substring(0, 100) + '...' : 'none'
-      });
-    }
-    
-    return {
-      triggered: false,
-      error: error instanceof Error ? error.message : String(error),
-      url: url.toString(),
-      userAgent,
-      referer,
-      bot: botSignature ? botSignature.slug : undefined,
-    };
-  }
+/**
+ * Pages Router API route serving the same endpoint: `export default createPixelApiHandler();`.
+ */
+function createPixelApiHandler(options = {}) {
+  return createPixelProxyNodeHandler(withNextProxyDefaults(options));
 }
 
 function BILDITAIPixelScript(props = {}) {
   const {
     alt = DEFAULT_ALT,
-    pixelUrl = PIXEL_URL,
+    pixelUrl: pixelUrlProp = PIXEL_URL,
+    proxyPath,
     params,
     scriptId,
     scriptNonce,
     scriptStrategy,
+    scriptSrc,
+    consent,
+    privacy,
+    trackPageviews,
+    transport,
+    engagement,
+    agentDetection,
+    aiReferrer,
+    identity,
+    pageContext,
+    logLevel,
+    logRedact,
+    destinations,
     ...nextScriptProps
   } = props;
+  const pixelUrl = proxyPath || pixelUrlProp;
 
   const { attributes } = createScriptAttributes({
     alt,
@@ -381,6 +235,19 @@ function BILDITAIPixelScript(props = {}) {
     scriptId,
     scriptNonce,
     scriptStrategy,
+    scriptSrc,
+    consent,
+    privacy,
+    trackPageviews,
+    transport,
+    engagement,
+    agentDetection,
+    aiReferrer,
+    identity,
+    pageContext,
+    logLevel,
+    logRedact,
+    destinations,
     extraProps: nextScriptProps,
   });
 
@@ -390,16 +257,31 @@ function BILDITAIPixelScript(props = {}) {
 function NextBILDITAIPixel(props = {}) {
   const {
     alt = DEFAULT_ALT,
-    pixelUrl = PIXEL_URL,
+    pixelUrl: pixelUrlProp = PIXEL_URL,
+    proxyPath,
     params,
     mode,
     includeScript = true,
     scriptId,
     scriptNonce,
     scriptStrategy,
+    scriptSrc,
     scriptProps,
+    consent,
+    privacy,
+    trackPageviews,
+    transport,
+    engagement,
+    agentDetection,
+    aiReferrer,
+    identity,
+    pageContext,
+    logLevel,
+    logRedact,
+    destinations,
     ...pixelRest
   } = props;
+  const pixelUrl = proxyPath || pixelUrlProp;
 
   const normalizedParams = normalizePixelParams(withNextDefaults(params));
 
@@ -409,6 +291,8 @@ function NextBILDITAIPixel(props = {}) {
     pixelUrl,
     params: normalizedParams,
     mode: resolveModeWithoutScript(mode),
+    consent,
+    privacy,
   });
 
   if (!includeScript) {
@@ -422,6 +306,19 @@ function NextBILDITAIPixel(props = {}) {
     scriptId,
     scriptNonce,
     scriptStrategy,
+    scriptSrc,
+    consent,
+    privacy,
+    trackPageviews,
+    transport,
+    engagement,
+    agentDetection,
+    aiReferrer,
+    identity,
+    pageContext,
+    logLevel,
+    logRedact,
+    destinations,
     extraProps: scriptProps,
   });
 
@@ -437,9 +334,32 @@ module.exports = {
   PIXEL_URL,
   DEFAULT_ALT,
   buildPixelInlineScript,
+  buildMouseDetectionInlineScript,
+  buildPixelRuntimeConfig,
+  buildMouseDetectionRuntimeConfig,
   normalizePixelParams,
+  BILDITMouseDetectionScript,
+  useBILDITPixel,
   trackAIBotRequestForPixel,
+  trackAIBotResponseForPixel,
+  createBILDITMiddleware,
   identifyAIBot,
+  verifyAIBot,
+  registerAIBotSignature,
+  createBotIdentifier,
   AI_BOT_SIGNATURES,
+  BOT_PURPOSES,
+  createRateLimiter,
+  createMemoryDedupeStore,
+  parseRobotsTxt,
+  createRobotsPolicy,
+  fetchRobotsPolicy,
+  generateRobotsTxt,
+  classifyAIReferrer,
+  readPixelIdentity,
+  createPixelIdentity,
+  setPixelIdentityCookies,
+  createPixelRouteHandler,
+  createPixelApiHandler,
 };
 module.exports.default = NextBILDITAIPixel;
@@ -0,0 +1,169 @@
+'use strict';
+
+const { identifyAIBot, toHeaderValue } = require('../server');
+const { resolveLogger, resolveBotIdentifier } = require('../server/request');
+const { createPixelIdentity, resolveIdentityOptions, identityCookiesAllowed } = require('../server/identity');
+
+// Build output, dev overlay and file requests that never need tracking.
+const STATIC_PATH_PREFIXES = Object.freeze(['/_next/', '/__nextjs']);
+const STATIC_ASSET_PATTERN =
+  /\.(?:avif|bmp|css|eot|gif|ico|jpe?g|m?js|map|mp3|mp4|otf|png|svg|ttf|wasm|webm|webmanifest|webp|woff2?)$/i;
+
+const ALLOW = Object.freeze({ action: 'allow' });
+const STATUS_DEFAULTS = Object.freeze({ block: 403, throttle: 429 });
+
+function isStaticAsset(pathname) {
+  return STATIC_PATH_PREFIXES.some(prefix => pathname.startsWith(prefix)) || STATIC_ASSET_PATTERN.test(pathname);
+}
+
+// Next.js matcher syntax: `/docs/:path*`, `/docs/:path+`, `/blog/:slug`, `/blog/:slug?` and raw
+// regex segments such as `/shop/(.*)`.
+function pathPatternToRegExp(pattern) {
+  let source = '';
+  for (const segment of pattern.split('/').filter(Boolean)) {
+    const param = /^:\w+([*+?])?$/.exec(segment);
+    if (param) {
+      if (param[1] === '*') source += '(?:/.*)?';
+      else if (param[1] === '+') source += '/.+';
+      else if (param[1] === '?') source += '(?:/[^/]+)?';
+      else source += '/[^/]+';
+    } else if (segment.includes('(')) {
+      source += `/${segment}`;
+    } else {
+      source += `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+    }
+  }
+  return new RegExp(`^${source || '/'}/?$`);
+}
+
+function compileMatcher(matcher, name) {
+  if (matcher == null) return null;
+  const tests = [].concat(matcher).map(pattern => {
+    if (typeof pattern === 'function') return pattern;
+    if (pattern instanceof RegExp) return pathname => pattern.test(pathname);
+    if (typeof pattern === 'string') {
+      const regExp = pathPatternToRegExp(pattern);
+      return pathname => regExp.test(pathname);
+    }
+    throw new TypeError(`\`${name}\` entries must be path patterns, regular expressions or functions`);
+  });
+  return (pathname, request) => tests.some(test => test(pathname, request));
+}
+
+/**
+ * Normalizes a policy action: `'allow'`, `'block'` (403), `'throttle'` (429), a status code, or an
+ * object `{ action, headers, to, status, body, retryAfter }`.
+ */
+function normalizeAction(value) {
+  if (value == null || value === 'allow') return ALLOW;
+  if (typeof value === 'number') return { action: value === 429 ? 'throttle' : 'block', status: value };
+  if (typeof value === 'string') value = { action: value };
+  if (typeof value !== 'object') throw new TypeError('Bot policy actions must be strings, status codes or objects');
+
+  const action = value.action || (value.headers ? 'headers' : 'allow');
+  if (!['allow', 'headers', 'rewrite', 'block', 'throttle'].includes(action)) {
+    throw new TypeError(`Unknown bot policy action "${action}"`);
+  }
+  if (action === 'rewrite' && !value.to) throw new TypeError('The `rewrite` bot policy action needs a `to` URL');
+  return Object.assign({}, value, { action });
+}
+
+function normalizePolicy(policy) {
+  const normalized = {};
+  for (const key of Object.keys(policy || {})) normalized[key] = normalizeAction(policy[key]);
+  return normalized;
+}
+
+function resolveRewrite(to, url) {
+  const target = typeof to === 'function' ? to(new URL(url.href)) : to;
+  return new URL(String(target), url);
+}
+
+/**
+ * Builds the middleware behind `createBILDITMiddleware`; `track` is the Next.js tracker. Untracked
+ * paths and allowed bots fall through to `middleware` (or `NextResponse.next()`).
+ */
+function createMiddleware(options, track) {
+  const { matcher, exclude, skipStatic = true, policy, onBot, middleware, ...trackOptions } = options;
+  const include = compileMatcher(matcher, 'matcher');
+  const skip = compileMatcher(exclude, 'exclude');
+  const policyActions = normalizePolicy(policy);
+  const log = resolveLogger(trackOptions);
+
+  async function runNext(request, event, NextResponse) {
+    const result = typeof middleware === 'function' ? await middleware(request, event) : undefined;
+    return result || NextResponse.next();
+  }
+
+  async function chooseAction(detection, signature, request) {
+    if (typeof onBot === 'function') {
+      try {
+        const chosen = await onBot(detection, request);
+        if (chosen != null) return normalizeAction(chosen);
+      } catch (error) {
+        // A broken callback must not take the page down; the bot is let through.
+        log.error('onBot failed', { bot: detection.bot, error });
+        return ALLOW;
+      }
+    }
+    return policyActions[signature.slug] || policyActions[signature.purpose] || policyActions.default || ALLOW;
+  }
+
+  return async function bilditMiddleware(request, event) {
+    const { NextResponse } = require('next/server');
+    const url = request.nextUrl || new URL(request.url);
+    const pathname = url.pathname;
+
+    const tracked =
+      !(skipStatic && isStaticAsset(pathname)) &&
+      (!include || include(pathname, request)) &&
+      !(skip && skip(pathname, request));
+    if (!tracked) return runNext(request, event, NextResponse);
+
+    const userAgent = toHeaderValue(request.headers, 'user-agent');
+    const identifier = resolveBotIdentifier(trackOptions.signatures);
+    const signature = identifier ? identifier.identify(userAgent) : identifyAIBot(userAgent);
+    const action = signature
+      ? await chooseAction({ bot: signature.slug, signature, userAgent, path: pathname }, signature, request)
+      : ALLOW;
+
+    // With `identity`, tracked pages start or extend the session / visitor cookies, unless the
+    // privacy or consent decision rules identifiers out.
+    let identity = trackOptions.identity;
+    if (identity) {
+      identity = identityCookiesAllowed(request, trackOptions)
+        ? createPixelIdentity(request, resolveIdentityOptions(trackOptions.identity))
+        : false;
+    }
+
+    // Hits record what the bot was served; scheduled on the event so the response is not held up.
+    const params =
+      action.action === 'allow' ? trackOptions.params : Object.assign({}, trackOptions.params, { bot_action: action.action });
+    await track(request, Object.assign({ waitUntil: event }, trackOptions, { params, identity }));
+
+    let response;
+    if (action.action === 'block' || action.action === 'throttle') {
+      response = new NextResponse(action.body == null ? null : action.body, {
+        status: action.status || STATUS_DEFAULTS[action.action],
+      });
+      if (action.retryAfter != null) response.headers.set('Retry-After', String(action.retryAfter));
+    } else if (action.action === 'rewrite') {
+      response = NextResponse.rewrite(resolveRewrite(action.to, url));
+    } else {
+      response = await runNext(request, event, NextResponse);
+    }
+
+    if (action.headers) {
+      for (const key of Object.keys(action.headers)) response.headers.set(key, String(action.headers[key]));
+    }
+    if (identity) {
+      for (const cookie of identity.cookies) response.headers.append('Set-Cookie', cookie);
+    }
+    return response;
+  }
+}
+
+module.exports = {
+  isStaticAsset,
+  createMiddleware,
+};
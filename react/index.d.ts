@@ -1,4 +1,15 @@
 import * as React from 'react';
+import type { LogLevel, PixelDestination, PixelPrivacyOptions } from '../shared';
+
+export { PIXEL_URL, DEFAULT_ALT, normalizePixelParams } from '../shared';
+export type {
+  CallbackPixelDestination,
+  GA4PixelDestination,
+  HttpPixelDestination,
+  PixelDestination,
+  SegmentPixelDestination,
+} from '../shared';
+export type { LogLevel, PixelParams, PixelPrivacyOptions, PixelPrivacyDecision } from '../shared';
 
 export type PixelSurface = 'img' | 'iframe' | 'noscript' | 'script';
 
@@ -6,31 +17,134 @@ export type PixelMode = 'auto' | 'server' | 'image' | PixelSurface;
 
 export type PixelModeInput = PixelMode | PixelMode[] | PixelSurface[];
 
+export type PixelConsentState = 'granted' | 'denied' | 'pending';
+
+export interface PixelConsentConfig {
+  state?: PixelConsentState;
+  purposes?: string[];
+  tcf?: boolean;
+  tcfPurposes?: number[];
+  googleConsentMode?: boolean;
+  googleConsentKey?: string;
+}
+
+export type PixelConsent = PixelConsentState | PixelConsentConfig;
+
+export interface PixelConsentUpdate {
+  state?: PixelConsentState;
+  purposes?: Record<string, boolean>;
+}
+
+export interface PixelConsentStore {
+  state: PixelConsentState;
+  purposes: Record<string, boolean>;
+  update(next: PixelConsentState | PixelConsentUpdate): void;
+  subscribe(listener: (store: PixelConsentStore) => void): void;
+}
+
+export type PixelTransportMethod = 'auto' | 'image' | 'fetch' | 'beacon';
+
+export interface PixelTransportOptions {
+  method?: PixelTransportMethod;
+  batch?: boolean;
+  maxBatchSize?: number;
+  maxBatchWait?: number;
+  retries?: number;
+  retryDelay?: number;
+  offlineQueue?: boolean;
+  storageKey?: string;
+  maxStoredEvents?: number;
+}
+
+export interface PixelEngagementOptions {
+  scrollMilestones?: number[];
+}
+
+export interface PixelAIReferrerOptions {
+  storage?: 'localStorage' | 'cookie' | 'none';
+  ttlDays?: number;
+  cookieDomain?: string;
+  sources?: Record<string, string>;
+}
+
+export interface PixelIdentityOptions {
+  storage?: 'sessionStorage' | 'cookie' | 'none';
+  visitor?: boolean;
+  sessionTimeout?: number;
+  visitorDays?: number;
+  cookieDomain?: string;
+}
+
+export interface PixelPageContextOptions {
+  attributes?: string[];
+  jsonLd?: boolean;
+  maxLength?: number;
+  maxTotal?: number;
+  query?: false | { allow?: string[] };
+}
+
+export interface PixelInlineScriptOptions {
+  consent?: PixelConsent | null;
+  privacy?: PixelPrivacyOptions | null;
+  trackPageviews?: boolean;
+  nextRouter?: boolean;
+  transport?: PixelTransportMethod | PixelTransportOptions | null;
+  engagement?: boolean | PixelEngagementOptions | null;
+  agentDetection?: boolean;
+  aiReferrer?: boolean | PixelAIReferrerOptions | null;
+  identity?: boolean | PixelIdentityOptions | null;
+  pageContext?: boolean | PixelPageContextOptions | null;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  destinations?: PixelDestination[];
+}
+
 export interface BILDITAIPixelProps extends React.ImgHTMLAttributes<HTMLImageElement> {
   alt?: string;
   pixelUrl?: string;
+  proxyPath?: string;
   params?: Record<string, string | number | boolean | null | undefined>;
   mode?: PixelModeInput;
   iframeProps?: React.IframeHTMLAttributes<HTMLIFrameElement>;
   scriptId?: string;
   scriptNonce?: string;
+  scriptSrc?: string;
+  consent?: PixelConsent;
+  privacy?: PixelPrivacyOptions;
+  trackPageviews?: boolean;
+  transport?: PixelTransportMethod | PixelTransportOptions;
+  engagement?: boolean | PixelEngagementOptions;
+  agentDetection?: boolean;
+  aiReferrer?: boolean | PixelAIReferrerOptions;
+  identity?: boolean | PixelIdentityOptions;
+  pageContext?: boolean | PixelPageContextOptions;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  destinations?: PixelDestination[];
 }
 
-export declare const PIXEL_URL = 'https://ai-pixel.bildit.co/pixel.gif';
-export declare const DEFAULT_ALT = 'BILDIT AI Pixel Tracker';
 export declare const SURFACE_KEYS: readonly PixelSurface[];
 
 export declare function buildPixelInlineScript(
   pixelUrl: string,
   params?: Record<string, string | number | boolean | null | undefined>,
-  altText?: string
+  altText?: string,
+  options?: PixelInlineScriptOptions
 ): string;
 
 export interface MouseDetectionOptions {
   duration?: number;
   throttle?: number;
   maxMovements?: number;
+  debug?: boolean;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  destinations?: PixelDestination[];
   params?: Record<string, string | number | boolean | null | undefined>;
+  consent?: PixelConsent | null;
+  privacy?: PixelPrivacyOptions | null;
+  transport?: PixelTransportMethod | PixelTransportOptions | null;
+  identity?: boolean | PixelIdentityOptions | null;
 }
 
 export declare function buildMouseDetectionInlineScript(
@@ -38,9 +152,30 @@ export declare function buildMouseDetectionInlineScript(
   options?: MouseDetectionOptions
 ): string;
 
-export declare function normalizePixelParams(
-  params?: Record<string, string | number | boolean | null | undefined>
-): Record<string, string>;
+export type PixelRuntimeConfig = Record<string, unknown>;
+
+export declare function buildPixelRuntimeConfig(
+  pixelUrl: string,
+  params?: Record<string, string | number | boolean | null | undefined>,
+  altText?: string,
+  options?: PixelInlineScriptOptions
+): PixelRuntimeConfig;
+
+export declare function buildMouseDetectionRuntimeConfig(
+  pixelUrl: string,
+  options?: MouseDetectionOptions
+): PixelRuntimeConfig;
+
+export interface RuntimeScriptAttributes {
+  src: string;
+  defer: boolean;
+  'data-bildit-config': string;
+}
+
+export declare function buildRuntimeScriptAttributes(
+  scriptSrc: string,
+  config: PixelRuntimeConfig
+): RuntimeScriptAttributes;
 
 export declare const BILDITAIPixel: React.ForwardRefExoticComponent<
   BILDITAIPixelProps & React.RefAttributes<HTMLImageElement>
@@ -49,11 +184,44 @@ export declare const BILDITAIPixel: React.ForwardRefExoticComponent<
 export interface BILDITMouseDetectionScriptProps
   extends Omit<React.ScriptHTMLAttributes<HTMLScriptElement>, 'dangerouslySetInnerHTML' | 'id' | 'nonce'> {
   pixelUrl?: string;
+  proxyPath?: string;
   options?: MouseDetectionOptions;
+  consent?: PixelConsent;
+  privacy?: PixelPrivacyOptions;
+  transport?: PixelTransportMethod | PixelTransportOptions;
   scriptId?: string;
   scriptNonce?: string;
+  scriptSrc?: string;
 }
 
 export declare const BILDITMouseDetectionScript: React.FC<BILDITMouseDetectionScriptProps>;
 
+export type PixelEventProperties = Record<string, string | number | boolean | null | undefined>;
+
+export type PixelCommand =
+  | ['track', string, PixelEventProperties?]
+  | ['pageview', { path?: string; nav?: string }?]
+  | ['set', Record<string, string | number | boolean | null | undefined>];
+
+export interface PixelCommandApi {
+  loaded: true;
+  push(...commands: PixelCommand[]): void;
+  track(event: string, properties?: PixelEventProperties): void;
+  set(params: Record<string, string | number | boolean | null | undefined>): void;
+}
+
+export interface UseBILDITPixelResult {
+  track(event: string, properties?: PixelEventProperties): void;
+  set(params: Record<string, string | number | boolean | null | undefined>): void;
+}
+
+export declare function useBILDITPixel(): UseBILDITPixelResult;
+
+declare global {
+  interface Window {
+    BILDIT_CONSENT?: PixelConsentStore | PixelConsentState | PixelConsentUpdate;
+    bilditPixel?: PixelCommandApi | PixelCommand[];
+  }
+}
+
 export default BILDITAIPixel;
@@ -1,7 +1,11 @@
 const React = require('react');
-
-const PIXEL_URL = 'https://ai-pixel.bildit.co/pixel.gif';
-const DEFAULT_ALT = 'BILDIT AI Pixel Tracker';
+const {
+  RUNTIME_CONFIG_ATTRIBUTE,
+  serializeConfig,
+  buildPixelRuntimeScript,
+  buildMouseDetectionRuntimeScript,
+} = require('../client');
+const { PIXEL_URL, DEFAULT_ALT, normalizePixelParams } = require('../shared');
 
 const SURFACE_KEYS = Object.freeze(['img', 'iframe', 'noscript', 'script']);
 
@@ -15,16 +19,6 @@ const MODE_MAP = {
   script: ['script'],
 };
 
-function normalizePixelParams(params) {
-  if (!params) return {};
-  const sanitized = {};
-  for (const [key, value] of Object.entries(params)) {
-    if (value === undefined || value === null) continue;
-    sanitized[key] = String(value);
-  }
-  return sanitized;
-}
-
 function buildQueryString(params) {
   const search = new URLSearchParams();
   for (const [key, value] of Object.entries(params)) {
@@ -54,115 +48,182 @@ function getModes(mode) {
   return MODE_MAP.auto;
 }
 
-function buildPixelInlineScript(pixelUrl, baseParams, altText) {
-  const payload = {
+const CONSENT_STATES = Object.freeze(['granted', 'denied', 'pending']);
+
+function normalizeConsent(consent) {
+  if (consent == null) return null;
+  if (typeof consent === 'string') {
+    return { state: CONSENT_STATES.includes(consent) ? consent : 'pending', purposes: [] };
+  }
+  if (typeof consent !== 'object') return null;
+  const normalized = {
+    state: CONSENT_STATES.includes(consent.state) ? consent.state : 'pending',
+    purposes: Array.isArray(consent.purposes) ? consent.purposes.map(String) : [],
+  };
+  if (consent.tcf === false) normalized.tcf = false;
+  if (Array.isArray(consent.tcfPurposes)) normalized.tcfPurposes = consent.tcfPurposes.map(Number);
+  if (consent.googleConsentMode === false) normalized.googleConsentMode = false;
+  if (typeof consent.googleConsentKey === 'string') normalized.googleConsentKey = consent.googleConsentKey;
+  return normalized;
+}
+
+function isConsentGranted(consent) {
+  return !consent || consent.state === 'granted';
+}
+
+const AI_REFERRER_STORAGE = Object.freeze(['localStorage', 'cookie', 'none']);
+
+// `sources` maps extra hostnames / utm_source values to slugs; keys are matched lowercased.
+function normalizeAIReferrer(aiReferrer) {
+  if (!aiReferrer) return null;
+  const config = aiReferrer === true ? {} : aiReferrer;
+  if (typeof config !== 'object') return null;
+  const normalized = {
+    storage: AI_REFERRER_STORAGE.includes(config.storage) ? config.storage : 'localStorage',
+    ttlDays: Number(config.ttlDays) > 0 ? Number(config.ttlDays) : 30,
+  };
+  if (typeof config.cookieDomain === 'string') normalized.cookieDomain = config.cookieDomain;
+  if (config.sources && typeof config.sources === 'object') {
+    normalized.sources = {};
+    for (const key of Object.keys(config.sources)) normalized.sources[key.toLowerCase()] = String(config.sources[key]);
+  }
+  return normalized;
+}
+
+const IDENTITY_STORAGE = Object.freeze(['sessionStorage', 'cookie', 'none']);
+
+function normalizeIdentity(identity) {
+  if (!identity) return null;
+  const config = identity === true ? {} : identity;
+  if (typeof config !== 'object') return null;
+  const normalized = {
+    storage: IDENTITY_STORAGE.includes(config.storage) ? config.storage : 'sessionStorage',
+    visitor: !!config.visitor,
+    sessionTimeout: Number(config.sessionTimeout) > 0 ? Number(config.sessionTimeout) : 30,
+    visitorDays: Number(config.visitorDays) > 0 ? Number(config.visitorDays) : 365,
+  };
+  if (typeof config.cookieDomain === 'string') normalized.cookieDomain = config.cookieDomain;
+  return normalized;
+}
+
+// Attribute names without the `data-bildit-` prefix; anything else would never match an attribute.
+function normalizePageContext(pageContext) {
+  if (!pageContext) return null;
+  const config = pageContext === true ? {} : pageContext;
+  if (typeof config !== 'object') return null;
+  const attributes = Array.isArray(config.attributes) ? config.attributes : [];
+  return {
+    attributes: attributes.map(name => String(name).toLowerCase()).filter(name => /^[a-z0-9-]+$/.test(name)),
+    jsonLd: !!config.jsonLd,
+    maxLength: Number(config.maxLength) > 0 ? Number(config.maxLength) : 200,
+    maxTotal: Number(config.maxTotal) > 0 ? Number(config.maxTotal) : 1000,
+    query: config.query === false ? false : { allow: config.query && Array.isArray(config.query.allow) ? config.query.allow.map(String) : [] },
+  };
+}
+
+const PRIVACY_ACTIONS = Object.freeze(['downgrade', 'suppress']);
+
+function normalizePrivacy(privacy) {
+  if (!privacy || typeof privacy !== 'object') return null;
+  if (!privacy.respectGPC && !privacy.respectDNT) return null;
+  return {
+    respectGPC: !!privacy.respectGPC,
+    respectDNT: !!privacy.respectDNT,
+    action: PRIVACY_ACTIONS.includes(privacy.action) ? privacy.action : 'downgrade',
+  };
+}
+
+const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+// Runtime logging is off unless a level is set; `debug: true` is shorthand for `logLevel: 'debug'`.
+// The browser sink is `window.BILDIT_LOGGER` when defined, otherwise the console.
+function normalizeLogger(options) {
+  const level = LOG_LEVELS.includes(options.logLevel) ? options.logLevel : options.debug ? 'debug' : null;
+  if (!level || level === 'silent') return null;
+  return { level, redact: options.logRedact !== false };
+}
+
+// Browser destinations travel in the serialized config, so function-valued options (`transform`,
+// a custom `send`) are server-only; custom browser destinations name a `callback` global instead.
+// GA4 needs its Measurement Protocol API secret, which must never reach the page: server only.
+function isValidDestination(destination) {
+  if (!destination || typeof destination !== 'object') return false;
+  switch (destination.type || 'http') {
+    case 'http':
+      return typeof destination.url === 'string';
+    case 'segment':
+      return !!destination.writeKey || typeof destination.url === 'string';
+    case 'custom':
+      return typeof destination.callback === 'string';
+    default:
+      return false;
+  }
+}
+
+function normalizeDestinations(destinations) {
+  if (!Array.isArray(destinations)) return null;
+  const valid = destinations.filter(isValidDestination);
+  return valid.length ? JSON.parse(JSON.stringify(valid)) : null;
+}
+
+const TRANSPORT_METHODS = Object.freeze(['auto', 'image', 'fetch', 'beacon']);
+const DEFAULT_TRANSPORT_STORAGE_KEY = 'bildit_pixel_queue';
+
+function normalizeTransport(transport) {
+  if (!transport) return null;
+  const config = typeof transport === 'string' ? { method: transport } : transport;
+  if (typeof config !== 'object') return null;
+  return {
+    method: TRANSPORT_METHODS.includes(config.method) ? config.method : 'auto',
+    batch: !!config.batch,
+    maxBatchSize: Number(config.maxBatchSize) || 10,
+    maxBatchWait: Number(config.maxBatchWait) || 2000,
+    retries: Math.max(0, Number(config.retries) || 0),
+    retryDelay: Number(config.retryDelay) || 1000,
+    offlineQueue: !!config.offlineQueue,
+    storageKey: typeof config.storageKey === 'string' ? config.storageKey : DEFAULT_TRANSPORT_STORAGE_KEY,
+    maxStoredEvents: Number(config.maxStoredEvents) || 50,
+  };
+}
+
+function normalizeEngagement(engagement) {
+  if (!engagement) return null;
+  const config = engagement === true ? {} : engagement;
+  if (typeof config !== 'object') return null;
+  const milestones = Array.isArray(config.scrollMilestones)
+    ? config.scrollMilestones.map(Number).filter(value => value > 0 && value <= 100)
+    : [25, 50, 75, 100];
+  return { scrollMilestones: milestones.sort((a, b) => a - b) };
+}
+
+/**
+ * Config consumed by the pixel runtime, either inlined or passed to the hosted runtime file.
+ */
+function buildPixelRuntimeConfig(pixelUrl, baseParams, altText, options = {}) {
+  return {
     pixelUrl,
     params: baseParams,
     alt: altText,
+    consent: normalizeConsent(options.consent),
+    privacy: normalizePrivacy(options.privacy),
+    transport: normalizeTransport(options.transport),
+    engagement: normalizeEngagement(options.engagement),
+    agentDetection: !!options.agentDetection,
+    aiReferrer: normalizeAIReferrer(options.aiReferrer),
+    identity: normalizeIdentity(options.identity),
+    pageContext: normalizePageContext(options.pageContext),
+    pageviews: options.trackPageviews ? { nextRouter: !!options.nextRouter } : null,
+    logger: normalizeLogger(options),
+    destinations: normalizeDestinations(options.destinations),
   };
+}
 
-  const serializedPayload = JSON.stringify(payload).replace(/<\/script/gi, '<\\/script');
-
-  const scriptBody = `(function(){
-    try {
-      var cfg = ${serializedPayload};
-      var baseParams = cfg.params || {};
-      var pixelUrl = cfg.pixelUrl;
-      var UA = (typeof navigator !== 'undefined' && navigator.userAgent) ? navigator.userAgent : 'unknown';
-
-      // Ensure site param defaults to current origin when available
-      try {
-        if (typeof location !== 'undefined' && location.origin && baseParams && baseParams.site == null) {
-          baseParams.site = location.origin;
-        }
-      } catch (_) {}
-
-      function mergeParams(extra) {
-        var params = new URLSearchParams();
-        for (var key in baseParams) {
-          if (Object.prototype.hasOwnProperty.call(baseParams, key) && baseParams[key] != null) {
-            params.append(key, String(baseParams[key]));
-          }
-        }
-        if (extra) {
-          for (var extraKey in extra) {
-            if (Object.prototype.hasOwnProperty.call(extra, extraKey) && extra[extraKey] != null) {
-              params.set(extraKey, String(extra[extraKey]));
-            }
-          }
-        }
-        return params.toString();
-      }
-
-      function sendBeacon(extra, opts) {
-        var qs = mergeParams(extra);
-        var url = pixelUrl + (pixelUrl.indexOf('?') === -1 ? '?' : '&') + qs;
-        if (opts && opts.method === 'fetch' && typeof fetch === 'function') {
-          try {
-            fetch(url, { method: 'GET', mode: 'no-cors', credentials: 'omit', keepalive: true }).catch(function(){});
-            return;
-          } catch (error) {}
-        }
-        try {
-          var beaconImg = new Image(1, 1);
-          beaconImg.src = url;
-        } catch (error) {}
-      }
-
-      function appendPixel(extra) {
-        var img = new Image(1, 1);
-        img.alt = cfg.alt || '';
-        img.decoding = 'async';
-        img.loading = 'lazy';
-        img.referrerPolicy = 'no-referrer-when-downgrade';
-        img.style.position = 'absolute';
-        img.style.width = '1px';
-        img.style.height = '1px';
-        img.style.border = '0';
-        img.style.clip = 'rect(0, 0, 0, 0)';
-        img.style.overflow = 'hidden';
-        img.width = 1;
-        img.height = 1;
-        var qs = mergeParams(extra);
-        img.src = pixelUrl + (pixelUrl.indexOf('?') === -1 ? '?' : '&') + qs;
-        var target = document.body || document.documentElement;
-        if (target) {
-          target.appendChild(img);
-        }
-      }
-
-      sendBeacon({ mode: 'script', event: 'bootstrap', ua: UA, ts: Date.now() }, { method: 'fetch' });
-
-      function initPixel() {
-        appendPixel({ mode: 'js-img', event: 'render', ts: Date.now(), r: Math.random().toString(36).slice(2), ua: UA });
-      }
-
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initPixel, { once: true });
-      } else {
-        initPixel();
-      }
-
-      var mouseTracked = false;
-      function handleMouseMove() {
-        if (mouseTracked) return;
-        mouseTracked = true;
-        sendBeacon({ mode: 'script', event: 'mouse', mouse: '1', ua: UA, ts: Date.now() }, { method: 'fetch' });
-        document.removeEventListener('mousemove', handleMouseMove, true);
-      }
-      document.addEventListener('mousemove', handleMouseMove, { once: true, capture: true, passive: true });
-    } catch (error) {
-      try {
-        console.error('BILDITAIPixel inline script error:', error);
-      } catch (err) {}
-    }
-  })();`;
-
-  return scriptBody;
+function buildPixelInlineScript(pixelUrl, baseParams, altText, options = {}) {
+  return buildPixelRuntimeScript(buildPixelRuntimeConfig(pixelUrl, baseParams, altText, options));
 }
 
-function buildMouseDetectionInlineScript(pixelUrl, options = {}) {
-  const payload = {
+function buildMouseDetectionRuntimeConfig(pixelUrl, options = {}) {
+  return {
     pixelUrl,
     options: {
       duration: options.duration || 5000,
@@ -170,108 +231,29 @@ function buildMouseDetectionInlineScript(pixelUrl, options = {}) {
       maxMovements: options.maxMovements || 10,
       params: options.params || {},
     },
+    consent: normalizeConsent(options.consent),
+    privacy: normalizePrivacy(options.privacy),
+    transport: normalizeTransport(options.transport),
+    identity: normalizeIdentity(options.identity),
+    logger: normalizeLogger(options),
+    destinations: normalizeDestinations(options.destinations),
   };
+}
 
-  const serializedPayload = JSON.stringify(payload).replace(/<\/?script/gi, match => match.replace(/</g, '<\\/'));
-
-  const scriptBody = `(function(){
-    'use strict';
-    try {
-      var cfg = ${serializedPayload};
-      var pixelUrl = cfg.pixelUrl || '${PIXEL_URL}';
-      var opts = cfg.options || {};
-      var DURATION = Number(opts.duration) || 5000;
-      var THROTTLE = Number(opts.throttle) || 1000;
-      var MAX = Number(opts.maxMovements) || 10;
-      var baseParams = opts.params || {};
-
-      // Ensure site param defaults to current origin when available
-      try {
-        if (typeof location !== 'undefined' && location.origin && baseParams && baseParams.site == null) {
-          baseParams.site = location.origin;
-        }
-      } catch (_) {}
-
-      var isRecording = false;
-      var startTime = 0;
-      var lastPing = 0;
-      var count = 0;
-      var movements = [];
-
-      function qs(extra){
-        var sp = new URLSearchParams();
-        for (var k in baseParams){ if (Object.prototype.hasOwnProperty.call(baseParams,k) && baseParams[k]!=null) sp.set(k, String(baseParams[k])); }
-        if (extra){ for (var ek in extra){ if (Object.prototype.hasOwnProperty.call(extra,ek) && extra[ek]!=null) sp.set(ek, String(extra[ek])); } }
-        if (!sp.has('ts')) sp.set('ts', Date.now().toString());
-        if (!sp.has('nonce')) sp.set('nonce', Math.random().toString(36).slice(2));
-        sp.set('mode','mouse');
-        return sp.toString();
-      }
-
-      function send(extra){
-        var now = Date.now();
-        if (now - lastPing < THROTTLE) return;
-        lastPing = now;
-        var img = new Image(1,1);
-        img.decoding = 'async';
-        img.loading = 'lazy';
-        img.referrerPolicy = 'no-referrer-when-downgrade';
-        img.src = pixelUrl + (pixelUrl.indexOf('?')===-1?'?':'&') + qs(extra);
-      }
-
-      function start(){
-        if (isRecording) return;
-        isRecording = true;
-        startTime = Date.now();
-        count = 0;
-        movements = [];
-        send({ event:'mouse-start' });
-        setTimeout(stop, DURATION);
-      }
-
-      function stop(){
-        if (!isRecording) return;
-        isRecording = false;
-        var dur = Date.now() - startTime;
-        var summary = movements.slice(0,5);
-        try { summary = JSON.stringify(summary); } catch(e){ summary = '[]'; }
-        send({ event:'mouse-end', dur: String(dur), moves: String(movements.length), data: summary });
-      }
-
-      function onMove(e){
-        if (!isRecording) start();
-        count++;
-        if (movements.length < MAX){
-          movements.push({ x:e.clientX, y:e.clientY, t: Date.now()-startTime });
-        }
-        if (count % 5 === 0){
-          send({ event:'mouse-update', c:String(count), t:String(Date.now()-startTime), x:String(e.clientX), y:String(e.clientY) });
-        }
-      }
-
-      function onClick(e){
-        if (!isRecording) start();
-        send({ event:'mouse-click', x:String(e.clientX), y:String(e.clientY), b:String(e.button) });
-      }
-
-      function onScroll(){
-        if (!isRecording) start();
-        send({ event:'scroll', sx:String(window.scrollX||0), sy:String(window.scrollY||0) });
-      }
-
-      document.addEventListener('mousemove', onMove, { passive:true });
-      document.addEventListener('click', onClick, { passive:true });
-      window.addEventListener('scroll', onScroll, { passive:true });
-
-      // Initial beacon for environment
-      send({ event:'mouse-init', vw:String(window.innerWidth||0), vh:String(window.innerHeight||0) });
-
-      // Expose controls
-      try { window.BILDIT_MOUSE_DETECTION = { start:start, stop:stop }; } catch(_){}
-    } catch (err) { try { console.error('BILDIT mouse script error', err); } catch(_){} }
-  })();`;
-
-  return scriptBody;
+function buildMouseDetectionInlineScript(pixelUrl, options = {}) {
+  return buildMouseDetectionRuntimeScript(buildMouseDetectionRuntimeConfig(pixelUrl, options));
+}
+
+/**
+ * Attributes for a `<script src>` that loads a hosted runtime file and reads its config from
+ * `data-bildit-config`, for pages whose CSP does not allow inline scripts.
+ */
+function buildRuntimeScriptAttributes(scriptSrc, config) {
+  return {
+    src: scriptSrc,
+    defer: true,
+    [RUNTIME_CONFIG_ATTRIBUTE]: serializeConfig(config),
+  };
 }
 
 function escapeAttribute(value) {
@@ -301,14 +283,30 @@ function buildNoscriptHtml(src, altText) {
 const BILDITAIPixel = React.forwardRef(function BILDITAIPixel(componentProps = {}, ref) {
   const {
     alt = DEFAULT_ALT,
-    pixelUrl = PIXEL_URL,
+    pixelUrl: pixelUrlProp = PIXEL_URL,
+    proxyPath,
     params,
     mode = 'auto',
     iframeProps,
     scriptId,
     scriptNonce,
+    scriptSrc,
+    consent,
+    privacy,
+    trackPageviews = false,
+    transport,
+    engagement,
+    agentDetection = false,
+    aiReferrer,
+    identity,
+    pageContext,
+    logLevel,
+    logRedact,
+    destinations,
     ...imgRestProps
   } = componentProps;
+  // `proxyPath` points every surface at a first-party proxy route instead of the BILDIT origin.
+  const pixelUrl = proxyPath || pixelUrlProp;
 
   const normalizedParams = normalizePixelParams(params);
   if (!normalizedParams.component) {
@@ -318,7 +316,29 @@ const BILDITAIPixel = React.forwardRef(function BILDITAIPixel(componentProps = {
     normalizedParams.source = 'bildit-ai-pixel';
   }
 
-  const modes = getModes(mode);
+  const consentConfig = normalizeConsent(consent);
+  const consentKey = JSON.stringify(consentConfig);
+  const privacyConfig = normalizePrivacy(privacy);
+  const privacyKey = JSON.stringify(privacyConfig);
+  const transportConfig = normalizeTransport(transport);
+  const transportKey = JSON.stringify(transportConfig);
+  const engagementConfig = normalizeEngagement(engagement);
+  const engagementKey = JSON.stringify(engagementConfig);
+  const destinationsConfig = normalizeDestinations(destinations);
+  const destinationsKey = JSON.stringify(destinationsConfig);
+  const aiReferrerConfig = normalizeAIReferrer(aiReferrer);
+  const aiReferrerKey = JSON.stringify(aiReferrerConfig);
+  const identityConfig = normalizeIdentity(identity);
+  const identityKey = JSON.stringify(identityConfig);
+  const pageContextConfig = normalizePageContext(pageContext);
+  const pageContextKey = JSON.stringify(pageContextConfig);
+
+  // The static surfaces request the pixel as soon as they hit the DOM, so they only render once
+  // consent is granted; the inline script holds (pending) or drops (denied) its own beacons. They
+  // cannot read GPC / DNT either, so `action: 'suppress'` leaves the hit to the inline script.
+  const staticSurfacesAllowed =
+    isConsentGranted(consentConfig) && !(privacyConfig && privacyConfig.action === 'suppress');
+  const modes = getModes(mode).filter(surface => surface === 'script' || staticSurfacesAllowed);
 
   const paramsKey = JSON.stringify(normalizedParams);
 
@@ -341,10 +361,43 @@ const BILDITAIPixel = React.forwardRef(function BILDITAIPixel(componentProps = {
     [pixelUrl, paramsKey]
   );
 
-  const scriptContent = React.useMemo(
-    () => buildPixelInlineScript(pixelUrl, { ...normalizedParams }, alt),
-    [pixelUrl, paramsKey, alt]
-  );
+  // Inline by default; with `scriptSrc` the hosted runtime file reads the same config from a data attribute.
+  const scriptSourceProps = React.useMemo(() => {
+    const config = buildPixelRuntimeConfig(pixelUrl, { ...normalizedParams }, alt, {
+      consent: consentConfig,
+      privacy: privacyConfig,
+      trackPageviews,
+      transport: transportConfig,
+      engagement: engagementConfig,
+      agentDetection,
+      aiReferrer: aiReferrerConfig,
+      identity: identityConfig,
+      pageContext: pageContextConfig,
+      logLevel,
+      logRedact,
+      destinations: destinationsConfig,
+    });
+    return scriptSrc
+      ? buildRuntimeScriptAttributes(scriptSrc, config)
+      : { dangerouslySetInnerHTML: { __html: buildPixelRuntimeScript(config) } };
+  }, [
+    pixelUrl,
+    paramsKey,
+    alt,
+    consentKey,
+    privacyKey,
+    trackPageviews,
+    transportKey,
+    engagementKey,
+    agentDetection,
+    aiReferrerKey,
+    identityKey,
+    pageContextKey,
+    logLevel,
+    logRedact,
+    destinationsKey,
+    scriptSrc,
+  ]);
 
   const elements = [];
 
@@ -423,11 +476,15 @@ const BILDITAIPixel = React.forwardRef(function BILDITAIPixel(componentProps = {
         id: scriptId,
         nonce: scriptNonce,
         suppressHydrationWarning: true,
-        dangerouslySetInnerHTML: { __html: scriptContent },
+        ...scriptSourceProps,
       })
     );
   }
 
+  if (!elements.length) {
+    return null;
+  }
+
   if (elements.length === 1) {
     return elements[0];
   }
@@ -435,14 +492,51 @@ const BILDITAIPixel = React.forwardRef(function BILDITAIPixel(componentProps = {
   return React.createElement(React.Fragment, null, elements);
 });
 
+function pushPixelCommand(command) {
+  if (typeof window === 'undefined') return;
+  window.bilditPixel = window.bilditPixel || [];
+  window.bilditPixel.push(command);
+}
+
+/**
+ * Returns helpers that send custom events through the installed pixel script. Calls made before
+ * the script has loaded are queued on `window.bilditPixel` and replayed once it runs.
+ */
+function useBILDITPixel() {
+  const track = React.useCallback((event, properties) => pushPixelCommand(['track', event, properties]), []);
+  const set = React.useCallback(params => pushPixelCommand(['set', params]), []);
+  return React.useMemo(() => ({ track, set }), [track, set]);
+}
+
 function BILDITMouseDetectionScript(props = {}) {
-  const { pixelUrl = PIXEL_URL, options, scriptId, scriptNonce, ...rest } = props;
-  const content = React.useMemo(() => buildMouseDetectionInlineScript(pixelUrl, options || {}), [pixelUrl, JSON.stringify(options||{})]);
+  const {
+    pixelUrl: pixelUrlProp = PIXEL_URL,
+    proxyPath,
+    options,
+    consent,
+    privacy,
+    transport,
+    scriptId,
+    scriptNonce,
+    scriptSrc,
+    ...rest
+  } = props;
+  const pixelUrl = proxyPath || pixelUrlProp;
+  const scriptOptions = { ...options };
+  if (consent !== undefined) scriptOptions.consent = consent;
+  if (privacy !== undefined) scriptOptions.privacy = privacy;
+  if (transport !== undefined) scriptOptions.transport = transport;
+  const sourceProps = React.useMemo(() => {
+    const config = buildMouseDetectionRuntimeConfig(pixelUrl, scriptOptions);
+    return scriptSrc
+      ? buildRuntimeScriptAttributes(scriptSrc, config)
+      : { dangerouslySetInnerHTML: { __html: buildMouseDetectionRuntimeScript(config) } };
+  }, [pixelUrl, JSON.stringify(scriptOptions), scriptSrc]);
   return React.createElement('script', {
     id: scriptId,
     nonce: scriptNonce,
     suppressHydrationWarning: true,
-    dangerouslySetInnerHTML: { __html: content },
+    ...sourceProps,
     ...rest,
   });
 }
@@ -453,8 +547,12 @@ module.exports = {
   DEFAULT_ALT,
   buildPixelInlineScript,
   buildMouseDetectionInlineScript,
+  buildPixelRuntimeConfig,
+  buildMouseDetectionRuntimeConfig,
+  buildRuntimeScriptAttributes,
   normalizePixelParams,
   SURFACE_KEYS,
   BILDITMouseDetectionScript,
+  useBILDITPixel,
 };
 module.exports.default = BILDITAIPixel;
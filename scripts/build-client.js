@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Builds the browser runtime from client/src.
+ *
+ * Every module in client/src is a self-contained ES5 function. This script minifies each one and
+ * writes:
+ *   client/runtime.js           # minified function sources, composed into inline scripts at render time
+ *   client/pixel-runtime.js     # hostable pixel runtime configured through data-bildit-config
+ *   scripts/mouse-detection.js  # standalone mouse detection IIFE configured through window globals
+ *
+ * Usage:
+ *   node scripts/build-client.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const RUNTIMES = {
+  pixel: require('../client/src/pixel'),
+  mouseDetection: require('../client/src/mouse-detection'),
+};
+
+const MODULES = {
+  consent: require('../client/src/consent'),
+  privacy: require('../client/src/privacy'),
+  transport: require('../client/src/transport'),
+  pageviews: require('../client/src/pageviews'),
+  engagement: require('../client/src/engagement'),
+  agentDetection: require('../client/src/agent-detection'),
+  aiReferrer: require('../client/src/ai-referrer'),
+  classifyAIReferrer: require('../shared/ai-referrer'),
+  identity: require('../client/src/identity'),
+  pageContext: require('../client/src/page-context'),
+  logger: require('../shared/logger'),
+  destinations: require('../shared/destinations'),
+};
+
+const standalonePixel = require('../client/src/standalone-pixel');
+const standaloneMouseDetection = require('../client/src/standalone-mouse-detection');
+
+const GENERATED_NOTICE = 'Generated by scripts/build-client.js from client/src. Do not edit by hand.';
+
+const STANDALONE_HEADER = `/**
+ * Mouse Movement Detection Script for BILDIT AI Pixel
+ *
+ * Detects mouse movements, clicks and scrolls on a webpage and reports them to the BILDIT pixel.
+ * It only records for a few seconds to avoid excessive requests and maintain performance.
+ *
+ * Usage:
+ *   Include this script on your webpage to enable mouse movement tracking. Configure it through
+ *   the window.BILDIT_* globals documented in scripts/README-mouse-detection.md.
+ *
+ * ${GENERATED_NOTICE}
+ */
+`;
+
+const PIXEL_RUNTIME_HEADER = `/**
+ * BILDIT AI Pixel runtime for strict Content-Security-Policy pages.
+ *
+ * Host this file on your own origin and point the \`scriptSrc\` prop of BILDITAIPixel or
+ * NextBILDITAIPixel at it; the component passes its config through \`data-bildit-config\`.
+ *
+ * ${GENERATED_NOTICE}
+ */
+`;
+
+const MINIFY_OPTIONS = { ecma: 5, compress: { passes: 2 }, mangle: true, format: { comments: false } };
+
+async function minifyFunction(fn) {
+  const result = await minify(`var __bildit=${fn.toString()};`, MINIFY_OPTIONS);
+  return result.code.replace(/^var __bildit=/, '').replace(/;$/, '');
+}
+
+async function minifyAll(sources) {
+  const minified = {};
+  for (const [name, fn] of Object.entries(sources)) {
+    minified[name] = await minifyFunction(fn);
+  }
+  return minified;
+}
+
+async function buildStandalone(bootstrap, runtimeSource, modules, moduleNames) {
+  const moduleSources = moduleNames.map(name => `${name}:${modules[name]}`).join(',');
+  const result = await minify(`(${bootstrap.toString()})(${runtimeSource},{${moduleSources}});`, MINIFY_OPTIONS);
+  return result.code;
+}
+
+async function main() {
+  const runtimes = await minifyAll(RUNTIMES);
+  const modules = await minifyAll(MODULES);
+
+  const runtimeFile = [
+    `// ${GENERATED_NOTICE}`,
+    "'use strict';",
+    '',
+    `module.exports = ${JSON.stringify({ ...runtimes, modules }, null, 2)};`,
+    '',
+  ].join('\n');
+  fs.writeFileSync(path.join(ROOT, 'client/runtime.js'), runtimeFile);
+
+  const pixelStandalone = await buildStandalone(standalonePixel, runtimes.pixel, modules, Object.keys(MODULES));
+  fs.writeFileSync(path.join(ROOT, 'client/pixel-runtime.js'), `${PIXEL_RUNTIME_HEADER}${pixelStandalone}\n`);
+
+  const mouseStandalone = await buildStandalone(standaloneMouseDetection, runtimes.mouseDetection, modules, [
+    'consent',
+    'privacy',
+    'transport',
+    'identity',
+    'logger',
+    'destinations',
+  ]);
+  fs.writeFileSync(path.join(ROOT, 'scripts/mouse-detection.js'), `${STANDALONE_HEADER}${mouseStandalone}\n`);
+
+  // eslint-disable-next-line no-console
+  console.log('Built client/runtime.js, client/pixel-runtime.js and scripts/mouse-detection.js');
+}
+
+main().catch(error => {
+  // eslint-disable-next-line no-console
+  console.error(error);
+  process.exitCode = 1;
+});
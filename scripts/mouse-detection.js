@@ -1,316 +1,13 @@
 /**
  * Mouse Movement Detection Script for BILDIT AI Pixel
- * 
- * This script detects mouse movements on a webpage and sends requests to the
- * BILDIT pixel when mouse activity is detected. It only records for a few seconds
- * to avoid excessive requests and maintain performance.
- * 
+ *
+ * Detects mouse movements, clicks and scrolls on a webpage and reports them to the BILDIT pixel.
+ * It only records for a few seconds to avoid excessive requests and maintain performance.
+ *
  * Usage:
- *   Include this script on your webpage to enable mouse movement tracking
- * 
- * Configuration:
- *   PIXEL_URL - The BILDIT pixel endpoint URL
- *   RECORDING_DURATION - How long to record mouse movements (in milliseconds)
- *   THROTTLE_INTERVAL - Minimum interval between pixel requests (in milliseconds)
+ *   Include this script on your webpage to enable mouse movement tracking. Configure it through
+ *   the window.BILDIT_* globals documented in scripts/README-mouse-detection.md.
+ *
+ * Generated by scripts/build-client.js from client/src. Do not edit by hand.
  */
-
-(function() {
-  'use strict';
-
-  // Configuration
-  const PIXEL_URL = window.BILDIT_PIXEL_URL || 'https://ai-pixel.bildit.co/pixel.gif';
-  const RECORDING_DURATION = window.BILDIT_RECORDING_DURATION || 5000; // 5 seconds
-  const THROTTLE_INTERVAL = window.BILDIT_THROTTLE_INTERVAL || 1000; // 1 second
-  const MAX_MOVEMENTS = window.BILDIT_MAX_MOVEMENTS || 10; // Maximum movements to track
-
-  // State management
-  let isRecording = false;
-  let recordingStartTime = null;
-  let lastPixelRequest = 0;
-  let movementCount = 0;
-  let mouseMovements = [];
-
-  /**
-   * Logs events for debugging (can be disabled in production)
-   */
-  function logEvent(message, data = {}) {
-    if (window.BILDIT_DEBUG) {
-      console.log(`[BILDIT Mouse Detection] ${message}`, data);
-    }
-  }
-
-  /**
-   * Sends a request to the BILDIT pixel
-   */
-  function sendPixelRequest(source = 'mouse-detection', extra = {}) {
-    const now = Date.now();
-    
-    // Throttle requests to avoid overwhelming the server
-    if (now - lastPixelRequest < THROTTLE_INTERVAL) {
-      logEvent('Request throttled', { 
-        timeSinceLastRequest: now - lastPixelRequest,
-        throttleInterval: THROTTLE_INTERVAL 
-      });
-      return;
-    }
-
-    try {
-      const url = new URL(PIXEL_URL);
-      // Ensure site param defaults to current origin
-      try {
-        if (!('site' in extra) && typeof location !== 'undefined' && location.origin) {
-          url.searchParams.set('site', location.origin);
-        }
-      } catch (_) {}
-      url.searchParams.set('source', source);
-      url.searchParams.set('mode', 'mouse-movement');
-      url.searchParams.set('ts', now.toString());
-      url.searchParams.set('nonce', Math.random().toString(36).slice(2));
-      
-      // Add extra parameters
-      for (const [key, value] of Object.entries(extra)) {
-        if (value !== undefined && value !== null) {
-          url.searchParams.set(key, String(value));
-        }
-      }
-
-      // Create and send pixel request
-      const img = document.createElement('img');
-      img.src = url.toString();
-      img.alt = 'BILDIT AI Pixel';
-      img.width = 1;
-      img.height = 1;
-      img.style.position = 'absolute';
-      img.style.left = '-9999px';
-      img.style.top = '-9999px';
-      img.style.opacity = '0';
-      img.style.pointerEvents = 'none';
-      
-      document.body.appendChild(img);
-      
-      // Clean up after a short delay
-      setTimeout(() => {
-        if (img.parentNode) {
-          img.parentNode.removeChild(img);
-        }
-      }, 100);
-
-      lastPixelRequest = now;
-      logEvent('Pixel request sent', { 
-        source, 
-        url: url.toString(),
-        movementCount,
-        recordingDuration: now - recordingStartTime 
-      });
-
-    } catch (error) {
-      logEvent('Pixel request error', { error: error.message });
-    }
-  }
-
-  /**
-   * Starts recording mouse movements
-   */
-  function startRecording() {
-    if (isRecording) return;
-    
-    isRecording = true;
-    recordingStartTime = Date.now();
-    movementCount = 0;
-    mouseMovements = [];
-    
-    logEvent('Started recording mouse movements', { 
-      duration: RECORDING_DURATION,
-      maxMovements: MAX_MOVEMENTS 
-    });
-
-    // Send initial pixel request
-    sendPixelRequest('mouse-detection-start', {
-      recordingDuration: RECORDING_DURATION,
-      maxMovements: MAX_MOVEMENTS
-    });
-
-    // Stop recording after the specified duration
-    setTimeout(() => {
-      stopRecording();
-    }, RECORDING_DURATION);
-  }
-
-  /**
-   * Stops recording mouse movements
-   */
-  function stopRecording() {
-    if (!isRecording) return;
-    
-    isRecording = false;
-    const recordingDuration = Date.now() - recordingStartTime;
-    
-    logEvent('Stopped recording mouse movements', { 
-      duration: recordingDuration,
-      movementCount,
-      movements: mouseMovements.length 
-    });
-
-    // Send final pixel request with summary
-    sendPixelRequest('mouse-detection-end', {
-      recordingDuration,
-      movementCount,
-      movements: mouseMovements.length,
-      movementsData: JSON.stringify(mouseMovements.slice(0, 5)) // Only send first 5 movements
-    });
-  }
-
-  /**
-   * Handles mouse movement events
-   */
-  function handleMouseMove(event) {
-    if (!isRecording) {
-      startRecording();
-    }
-
-    // Increment movement counter
-    movementCount++;
-
-    // Store movement data (limited to prevent memory issues)
-    if (mouseMovements.length < MAX_MOVEMENTS) {
-      mouseMovements.push({
-        x: event.clientX,
-        y: event.clientY,
-        timestamp: Date.now() - recordingStartTime,
-        pageX: event.pageX,
-        pageY: event.pageY
-      });
-    }
-
-    // Send periodic updates during recording
-    if (movementCount % 5 === 0) {
-      sendPixelRequest('mouse-movement-update', {
-        movementCount,
-        recordingDuration: Date.now() - recordingStartTime,
-        currentX: event.clientX,
-        currentY: event.clientY
-      });
-    }
-
-    logEvent('Mouse movement detected', { 
-      x: event.clientX, 
-      y: event.clientY,
-      movementCount,
-      recordingDuration: Date.now() - recordingStartTime 
-    });
-  }
-
-  /**
-   * Handles mouse click events
-   */
-  function handleMouseClick(event) {
-    if (!isRecording) {
-      startRecording();
-    }
-
-    sendPixelRequest('mouse-click', {
-      x: event.clientX,
-      y: event.clientY,
-      button: event.button,
-      movementCount,
-      recordingDuration: Date.now() - recordingStartTime
-    });
-
-    logEvent('Mouse click detected', { 
-      x: event.clientX, 
-      y: event.clientY,
-      button: event.button 
-    });
-  }
-
-  /**
-   * Handles scroll events
-   */
-  function handleScroll(event) {
-    if (!isRecording) {
-      startRecording();
-    }
-
-    sendPixelRequest('scroll', {
-      scrollX: window.scrollX,
-      scrollY: window.scrollY,
-      movementCount,
-      recordingDuration: Date.now() - recordingStartTime
-    });
-
-    logEvent('Scroll detected', { 
-      scrollX: window.scrollX, 
-      scrollY: window.scrollY 
-    });
-  }
-
-  /**
-   * Initializes the mouse detection system
-   */
-  function initialize() {
-    // Check if already initialized
-    if (window.BILDIT_MOUSE_DETECTION_INITIALIZED) {
-      logEvent('Already initialized, skipping');
-      return;
-    }
-
-    // Add event listeners
-    document.addEventListener('mousemove', handleMouseMove, { passive: true });
-    document.addEventListener('click', handleMouseClick, { passive: true });
-    window.addEventListener('scroll', handleScroll, { passive: true });
-
-    // Mark as initialized
-    window.BILDIT_MOUSE_DETECTION_INITIALIZED = true;
-
-    logEvent('Mouse detection initialized', {
-      pixelUrl: PIXEL_URL,
-      recordingDuration: RECORDING_DURATION,
-      throttleInterval: THROTTLE_INTERVAL,
-      maxMovements: MAX_MOVEMENTS
-    });
-
-    // Send initialization pixel request
-    sendPixelRequest('mouse-detection-init', {
-      userAgent: navigator.userAgent,
-      viewportWidth: window.innerWidth,
-      viewportHeight: window.innerHeight,
-      screenWidth: screen.width,
-      screenHeight: screen.height
-    });
-  }
-
-  /**
-   * Cleanup function to remove event listeners
-   */
-  function cleanup() {
-    document.removeEventListener('mousemove', handleMouseMove);
-    document.removeEventListener('click', handleMouseClick);
-    window.removeEventListener('scroll', handleScroll);
-    
-    window.BILDIT_MOUSE_DETECTION_INITIALIZED = false;
-    
-    logEvent('Mouse detection cleaned up');
-  }
-
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-  } else {
-    initialize();
-  }
-
-  // Expose cleanup function globally for manual cleanup if needed
-  window.BILDIT_MOUSE_DETECTION_CLEANUP = cleanup;
-
-  // Expose configuration for runtime changes
-  window.BILDIT_MOUSE_DETECTION_CONFIG = {
-    setPixelUrl: (url) => { PIXEL_URL = url; },
-    setRecordingDuration: (duration) => { RECORDING_DURATION = duration; },
-    setThrottleInterval: (interval) => { THROTTLE_INTERVAL = interval; },
-    setMaxMovements: (max) => { MAX_MOVEMENTS = max; },
-    startRecording: startRecording,
-    stopRecording: stopRecording,
-    cleanup: cleanup
-  };
-
-})();
+!function(e,t){var n=window,r=!0===n.BILDIT_RESPECT_GPC,o=!0===n.BILDIT_RESPECT_DNT,i={pixelUrl:n.BILDIT_PIXEL_URL||"https://ai-pixel.bildit.co/pixel.gif",options:{duration:n.BILDIT_RECORDING_DURATION,throttle:n.BILDIT_THROTTLE_INTERVAL,maxMovements:n.BILDIT_MAX_MOVEMENTS,params:{source:"mouse-detection"}},consent:null!=n.BILDIT_CONSENT?{state:"pending",purposes:[]}:null,privacy:r||o?{respectGPC:r,respectDNT:o,action:"suppress"===n.BILDIT_PRIVACY_ACTION?"suppress":"downgrade"}:null,transport:null,identity:n.BILDIT_IDENTITY||null,logger:n.BILDIT_DEBUG||n.BILDIT_LOG_LEVEL?{level:n.BILDIT_LOG_LEVEL||"debug",redact:!1!==n.BILDIT_LOG_REDACT}:null,destinations:n.BILDIT_DESTINATIONS||null},a=document.currentScript,c=a&&a.getAttribute("data-bildit-config");if(c)try{i=JSON.parse(c)}catch(e){}function u(){var e=function(e,t){if(window.BILDIT_MOUSE_DETECTION_INITIALIZED&&window.BILDIT_MOUSE_DETECTION)return window.BILDIT_MOUSE_DETECTION;var n=e.pixelUrl,r=e.options||{},o=Number(r.duration)||5e3,i=Number(r.throttle)||1e3,a=Number(r.maxMovements)||10,c=r.params||{};try{"undefined"!=typeof location&&location.origin&&c&&null==c.site&&(c.site=location.origin)}catch(e){}var u=!1,s=0,d=0,l=0,f=[],p=t.consent?t.consent(e.consent):{run:function(e){e()},onDenied:function(){}},v=t.privacy?t.privacy(e.privacy):{filter:function(e){return e}},g=t.transport(n,e.transport);p.run(function(){g.drain()}),p.onDenied(function(){g.discard()});var m=t.logger&&e.logger?t.logger({level:e.logger.level,redact:e.logger.redact,prefix:"[BILDIT Mouse Detection]",logger:window.BILDIT_LOGGER}):null,h=t.destinations&&e.destinations?t.destinations(e.destinations):null,y=t.identity&&e.identity?t.identity(e.identity):null;function I(e,t){m&&m.debug(e,t)}function w(e){(e=v.filter(e))&&p.run(function(){var t=Date.now();t-d<i?I("Request throttled",{event:e.event}):(d=t,y&&y.stamp(e),g.send(function(e){var t=new URLSearchParams;for(var n in c)Object.prototype.hasOwnProperty.call(c,n)&&null!=c[n]&&t.set(n,String(c[n]));if(e)for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&null!=e[r]&&t.set(r,String(e[r]));if(t.has("ts")||t.set("ts",Date.now().toString()),t.has("nonce")||t.set("nonce",Math.random().toString(36).slice(2)),t.set("mode","mouse"),h){var o={};t.forEach(function(e,t){o[t]=e}),h.forward(o)}return t.toString()}(e),"image"),I("Pixel request sent",{event:e.event}))})}function T(){u||(u=!0,s=Date.now(),l=0,f=[],w({event:"mouse-start"}),setTimeout(S,o))}function S(){if(u){u=!1;var e=Date.now()-s,t=f.slice(0,5);try{t=JSON.stringify(t)}catch(e){t="[]"}w({event:"mouse-end",dur:String(e),moves:String(f.length),data:t})}}function E(e){u||T(),l++,f.length<a&&f.push({x:e.clientX,y:e.clientY,t:Date.now()-s}),l%5==0&&w({event:"mouse-update",c:String(l),t:String(Date.now()-s),x:String(e.clientX),y:String(e.clientY)})}function D(e){u||T(),w({event:"mouse-click",x:String(e.clientX),y:String(e.clientY),b:String(e.button)})}function _(){u||T(),w({event:"scroll",sx:String(window.scrollX||0),sy:String(window.scrollY||0)})}document.addEventListener("mousemove",E,{passive:!0}),document.addEventListener("click",D,{passive:!0}),window.addEventListener("scroll",_,{passive:!0}),w({event:"mouse-init",vw:String(window.innerWidth||0),vh:String(window.innerHeight||0)}),I("Mouse detection initialized",{pixelUrl:n,duration:o,throttle:i,maxMovements:a});var O={start:T,stop:S,cleanup:function(){document.removeEventListener("mousemove",E),document.removeEventListener("click",D),window.removeEventListener("scroll",_),window.BILDIT_MOUSE_DETECTION_INITIALIZED=!1,I("Mouse detection cleaned up")},configure:function(r){r&&(r.pixelUrl&&(n=r.pixelUrl,g=t.transport(n,e.transport),p.run(g.drain)),r.duration&&(o=Number(r.duration)||o),r.throttle&&(i=Number(r.throttle)||i),r.maxMovements&&(a=Number(r.maxMovements)||a))}};try{window.BILDIT_MOUSE_DETECTION=O,window.BILDIT_MOUSE_DETECTION_INITIALIZED=!0}catch(e){}return O}(i,t);n.BILDIT_MOUSE_DETECTION_CLEANUP=e.cleanup,n.BILDIT_MOUSE_DETECTION_CONFIG={setPixelUrl:function(t){e.configure({pixelUrl:t})},setRecordingDuration:function(t){e.configure({duration:t})},setThrottleInterval:function(t){e.configure({throttle:t})},setMaxMovements:function(t){e.configure({maxMovements:t})},startRecording:e.start,stopRecording:e.stop,cleanup:e.cleanup}}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",u):u()}(0,{consent:function(e){if(!e)return{run:function(e){e()},onDenied:function(){}};var t="undefined"!=typeof window?window:{},n=e.purposes||[],r=t.BILDIT_CONSENT;if(!r||"function"!=typeof r.subscribe){var o=r,i=[];r={state:e.state||"pending",purposes:{},update:function(e){if(null!=e){if("string"==typeof e)r.state=e;else if("object"==typeof e&&(e.state&&(r.state=e.state),e.purposes))for(var t in e.purposes)Object.prototype.hasOwnProperty.call(e.purposes,t)&&(r.purposes[t]=!!e.purposes[t]);for(var n=0;n<i.length;n++)try{i[n](r)}catch(e){}}},subscribe:function(e){i.push(e)}},null!=o&&r.update(o);try{t.BILDIT_CONSENT=r}catch(e){}}function a(){if("denied"===r.state)return"denied";for(var e=!1,t=0;t<n.length;t++){var o=r.purposes[n[t]];if(!1===o)return"denied";!0!==o&&(e=!0)}return"granted"===r.state||n.length&&!e?"granted":"pending"}var c=[],u=[];if(r.subscribe(function(){var e=a();if("granted"===e){var t=c;c=[];for(var n=0;n<t.length;n++)try{t[n]()}catch(e){}}else if("denied"===e){c=[];for(var r=0;r<u.length;r++)try{u[r]()}catch(e){}}}),!1!==e.tcf&&"function"==typeof t.__tcfapi)try{t.__tcfapi("addEventListener",2,function(t,n){if(n&&t&&("tcloaded"===t.eventStatus||"useractioncomplete"===t.eventStatus))if(!1!==t.gdprApplies){for(var o=t.purpose&&t.purpose.consents||{},i=e.tcfPurposes||[1],a=0;a<i.length;a++)if(!o[i[a]])return void r.update("denied");r.update("granted")}else r.update("granted")})}catch(e){}var s=t.dataLayer;if(!1!==e.googleConsentMode&&s&&"function"==typeof s.push){for(var d=e.googleConsentKey||"analytics_storage",l=function(e){if(e&&"consent"===e[0]&&e[2]&&("default"===e[1]||"update"===e[1])){var t=e[2][d];"granted"!==t&&"denied"!==t||r.update(t)}},f=0;f<s.length;f++)l(s[f]);var p=s.push;s.push=function(){for(var e=p.apply(s,arguments),t=0;t<arguments.length;t++)l(arguments[t]);return e}}return{run:function(e){var t=a();if("granted"===t)return e();"pending"===t&&c.push(e)},onDenied:function(e){u.push(e),"denied"===a()&&e()}}},privacy:function(e){if(!e)return{filter:function(e){return e}};var t=["ua","x","y","sx","sy","vw","vh","data"],n="undefined"!=typeof navigator?navigator:{},r="undefined"!=typeof window?window:{},o=null;if(e.respectGPC&&!0===n.globalPrivacyControl)o="gpc";else if(e.respectDNT){var i=n.doNotTrack||r.doNotTrack||n.msDoNotTrack;"1"!==i&&"yes"!==i&&1!==i||(o="dnt")}var a=o?"suppress"===e.action?"suppressed":"downgraded":"allowed",c=!1;return{decision:a,filter:function(e){if("suppressed"===a)return c?null:(c=!0,{mode:e&&e.mode,event:"suppressed",privacy:a,privacy_signal:o});var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&("downgraded"===a&&-1!==t.indexOf(r)||(n[r]=e[r]));return n.privacy=a,o&&(n.privacy_signal=o),n}}},transport:function(e,t){var n=t||{},r=n.method||"auto",o="undefined"!=typeof navigator?navigator:{},i=!1,a=[],c=null,u="held";function s(t){return e+(-1===e.indexOf("?")?"?":"&")+t}function d(e,t){try{return"function"==typeof o.sendBeacon&&!0===o.sendBeacon(e,t)}catch(e){return!1}}function l(e,t,n){if("function"!=typeof fetch)return n(!1);try{fetch(e,t).then(function(){n(!0)},function(){n(!1)})}catch(e){n(!1)}}function f(e,t,n){if(e.length>1){var o=e.join("\n"),a=s("batch="+e.length);if(d(a,o))return n(!0);if("function"==typeof fetch)return l(a,{method:"POST",mode:"no-cors",credentials:"omit",keepalive:!0,body:o,headers:{"Content-Type":"text/plain"}},n);for(var c=0;c<e.length;c++)f([e[c]],t,function(){});return n(!0)}var u=s(e[0]),p="auto"===r?i?"beacon":t||"image":r;if("beacon"===p){if(d(u))return n(!0);p="fetch"}if("fetch"===p&&"function"==typeof fetch)return l(u,{method:"GET",mode:"no-cors",credentials:"omit",keepalive:!0},n);!function(e,t){try{var n=new Image(1,1);n.onload=function(){t(!0)},n.onerror=function(){t(!1)},n.src=e}catch(e){t(!1)}}(u,n)}function p(){try{var e=window.localStorage.getItem(n.storageKey),t=e?JSON.parse(e):[];return t&&t.length?t:[]}catch(e){return[]}}function v(e){if(n.offlineQueue&&"discarded"!==u)try{var t=p().concat(e);t.length>n.maxStoredEvents&&(t=t.slice(t.length-n.maxStoredEvents)),window.localStorage.setItem(n.storageKey,JSON.stringify(t))}catch(e){}}function g(e,t,r){if(!1===o.onLine)return v(e);f(e,t,function(o){o||(r<(n.retries||0)?setTimeout(function(){g(e,t,r+1)},(n.retryDelay||1e3)*Math.pow(2,r)):v(e))})}function m(){if(c&&(clearTimeout(c),c=null),a.length){var e=a;a=[],g(e,null,0)}}function h(){if(n.offlineQueue&&"draining"===u){var e=p();if(e.length){try{window.localStorage.removeItem(n.storageKey)}catch(e){}for(var t=0;t<e.length;t++)y(e[t])}}}function y(e,t){return n.batch?(a.push(e),i||a.length>=(n.maxBatchSize||10)?m():void(c||(c=setTimeout(m,n.maxBatchWait||2e3)))):g([e],t,0)}try{document.addEventListener("visibilitychange",function(){(i="hidden"===document.visibilityState)&&m()}),window.addEventListener("pagehide",function(){i=!0,m()}),window.addEventListener("online",h)}catch(e){}return{send:y,flush:m,drain:function(){u="draining",h()},discard:function(){if(u="discarded",n.offlineQueue)try{window.localStorage.removeItem(n.storageKey)}catch(e){}}}},identity:function(e){var t=e||{},n=t.storage||"sessionStorage",r=6e4*(t.sessionTimeout>0?t.sessionTimeout:30),o=Math.round(86400*(t.visitorDays>0?t.visitorDays:365)),i="bildit_sid",a="bildit_vid",c=/^[A-Za-z0-9_-]{8,64}$/,u={};function s(){var e=null;try{e=window.crypto.getRandomValues(new Uint8Array(12))}catch(e){}for(var t="",n=0;n<12;n++){var r=e?e[n]:Math.floor(256*Math.random());t+=(r<16?"0":"")+r.toString(16)}return t}function d(e){try{var t=new RegExp("(?:^|;\\s*)"+e+"=([^;]*)").exec(document.cookie);return t&&c.test(t[1])?t[1]:null}catch(e){return null}}function l(e,n,r){try{document.cookie=e+"="+n+"; path=/; max-age="+r+"; SameSite=Lax"+(t.cookieDomain?"; domain="+t.cookieDomain:"")+("https:"===location.protocol?"; Secure":"")}catch(e){}}function f(e){if("sessionStorage"===n)try{return window.sessionStorage.getItem(e)}catch(e){}return u[e]||null}function p(e,t){if(u[e]=t,"sessionStorage"===n)try{window.sessionStorage.setItem(e,t)}catch(e){}}return{stamp:function(e){return"downgraded"===e.privacy||"suppressed"===e.privacy||(null==e.sid&&(e.sid=function(e){if("cookie"===n){var t=d(i)||s();return l(i,t,Math.round(r/1e3)),t}var o=(f(i)||"").split("|"),a=c.test(o[0])&&Number(o[1])+r>e?o[0]:s();return p(i,a+"|"+e),a}(Date.now())),t.visitor&&null==e.vid&&(e.vid=function(){if("cookie"===n){var e=d(a);return e||(e=s(),l(a,e,o)),e}var t=f(a);return t&&c.test(t)||(t=s(),p(a,t)),t}())),e}}},logger:function(e){var t=e||{},n={debug:10,info:20,warn:30,error:40,silent:100},r=n[t.level]||n.warn,o=!1!==t.redact,i=t.prefix?t.prefix+" ":"",a=t.logger||("undefined"!=typeof console?console:null),c={ua:1,userAgent:1,user_agent:1,"User-Agent":1,"user-agent":1},u={ip:1,clientIp:1,client_ip:1};function s(e){var t=String(e);if(-1!==t.indexOf(":"))return t.split(":").slice(0,3).join(":")+"::";var n=t.split(".");return 4===n.length?n.slice(0,3).join(".")+".0":"redacted"}function d(e){return"[object Object]"===Object.prototype.toString.call(e)}function l(e,t){var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){var o=e[r];null==o?n[r]=o:c[r]?n[r]="redacted":u[r]?n[r]=s(o):"url"===r&&"string"==typeof o?n[r]=o.replace(/([?&]ua=)[^&]*/,"$1redacted"):d(o)&&t<3?n[r]=l(o,t+1):n[r]=o}return n}function f(e){var t={};for(var n in e)if(Object.prototype.hasOwnProperty.call(e,n)){var r=e[n];t[n]=r instanceof Error?r.message:r}return o?l(t,0):t}function p(e){return!!a&&n[e]>=r}function v(e,t,n){if(p(e)){var r=n?f(n):{};try{if("function"==typeof a){var o={};for(var c in r)Object.prototype.hasOwnProperty.call(r,c)&&(o[c]=r[c]);return o.level=e,o.message=t,o.time=Date.now(),void a(o)}var u="function"==typeof a[e]?a[e]:a.log;"function"==typeof u&&u.call(a,i+t,r)}catch(e){}}}return{debug:function(e,t){v("debug",e,t)},info:function(e,t){v("info",e,t)},warn:function(e,t){v("warn",e,t)},error:function(e,t){v("error",e,t)},enabled:p}},destinations:function(e,t){var n=e||[];function r(e,t){return Object.prototype.hasOwnProperty.call(e,t)}function o(e,t){return e+(-1===e.indexOf("?")?"?":"&")+t}function i(){return Math.random().toString(36).slice(2)+Date.now().toString(36)}function a(e,t){for(var n in t)r(t,n)&&null!=t[n]&&(e[n]=String(t[n]));return e}function c(e,t){var n=a({},t);e.params&&a(n,e.params);var o=e.map;if(o)for(var i in o)if(r(o,i)&&r(n,i)){var c=n[i];delete n[i],o[i]&&(n[o[i]]=c)}return"function"==typeof e.transform&&(n=e.transform(n)),n}function u(e){var t=String(e).replace(/[^A-Za-z0-9_]/g,"_");return/^[A-Za-z]/.test(t)||(t="e_"+t),t.slice(0,40)}function s(e,t){var n,c=e.type||"http",s=a({},e.headers||{});if("ga4"===c){var d={},l=0;for(n in t)!r(t,n)||"client_id"===n||l>=25||(d[u(n)]=t[n].slice(0,100),l++);var f="measurement_id="+encodeURIComponent(e.measurementId)+"&api_secret="+encodeURIComponent(e.apiSecret);return{url:o(e.url||"https://www.google-analytics.com/mp/collect",f),method:"POST",headers:s,body:JSON.stringify({client_id:e.clientId||t.client_id||t.nonce||i(),events:[{name:u(e.eventName||t.event||"bildit_event"),params:d}]})}}if("segment"===c){s["Content-Type"]="application/json",e.writeKey&&(s.Authorization="Basic "+btoa(e.writeKey+":"));var p=Number(t.ts);return{url:e.url||"https://api.segment.io/v1/track",method:"POST",headers:s,body:JSON.stringify({anonymousId:e.anonymousId||t.anonymous_id||t.nonce||i(),event:e.event||t.event||"BILDIT Event",properties:t,timestamp:new Date(p>0?p:Date.now()).toISOString(),context:{library:{name:"@bildit-platform/ai-pixel"}}})}}var v=String(e.method||"GET").toUpperCase();if("GET"===v){var g=[];for(n in t)r(t,n)&&g.push(encodeURIComponent(n)+"="+encodeURIComponent(t[n]));return{url:o(e.url,g.join("&")),method:"GET",headers:s}}return s["Content-Type"]=s["Content-Type"]||"application/json",{url:e.url,method:v,headers:s,body:JSON.stringify(t)}}var d=t||function(e,t,n){if(e){var o=function(e){for(var t in e)if(r(e,t))return!0;return!1}(e.headers);"GET"!==e.method||o?"function"==typeof fetch&&fetch(e.url,{method:e.method,headers:e.headers,body:e.body,keepalive:!0,credentials:"omit",mode:o?"cors":"no-cors"}).then(null,function(){}):new Image(1,1).src=e.url}else{var i=n.callback&&window[n.callback];"function"==typeof i&&i(t)}};return{forward:function(e,r){for(var o=[],i=0;i<n.length;i++){var a=n[i];if(a){var u=a.name||a.type||"http";try{if("ga4"===a.type&&!t)throw new Error("GA4 destinations are server-only");if(a.events&&-1===a.events.indexOf(e.event))continue;var l=c(a,e);if(!l)continue;var f="custom"===a.type?null:s(a,l);o.push({name:u,destination:a,result:d(f,l,a,r)})}catch(e){o.push({name:u,destination:a,error:e})}}}return o}}}});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Fetches the IP ranges AI bot operators publish into a file for the tracker's
+ * `verify: { ipRangesFile }` option.
+ *
+ * Registry entries name their published lists in `ipRanges` (see IP_RANGE_SOURCES in
+ * server/verify-bot.js); the operator files share Google's
+ * `{ creationTime, prefixes: [{ ipv4Prefix | ipv6Prefix }] }` format. The output is keyed by bot
+ * slug, each entry `{ sources, creationTime, prefixes }`.
+ *
+ * Usage:
+ *   node scripts/update-bot-ip-ranges.js [output file, default ./bot-ip-ranges.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AI_BOT_SIGNATURES } = require('../server/bot-signatures');
+const { IP_RANGE_SOURCES } = require('../server/verify-bot');
+
+async function fetchPrefixes(source) {
+  const response = await fetch(source, { headers: { accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`${source} responded with ${response.status}`);
+  }
+  const body = await response.json();
+  return (body.prefixes || []).filter(prefix => prefix && (prefix.ipv4Prefix || prefix.ipv6Prefix));
+}
+
+async function buildSnapshot(sources) {
+  const seen = new Set();
+  const prefixes = [];
+
+  for (const source of sources) {
+    for (const prefix of await fetchPrefixes(source)) {
+      const key = prefix.ipv4Prefix || prefix.ipv6Prefix;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      prefixes.push(prefix.ipv4Prefix ? { ipv4Prefix: key } : { ipv6Prefix: key });
+    }
+  }
+
+  return { sources, creationTime: new Date().toISOString(), prefixes };
+}
+
+function readExisting(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+async function main() {
+  const file = path.resolve(process.argv[2] || 'bot-ip-ranges.json');
+  const output = readExisting(file);
+
+  for (const name of Object.keys(IP_RANGE_SOURCES)) {
+    const slugs = AI_BOT_SIGNATURES.filter(signature => signature.ipRanges === name).map(signature => signature.slug);
+    try {
+      const snapshot = await buildSnapshot(IP_RANGE_SOURCES[name]);
+      for (const slug of slugs) output[slug] = snapshot;
+      console.log(`${name}: ${snapshot.prefixes.length} prefixes (${slugs.join(', ')})`);
+    } catch (error) {
+      // Keep the previous entries when a source is unreachable.
+      console.error(`${name}: ${error instanceof Error ? error.message : error}`);
+      process.exitCode = 1;
+    }
+  }
+
+  fs.writeFileSync(file, `${JSON.stringify(output, null, 2)}\n`);
+}
+
+main();
@@ -0,0 +1,422 @@
+'use strict';
+
+const BOT_PURPOSES = Object.freeze(['training', 'search', 'user-triggered', 'other']);
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Product tokens must stand alone: `Applebot` does not match `Applebot-Extended`, and the
+// optional `/version` suffix is captured.
+function buildTokenPattern(tokens) {
+  const alternatives = tokens.map(escapeRegExp).join('|');
+  return new RegExp(`(?:^|[^A-Za-z0-9_-])(${alternatives})(?:/([^\\s;,()]+))?(?=$|[^A-Za-z0-9_-])`, 'i');
+}
+
+function defineSignature(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new TypeError('AI bot signature must be an object');
+  }
+  if (typeof entry.slug !== 'string' || !entry.slug) {
+    throw new TypeError('AI bot signature requires a non-empty `slug`');
+  }
+
+  const tokens = entry.tokens ? [].concat(entry.tokens).filter(Boolean) : [];
+  const customPattern = entry.pattern instanceof RegExp ? entry.pattern : null;
+  if (!tokens.length && !customPattern) {
+    throw new TypeError(`AI bot signature "${entry.slug}" needs \`tokens\` or a \`pattern\``);
+  }
+
+  const purpose = entry.purpose || 'other';
+  if (!BOT_PURPOSES.includes(purpose)) {
+    throw new TypeError(`AI bot signature "${entry.slug}" has unknown purpose "${purpose}"`);
+  }
+
+  return Object.freeze({
+    slug: entry.slug,
+    operator: entry.operator || 'unknown',
+    product: entry.product || tokens[0] || entry.slug,
+    purpose,
+    docs: entry.docs || null,
+    tokens: Object.freeze(tokens),
+    pattern: customPattern || buildTokenPattern(tokens),
+    ipRanges: entry.ipRanges || null,
+    reverseDns: entry.reverseDns ? Object.freeze(entry.reverseDns.slice()) : null,
+  });
+}
+
+const GOOGLE_CRAWLERS_DOCS = 'https://developers.google.com/search/docs/crawling-indexing/google-common-crawlers';
+const GOOGLE_REVERSE_DNS = ['googlebot.com', 'google.com', 'googleusercontent.com'];
+const ANTHROPIC_DOCS =
+  'https://support.anthropic.com/en/articles/8896518-does-anthropic-crawl-data-from-the-web-and-how-can-site-owners-block-the-crawler';
+
+const AI_BOT_SIGNATURES = Object.freeze(
+  [
+    {
+      slug: 'openai-gptbot',
+      operator: 'OpenAI',
+      product: 'GPTBot',
+      purpose: 'training',
+      docs: 'https://platform.openai.com/docs/bots',
+      tokens: ['GPTBot'],
+      ipRanges: 'openai-gptbot',
+    },
+    {
+      slug: 'openai-searchbot',
+      operator: 'OpenAI',
+      product: 'OAI-SearchBot',
+      purpose: 'search',
+      docs: 'https://platform.openai.com/docs/bots',
+      tokens: ['OAI-SearchBot'],
+      ipRanges: 'openai-searchbot',
+    },
+    {
+      slug: 'openai-chatgpt',
+      operator: 'OpenAI',
+      product: 'ChatGPT-User',
+      purpose: 'user-triggered',
+      docs: 'https://platform.openai.com/docs/bots',
+      tokens: ['ChatGPT-User'],
+      ipRanges: 'openai-chatgpt-user',
+    },
+    {
+      slug: 'anthropic-claudebot',
+      operator: 'Anthropic',
+      product: 'ClaudeBot',
+      purpose: 'training',
+      docs: ANTHROPIC_DOCS,
+      tokens: ['ClaudeBot', 'anthropic-ai', 'Claude-Web'],
+    },
+    {
+      slug: 'anthropic-claude-searchbot',
+      operator: 'Anthropic',
+      product: 'Claude-SearchBot',
+      purpose: 'search',
+      docs: ANTHROPIC_DOCS,
+      tokens: ['Claude-SearchBot'],
+    },
+    {
+      slug: 'anthropic-claude-user',
+      operator: 'Anthropic',
+      product: 'Claude-User',
+      purpose: 'user-triggered',
+      docs: ANTHROPIC_DOCS,
+      tokens: ['Claude-User'],
+    },
+    {
+      slug: 'perplexity',
+      operator: 'Perplexity',
+      product: 'PerplexityBot',
+      purpose: 'search',
+      docs: 'https://docs.perplexity.ai/guides/bots',
+      tokens: ['PerplexityBot', 'pplx', 'pplx-bot'],
+      ipRanges: 'perplexity-bot',
+    },
+    {
+      slug: 'perplexity-user',
+      operator: 'Perplexity',
+      product: 'Perplexity-User',
+      purpose: 'user-triggered',
+      docs: 'https://docs.perplexity.ai/guides/bots',
+      tokens: ['Perplexity-User'],
+      ipRanges: 'perplexity-user',
+    },
+    {
+      slug: 'google-extended',
+      operator: 'Google',
+      product: 'Google-Extended',
+      purpose: 'training',
+      docs: GOOGLE_CRAWLERS_DOCS,
+      tokens: ['Google-Extended'],
+    },
+    {
+      slug: 'google-other',
+      operator: 'Google',
+      product: 'GoogleOther',
+      purpose: 'other',
+      docs: GOOGLE_CRAWLERS_DOCS,
+      tokens: ['GoogleOther', 'GoogleOther-Image', 'GoogleOther-Video'],
+      ipRanges: 'google-common-crawlers',
+      reverseDns: GOOGLE_REVERSE_DNS,
+    },
+    {
+      slug: 'google-cloudvertexbot',
+      operator: 'Google',
+      product: 'Google-CloudVertexBot',
+      purpose: 'training',
+      docs: GOOGLE_CRAWLERS_DOCS,
+      tokens: ['Google-CloudVertexBot'],
+      ipRanges: 'google-common-crawlers',
+      reverseDns: GOOGLE_REVERSE_DNS,
+    },
+    {
+      slug: 'google-gemini',
+      operator: 'Google',
+      product: 'Gemini-Deep-Research',
+      purpose: 'user-triggered',
+      docs: 'https://developers.google.com/search/docs/crawling-indexing/google-user-triggered-fetchers',
+      tokens: ['Gemini-Deep-Research', 'Gemini'],
+    },
+    {
+      slug: 'bing-copilot',
+      operator: 'Microsoft',
+      product: 'Bingbot',
+      purpose: 'search',
+      docs: 'https://www.bing.com/webmasters/help/which-crawlers-does-bing-use-8c184ec0',
+      tokens: ['bingbot', 'msnbot', 'BingPreview'],
+      ipRanges: 'microsoft-bingbot',
+      reverseDns: ['search.msn.com'],
+    },
+    {
+      slug: 'apple-applebot',
+      operator: 'Apple',
+      product: 'Applebot',
+      purpose: 'search',
+      docs: 'https://support.apple.com/en-us/119829',
+      tokens: ['Applebot'],
+      reverseDns: ['applebot.apple.com'],
+    },
+    {
+      slug: 'apple-applebot-extended',
+      operator: 'Apple',
+      product: 'Applebot-Extended',
+      purpose: 'training',
+      docs: 'https://support.apple.com/en-us/119829',
+      tokens: ['Applebot-Extended'],
+    },
+    {
+      slug: 'amazon-amazonbot',
+      operator: 'Amazon',
+      product: 'Amazonbot',
+      purpose: 'search',
+      docs: 'https://developer.amazon.com/amazonbot',
+      tokens: ['Amazonbot'],
+      reverseDns: ['crawl.amazonbot.amazon'],
+    },
+    {
+      slug: 'meta-externalagent',
+      operator: 'Meta',
+      product: 'Meta-ExternalAgent',
+      purpose: 'training',
+      docs: 'https://developers.facebook.com/docs/sharing/webmasters/web-crawlers',
+      tokens: ['meta-externalagent'],
+    },
+    {
+      slug: 'meta-externalfetcher',
+      operator: 'Meta',
+      product: 'Meta-ExternalFetcher',
+      purpose: 'user-triggered',
+      docs: 'https://developers.facebook.com/docs/sharing/webmasters/web-crawlers',
+      tokens: ['meta-externalfetcher'],
+    },
+    {
+      slug: 'meta-ai',
+      operator: 'Meta',
+      product: 'facebookexternalhit',
+      purpose: 'user-triggered',
+      docs: 'https://developers.facebook.com/docs/sharing/webmasters/web-crawlers',
+      tokens: ['facebookexternalhit', 'Facebot'],
+    },
+    {
+      slug: 'xai-grok',
+      operator: 'xAI',
+      product: 'GrokBot',
+      purpose: 'other',
+      tokens: ['GrokBot', 'Grok', 'xAI-Grok', 'xAI-Bot'],
+    },
+    {
+      slug: 'kimi-moonshot',
+      operator: 'Moonshot AI',
+      product: 'KimiBot',
+      purpose: 'other',
+      tokens: ['KimiBot', 'Kimi', 'MoonshotBot'],
+    },
+    {
+      slug: 'bytedance-bytespider',
+      operator: 'ByteDance',
+      product: 'Bytespider',
+      purpose: 'training',
+      tokens: ['Bytespider'],
+    },
+    {
+      slug: 'commoncrawl-ccbot',
+      operator: 'Common Crawl',
+      product: 'CCBot',
+      purpose: 'training',
+      docs: 'https://commoncrawl.org/ccbot',
+      tokens: ['CCBot'],
+    },
+    {
+      slug: 'mistral-user',
+      operator: 'Mistral AI',
+      product: 'MistralAI-User',
+      purpose: 'user-triggered',
+      docs: 'https://docs.mistral.ai/robots',
+      tokens: ['MistralAI-User'],
+    },
+    {
+      slug: 'duckduckgo-duckassistbot',
+      operator: 'DuckDuckGo',
+      product: 'DuckAssistBot',
+      purpose: 'user-triggered',
+      docs: 'https://duckduckgo.com/duckduckgo-help-pages/results/duckassistbot',
+      tokens: ['DuckAssistBot'],
+    },
+    {
+      slug: 'you-youbot',
+      operator: 'You.com',
+      product: 'YouBot',
+      purpose: 'search',
+      docs: 'https://about.you.com/youbot/',
+      tokens: ['YouBot'],
+    },
+    {
+      slug: 'cohere-ai',
+      operator: 'Cohere',
+      product: 'cohere-ai',
+      purpose: 'training',
+      tokens: ['cohere-ai', 'cohere-training-data-crawler'],
+    },
+    {
+      slug: 'diffbot',
+      operator: 'Diffbot',
+      product: 'Diffbot',
+      purpose: 'training',
+      tokens: ['Diffbot'],
+    },
+    {
+      slug: 'baidu-ernie',
+      operator: 'Baidu',
+      product: 'Baiduspider',
+      purpose: 'search',
+      docs: 'https://www.baidu.com/search/robots_english.html',
+      tokens: ['Baiduspider'],
+      reverseDns: ['baidu.com', 'baidu.jp'],
+    },
+    {
+      slug: 'deepseek',
+      operator: 'DeepSeek',
+      product: 'DeepSeekBot',
+      purpose: 'other',
+      tokens: ['DeepSeekBot'],
+    },
+  ].map(defineSignature)
+);
+
+// Custom entries win over the ones they are merged onto. A slug that already exists must be
+// replaced explicitly with `override: true`; `disabled: true` removes it instead.
+function mergeSignatures(base, custom) {
+  const seen = new Set();
+  const added = [];
+
+  for (const entry of custom) {
+    const slug = entry && entry.slug;
+    if (seen.has(slug)) {
+      throw new Error(`AI bot signature "${slug}" is defined more than once`);
+    }
+    if (entry && entry.disabled) {
+      seen.add(slug);
+      continue;
+    }
+    const record = defineSignature(entry);
+    if (!entry.override && base.some(signature => signature.slug === slug)) {
+      throw new Error(`AI bot signature "${slug}" already exists; pass \`override: true\` to replace it`);
+    }
+    seen.add(slug);
+    added.push(record);
+  }
+
+  return added.concat(base.filter(signature => !seen.has(signature.slug)));
+}
+
+function matchSignatures(signatures, userAgent) {
+  if (!userAgent) return null;
+  const ua = userAgent.toString();
+  for (const signature of signatures) {
+    const match = signature.pattern.exec(ua);
+    if (match) {
+      // Token patterns capture (token, version); custom patterns may name a `version` group.
+      const token = signature.tokens.length ? match[1] : match[0];
+      const version = signature.tokens.length ? match[2] : match.groups && match.groups.version;
+      return Object.assign({}, signature, { token, version: version || null });
+    }
+  }
+  return null;
+}
+
+const registeredSignatures = [];
+let activeSignatures = AI_BOT_SIGNATURES;
+
+function getActiveSignatures() {
+  return activeSignatures;
+}
+
+/**
+ * Adds, overrides (`override: true`) or disables (`disabled: true`) a signature for every later
+ * `identifyAIBot` call in this process. Returns the stored record, or `null` for a disable.
+ */
+function registerAIBotSignature(entry) {
+  const slug = entry && entry.slug;
+  const remaining = registeredSignatures.filter(registered => registered.slug !== slug);
+  if (remaining.length !== registeredSignatures.length && !(entry && (entry.override || entry.disabled))) {
+    throw new Error(`AI bot signature "${slug}" is already registered; pass \`override: true\` to replace it`);
+  }
+
+  const custom = [entry].concat(remaining);
+  activeSignatures = Object.freeze(mergeSignatures(AI_BOT_SIGNATURES, custom));
+  registeredSignatures.splice(0, registeredSignatures.length, ...custom);
+
+  return entry.disabled ? null : activeSignatures.find(signature => signature.slug === slug);
+}
+
+/**
+ * Builds an isolated identifier. With `extend: true` (default) the signatures are layered over
+ * the registry, including anything registered at runtime, before or after the identifier is
+ * built; with `extend: false` only they are used.
+ */
+function createBotIdentifier(options = {}) {
+  const { signatures = [], extend = true } = options;
+  let base = extend ? activeSignatures : [];
+  let list = Object.freeze(mergeSignatures(base, signatures));
+
+  // Entries are checked against the registry once, here; when it changes later the scoped
+  // entries are re-layered over it and keep precedence over any slug registered since.
+  function current() {
+    if (extend && base !== activeSignatures) {
+      base = activeSignatures;
+      const scoped = signatures.map(entry => Object.assign({}, entry, { override: true }));
+      list = Object.freeze(mergeSignatures(base, scoped));
+    }
+    return list;
+  }
+
+  return {
+    get signatures() {
+      return current();
+    },
+    identify: userAgent => matchSignatures(current(), userAgent),
+    find: slug => current().find(signature => signature.slug === slug) || null,
+  };
+}
+
+function findAIBotSignature(slug) {
+  return getActiveSignatures().find(signature => signature.slug === slug) || null;
+}
+
+/**
+ * Matches a user agent against the registry and returns the signature record plus the matched
+ * product token and its version (`GPTBot/1.2` → `'1.2'`), or `null`.
+ */
+function identifyAIBot(userAgent) {
+  return matchSignatures(getActiveSignatures(), userAgent);
+}
+
+module.exports = {
+  BOT_PURPOSES,
+  AI_BOT_SIGNATURES,
+  findAIBotSignature,
+  getActiveSignatures,
+  identifyAIBot,
+  registerAIBotSignature,
+  createBotIdentifier,
+};
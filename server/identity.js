@@ -0,0 +1,144 @@
+'use strict';
+
+const { toHeaderValue, getCookie, parseRequestUrl, resolvePrivacyDecision } = require('./request');
+
+const SESSION_COOKIE = 'bildit_sid';
+const VISITOR_COOKIE = 'bildit_vid';
+const DEFAULT_SESSION_TIMEOUT_MINUTES = 30;
+const DEFAULT_VISITOR_DAYS = 365;
+// Identifiers are generated as hex, but anything cookie-safe of a sane length is accepted.
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function generateIdentifier() {
+  const bytes = new Uint8Array(12);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function readIdentifier(headersLike, name) {
+  const value = getCookie(headersLike, name);
+  return value && IDENTIFIER_PATTERN.test(value) ? value : undefined;
+}
+
+/**
+ * The session and visitor IDs carried by the request's `bildit_sid` / `bildit_vid` cookies.
+ */
+function readPixelIdentity(headersLike) {
+  return {
+    sessionId: readIdentifier(headersLike, SESSION_COOKIE),
+    visitorId: readIdentifier(headersLike, VISITOR_COOKIE),
+  };
+}
+
+function isSecureRequest(request, headersLike) {
+  const forwardedProto = toHeaderValue(headersLike, 'x-forwarded-proto');
+  if (forwardedProto) return String(forwardedProto).split(',')[0].trim() === 'https';
+  const url = parseRequestUrl(request);
+  return !!url && url.protocol === 'https:';
+}
+
+function serializeCookie(name, value, maxAge, options, secure) {
+  let cookie = `${name}=${value}; Path=/; Max-Age=${maxAge}; SameSite=Lax`;
+  if (options.cookieDomain) cookie += `; Domain=${options.cookieDomain}`;
+  if (secure) cookie += '; Secure';
+  return cookie;
+}
+
+/**
+ * Resolves the session (and, with `visitor: true`, visitor) ID for a page request: existing
+ * cookies are kept, missing ones are generated. `cookies` holds the `Set-Cookie` values that
+ * start or extend them; the session cookie is re-issued on every request, so the session rolls
+ * until `sessionTimeout` minutes pass without one. The cookies are readable by the pixel runtime
+ * (`identity={{ storage: 'cookie' }}`), so they are not `HttpOnly`.
+ */
+function createPixelIdentity(request, options = {}) {
+  const headersLike = options.headers || (request && request.headers);
+  const existing = readPixelIdentity(headersLike);
+  const sessionTimeout = options.sessionTimeout > 0 ? options.sessionTimeout : DEFAULT_SESSION_TIMEOUT_MINUTES;
+  const visitorDays = options.visitorDays > 0 ? options.visitorDays : DEFAULT_VISITOR_DAYS;
+  const secure = options.secure !== undefined ? !!options.secure : isSecureRequest(request, headersLike);
+
+  const sessionId = existing.sessionId || generateIdentifier();
+  const cookies = [serializeCookie(SESSION_COOKIE, sessionId, Math.round(sessionTimeout * 60), options, secure)];
+
+  let visitorId;
+  if (options.visitor) {
+    visitorId = existing.visitorId || generateIdentifier();
+    // Re-issued on each new session to keep a returning visitor's cookie from expiring.
+    if (!existing.visitorId || !existing.sessionId) {
+      cookies.push(serializeCookie(VISITOR_COOKIE, visitorId, Math.round(visitorDays * 86400), options, secure));
+    }
+  }
+
+  return {
+    sessionId,
+    visitorId,
+    newSession: !existing.sessionId,
+    newVisitor: !!options.visitor && !existing.visitorId,
+    cookies,
+  };
+}
+
+// Fetch `Response` / `NextResponse`, Node `ServerResponse` (Express `res`) or Fastify `reply`.
+function appendSetCookie(response, cookie) {
+  if (response.headers && typeof response.headers.append === 'function') {
+    response.headers.append('Set-Cookie', cookie);
+  } else if (typeof response.setHeader === 'function') {
+    const current = typeof response.getHeader === 'function' ? response.getHeader('set-cookie') : undefined;
+    response.setHeader('Set-Cookie', [].concat(current || [], cookie));
+  } else if (typeof response.header === 'function') {
+    response.header('Set-Cookie', cookie);
+  } else {
+    throw new TypeError('Cannot set identity cookies on this response');
+  }
+}
+
+/**
+ * `createPixelIdentity` plus writing its cookies to `response`. Returns the identity.
+ */
+function setPixelIdentityCookies(request, response, options = {}) {
+  const identity = createPixelIdentity(request, options);
+  for (const cookie of identity.cookies) appendSetCookie(response, cookie);
+  return identity;
+}
+
+// The adapters' `identity` option: `true` or the `createPixelIdentity` options.
+function resolveIdentityOptions(identity) {
+  return identity && typeof identity === 'object' ? identity : {};
+}
+
+// Whether the adapters may issue identity cookies for a request: not when the tracking options'
+// `privacy` decision downgrades or suppresses it, nor when `identity.consent(request)` does not
+// return `true`.
+function identityCookiesAllowed(request, options) {
+  const identityOptions = resolveIdentityOptions(options.identity);
+  const headersLike = identityOptions.headers || options.headers || (request && request.headers);
+  const privacyDecision = resolvePrivacyDecision(options.privacy, headersLike);
+  if (privacyDecision && privacyDecision.decision !== 'allowed') return false;
+  return typeof identityOptions.consent !== 'function' || identityOptions.consent(request) === true;
+}
+
+// Identity params for a tracked hit: ids from `identity` when the caller resolved them already,
+// otherwise from the request cookies.
+function getIdentityParams(identity, headersLike) {
+  const ids = identity && identity.sessionId ? identity : readPixelIdentity(headersLike);
+  const params = {};
+  if (ids.sessionId) params.sid = ids.sessionId;
+  if (ids.visitorId) params.vid = ids.visitorId;
+  return params;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  VISITOR_COOKIE,
+  readPixelIdentity,
+  createPixelIdentity,
+  setPixelIdentityCookies,
+  resolveIdentityOptions,
+  identityCookiesAllowed,
+  getIdentityParams,
+};
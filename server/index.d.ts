@@ -0,0 +1,398 @@
+import type {
+  GA4PixelDestination,
+  HttpPixelDestination,
+  PixelDestinationBase,
+  SegmentPixelDestination,
+} from '../shared';
+import type { LogLevel, LoggerSink, PixelParams, PixelPrivacyDecision, PixelPrivacyOptions } from '../shared';
+
+export { PIXEL_URL, createLogger, classifyAIReferrer } from '../shared';
+export type {
+  GA4PixelDestination,
+  HttpPixelDestination,
+  LogEntry,
+  LogLevel,
+  Logger,
+  LoggerOptions,
+  LoggerSink,
+  PixelDestinationBase,
+  SegmentPixelDestination,
+} from '../shared';
+
+export type HeadersLike =
+  | { get(name: string): string | null | undefined }
+  | Iterable<[string, string]>
+  | Record<string, string | string[] | undefined>;
+
+export type BotVerificationStatus = true | false | 'unknown';
+
+export type BotIpRanges = Record<
+  string,
+  | string[]
+  | {
+      prefixes: Array<string | { ipv4Prefix?: string; ipv6Prefix?: string }>;
+      creationTime?: string;
+      sources?: string[];
+    }
+>;
+
+export interface BotDnsResolver {
+  reverse(ip: string): Promise<string[]>;
+  lookup(hostname: string, options: { all: true }): Promise<Array<{ address: string; family?: number }>>;
+}
+
+export interface BotVerificationOptions {
+  ipRanges?: BotIpRanges;
+  ipRangesFile?: string;
+  maxSnapshotAge?: number;
+  trustProxy?: boolean | string;
+  reverseDns?: boolean;
+  reverseDnsSuffixes?: Record<string, string[]>;
+  resolver?: BotDnsResolver;
+  timeout?: number;
+}
+
+export interface TrackAIBotRequestOptions {
+  pixelUrl?: string;
+  params?: PixelParams;
+  requireBotMatch?: boolean;
+  force?: boolean;
+  userAgent?: string;
+  referer?: string;
+  headers?: HeadersLike;
+  fetchOptions?: RequestInit;
+  privacy?: PixelPrivacyOptions;
+  signatures?: AIBotSignatureInput[] | BotIdentifier;
+  verify?: boolean | BotVerificationOptions;
+  ip?: string;
+  sampling?: SamplingOptions;
+  rateLimit?: RateLimiterOptions | RateLimiter;
+  dedupe?: boolean | DedupeOptions;
+  query?: false | { allow?: string[] };
+  robots?: RobotsPolicy | RobotsSources | RobotsPolicyOptions;
+  aiReferrer?: false | { sources?: Record<string, string> };
+  identity?: boolean | PixelIdentityCookieOptions | PixelIdentity;
+  afterResponse?: boolean;
+  source?: string;
+  timeout?: number;
+  logger?: LoggerSink;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  destinations?: ServerPixelDestination[];
+  onDetect?: (detection: BotDetection) => void | Promise<void>;
+  beforeSend?: (
+    params: Record<string, string>,
+    context: TrackAIBotHookContext
+  ) => void | false | PixelParams | Promise<void | false | PixelParams>;
+  onSent?: (result: TrackAIBotResult, context: TrackAIBotHookContext) => void | Promise<void>;
+  onError?: (
+    error: unknown,
+    context: TrackAIBotHookContext & { url?: string; hook?: string; destination?: string }
+  ) => void | Promise<void>;
+  waitUntil?: WaitUntil | { waitUntil: WaitUntil };
+  background?: boolean;
+  debug?: boolean;
+}
+
+export type WaitUntil = (promise: Promise<unknown>) => void;
+
+export type DestinationTransform = (payload: Record<string, string>) => Record<string, string> | false | null;
+
+export interface CustomPixelDestination extends PixelDestinationBase {
+  type: 'custom';
+  send: (payload: Record<string, string>, context: TrackAIBotHookContext) => unknown;
+}
+
+export type ServerPixelDestination = (
+  | HttpPixelDestination
+  | GA4PixelDestination
+  | SegmentPixelDestination
+  | CustomPixelDestination
+) & { transform?: DestinationTransform };
+
+export interface DestinationResult {
+  name: string;
+  ok: boolean;
+  status?: number;
+  error?: string;
+}
+
+export interface BotDetection {
+  bot: string;
+  signature: AIBotMatch;
+  userAgent?: string;
+  referer?: string;
+  ip?: string;
+  request?: RequestLike;
+}
+
+export interface TrackAIBotHookContext {
+  request?: RequestLike;
+  response?: ResponseLike | null;
+  bot?: string;
+  signature?: AIBotMatch;
+}
+
+export type SamplingOptions = number | ({ default?: number } & Record<string, number | undefined>);
+
+export interface RateLimiterOptions {
+  capacity?: number;
+  refillPerSecond?: number;
+  name?: string;
+}
+
+export interface RateLimiter {
+  take(): boolean;
+}
+
+export interface DedupeStore {
+  claim(key: string, ttl: number): boolean | Promise<boolean>;
+}
+
+export interface DedupeInput {
+  bot?: string;
+  path?: string;
+  ip?: string;
+  userAgent?: string;
+}
+
+export interface DedupeOptions {
+  window?: number;
+  store?: DedupeStore;
+  max?: number;
+  key?: (input: DedupeInput) => string;
+  name?: string;
+}
+
+export interface TrackAIBotResult {
+  triggered: boolean;
+  status?: number;
+  ok?: boolean;
+  skipped?: boolean;
+  reason?: string;
+  error?: string;
+  timedOut?: boolean;
+  scheduled?: boolean;
+  completion?: Promise<TrackAIBotResult>;
+  url?: string;
+  userAgent?: string;
+  referer?: string;
+  bot?: string;
+  signature?: AIBotMatch;
+  verified?: BotVerificationStatus;
+  robots?: RobotsVerdict;
+  sampleRate?: number;
+  privacy?: PixelPrivacyDecision;
+  destinations?: DestinationResult[];
+}
+
+export type BotPurpose = 'training' | 'search' | 'user-triggered' | 'other';
+
+export interface BotSignature {
+  slug: string;
+  operator: string;
+  product: string;
+  purpose: BotPurpose;
+  docs: string | null;
+  tokens: readonly string[];
+  pattern: RegExp;
+  ipRanges: string | null;
+  reverseDns: readonly string[] | null;
+}
+
+export interface AIBotMatch extends BotSignature {
+  token: string;
+  version: string | null;
+}
+
+export declare const AI_BOT_SIGNATURES: ReadonlyArray<BotSignature>;
+
+export interface AIBotSignatureInput {
+  slug: string;
+  tokens?: string | string[];
+  pattern?: RegExp;
+  operator?: string;
+  product?: string;
+  purpose?: BotPurpose;
+  docs?: string | null;
+  ipRanges?: string | null;
+  reverseDns?: string[] | null;
+  override?: boolean;
+  disabled?: boolean;
+}
+
+export interface BotIdentifier {
+  signatures: readonly BotSignature[];
+  identify(userAgent?: string | null): AIBotMatch | null;
+  find(slug: string): BotSignature | null;
+}
+
+export interface CreateBotIdentifierOptions {
+  signatures?: AIBotSignatureInput[];
+  extend?: boolean;
+}
+
+export declare const BOT_PURPOSES: readonly BotPurpose[];
+
+export declare function registerAIBotSignature(entry: AIBotSignatureInput): BotSignature | null;
+
+export declare function createBotIdentifier(options?: CreateBotIdentifierOptions): BotIdentifier;
+
+export declare function identifyAIBot(userAgent?: string | null): AIBotMatch | null;
+
+export declare function verifyAIBot(
+  bot: string | BotSignature,
+  ip?: string | null,
+  options?: BotVerificationOptions
+): Promise<BotVerificationStatus>;
+
+export declare function createRateLimiter(options?: RateLimiterOptions): RateLimiter;
+
+export declare function createMemoryDedupeStore(options?: { max?: number }): DedupeStore;
+
+export declare function trackAIBotRequestForPixel(
+  request?: RequestLike,
+  options?: TrackAIBotRequestOptions
+): Promise<TrackAIBotResult>;
+
+
+export type RequestLike =
+  | Request
+  | { headers?: HeadersLike | undefined; url?: string; method?: string; ip?: string }
+  | null;
+
+export type ResponseLike =
+  | Response
+  | { statusCode?: number; getHeader?(name: string): string | number | string[] | undefined }
+  | { status?: number; headers?: HeadersLike };
+
+export declare function trackAIBotResponseForPixel(
+  request: RequestLike,
+  response: ResponseLike,
+  options?: TrackAIBotRequestOptions
+): Promise<TrackAIBotResult>;
+
+export declare function toHeaderValue(headersLike: HeadersLike | null | undefined, name: string): string | undefined;
+
+export declare function getClientIp(request: RequestLike | undefined, headersLike?: HeadersLike | null): string | undefined;
+
+export interface PixelIdentityCookieOptions {
+  visitor?: boolean;
+  sessionTimeout?: number;
+  visitorDays?: number;
+  cookieDomain?: string;
+  secure?: boolean;
+  headers?: HeadersLike;
+  consent?: (request: RequestLike) => boolean;
+}
+
+export interface PixelIdentity {
+  sessionId: string;
+  visitorId?: string;
+  newSession: boolean;
+  newVisitor: boolean;
+  cookies: string[];
+}
+
+export declare function readPixelIdentity(headersLike: HeadersLike | null | undefined): {
+  sessionId?: string;
+  visitorId?: string;
+};
+
+export declare function createPixelIdentity(request: RequestLike, options?: PixelIdentityCookieOptions): PixelIdentity;
+
+export declare function setPixelIdentityCookies(
+  request: RequestLike,
+  response: Response | { setHeader(name: string, value: string | string[]): unknown } | { header(name: string, value: string): unknown },
+  options?: PixelIdentityCookieOptions
+): PixelIdentity;
+
+export type RobotsVerdict = 'allowed' | 'disallowed';
+
+export interface RobotsSources {
+  robotsTxt?: string;
+  aiTxt?: string;
+  llmsTxt?: string;
+}
+
+export interface RobotsPolicyOptions {
+  origin: string;
+  files?: Array<'/robots.txt' | '/ai.txt' | '/llms.txt'>;
+  ttl?: number;
+  timeout?: number;
+  fetchOptions?: RequestInit;
+}
+
+export interface RobotsPolicy {
+  files: string[];
+  failed?: string[];
+  check(bot: AIBotMatch | BotSignature | string | string[], path?: string): RobotsVerdict | undefined;
+}
+
+export interface RobotsGroup {
+  agents: string[];
+  rules: Array<{ allow: boolean; path: string }>;
+}
+
+export interface GenerateRobotsTxtOptions {
+  rules?: Partial<Record<BotPurpose, RobotsRule>> & Record<string, RobotsRule | undefined>;
+  default?: RobotsRule;
+  signatures?: AIBotSignatureInput[] | BotIdentifier;
+  sitemap?: string | string[];
+}
+
+export type RobotsRule = 'allow' | 'disallow' | string[] | false;
+
+export declare function parseRobotsTxt(text: string): { groups: RobotsGroup[]; sitemaps: string[] };
+
+export declare function createRobotsPolicy(sources?: RobotsSources): RobotsPolicy;
+
+export declare function fetchRobotsPolicy(
+  origin: string,
+  options?: Omit<RobotsPolicyOptions, 'origin' | 'ttl'> & { logger?: LoggerSink; logLevel?: LogLevel; debug?: boolean }
+): Promise<RobotsPolicy>;
+
+export declare function generateRobotsTxt(options?: GenerateRobotsTxtOptions): string;
+
+export interface PixelProxyOptions {
+  pixelUrl?: string;
+  signatures?: AIBotSignatureInput[] | BotIdentifier;
+  forwardIp?: boolean;
+  timeout?: number;
+  maxBodySize?: number;
+  source?: string;
+  logger?: LoggerSink;
+  logLevel?: LogLevel;
+  logRedact?: boolean;
+  waitUntil?: WaitUntil | { waitUntil: WaitUntil };
+  background?: boolean;
+  debug?: boolean;
+}
+
+export declare function createPixelProxyHandler(
+  options?: PixelProxyOptions
+): (request: Request, ...context: unknown[]) => Promise<Response>;
+
+export declare function createPixelProxyNodeHandler(
+  options?: PixelProxyOptions
+): (req: any, res: any) => Promise<void>;
+
+export declare function createExpressMiddleware(
+  options?: TrackAIBotRequestOptions
+): (req: any, res: any, next: (error?: unknown) => void) => void;
+
+export declare function fastifyPlugin(
+  fastify: { addHook(name: 'onRequest' | 'onResponse', hook: (request: any, reply: any) => Promise<void>): unknown },
+  options: TrackAIBotRequestOptions,
+  done: () => void
+): void;
+
+export declare function wrapFetchHandler<Args extends unknown[], Result>(
+  handler: (request: Request, ...rest: Args) => Result | Promise<Result>,
+  options?: TrackAIBotRequestOptions
+): (request: Request, ...rest: Args) => Promise<Result>;
+
+export declare function wrapNodeHandler<Req, Res>(
+  handler: (req: Req, res: Res) => unknown,
+  options?: TrackAIBotRequestOptions
+): (req: Req, res: Res) => Promise<unknown>;
@@ -0,0 +1,701 @@
+'use strict';
+
+const {
+  PIXEL_URL,
+  normalizePixelParams,
+  createLogger,
+  createDestinationRouter,
+  classifyAIReferrer,
+} = require('../shared');
+const {
+  BOT_PURPOSES,
+  AI_BOT_SIGNATURES,
+  identifyAIBot,
+  registerAIBotSignature,
+  createBotIdentifier,
+} = require('./bot-signatures');
+const { verifyAIBot } = require('./verify-bot');
+const {
+  createMemoryDedupeStore,
+  createRateLimiter,
+  resolveRateLimiter,
+  resolveDedupe,
+  resolveSampleRate,
+} = require('./throttle');
+const {
+  resolveLogger,
+  toHeaderValue,
+  getCookie,
+  resolvePrivacyDecision,
+  resolveBotIdentifier,
+  getClientIp,
+  getTrustedClientIp,
+  parseRequestUrl,
+  resolveWaitUntil,
+  createTimeoutSignal,
+  findWaitUntilContext,
+} = require('./request');
+const { createPixelProxyHandler, createPixelProxyNodeHandler } = require('./proxy');
+const {
+  readPixelIdentity,
+  createPixelIdentity,
+  setPixelIdentityCookies,
+  resolveIdentityOptions,
+  identityCookiesAllowed,
+  getIdentityParams,
+} = require('./identity');
+const {
+  parseRobotsTxt,
+  createRobotsPolicy,
+  fetchRobotsPolicy,
+  resolveRobotsPolicy,
+  generateRobotsTxt,
+} = require('./robots');
+
+const DEFAULT_BOT_EVENT = 'server-bot';
+const DEFAULT_SOURCE_HEADER = 'server';
+const DEFAULT_TIMEOUT_MS = 3000;
+
+function withServerDefaults(params) {
+  const merged = Object.assign({}, params || {});
+  if (merged.component == null) merged.component = 'server';
+  if (merged.source == null) merged.source = 'bildit-ai-pixel';
+  return merged;
+}
+
+// Hooks run inline with tracking; a throwing hook is logged and reported to `onError` but never
+// stops the hit.
+async function runHook(name, hooks, log, args, context) {
+  const hook = hooks[name];
+  if (typeof hook !== 'function') return undefined;
+  try {
+    return await hook(...args);
+  } catch (error) {
+    log.error('Hook failed', { hook: name, error });
+    if (name !== 'onError') {
+      await runHook('onError', hooks, log, [error, Object.assign({ hook: name }, context)], context);
+    }
+    return undefined;
+  }
+}
+
+const REDACTED_VALUE = 'redacted';
+
+// Query values can carry tokens or personal data, so only allowlisted keys keep their value; the
+// rest are reported by name only. `query: false` drops the query entirely.
+function getRedactedQuery(requestUrl, query) {
+  if (!requestUrl || query === false || !requestUrl.search) return undefined;
+  const allow = query && Array.isArray(query.allow) ? query.allow : [];
+  const redacted = new URLSearchParams();
+  for (const [key, value] of requestUrl.searchParams) {
+    redacted.append(key, allow.includes(key) ? value : REDACTED_VALUE);
+  }
+  return redacted.toString();
+}
+
+const AI_REFERRER_SLUG_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+// Visits referred by an assistant (Referer host or `utm_source`), plus the first-touch slug the
+// pixel runtime persisted in the `bildit_ai_ref` cookie. `aiReferrer: false` turns it off.
+function resolveAIReferrer(aiReferrer, headersLike, referer, requestUrl) {
+  if (aiReferrer === false) return {};
+  const sources = aiReferrer && typeof aiReferrer === 'object' ? aiReferrer.sources : undefined;
+  const current = classifyAIReferrer(referer, requestUrl ? requestUrl.search : '', sources) || undefined;
+  const cookie = getCookie(headersLike, 'bildit_ai_ref');
+  const firstTouch = cookie && AI_REFERRER_SLUG_PATTERN.test(cookie) ? cookie : undefined;
+  return { attributed: firstTouch || current, current };
+}
+
+// Accepts a fetch `Response`, a Node `ServerResponse` (Express `res`) or a Fastify `reply`.
+function getResponseDetails(response) {
+  if (!response || typeof response !== 'object') return {};
+  const status = typeof response.status === 'number' ? response.status : response.statusCode;
+
+  let contentType;
+  if (response.headers && typeof response.headers.get === 'function') {
+    contentType = response.headers.get('content-type');
+  } else if (typeof response.getHeader === 'function') {
+    contentType = response.getHeader('content-type');
+  }
+  if (Array.isArray(contentType)) contentType = contentType[0];
+
+  return {
+    status: typeof status === 'number' ? status : undefined,
+    contentType: contentType ? String(contentType).split(';')[0].trim().toLowerCase() : undefined,
+  };
+}
+
+function ensureSearchParam(url, key, value) {
+  if (value == null) return;
+  url.searchParams.set(key, String(value));
+}
+
+function buildPixelUrlWithParams(pixelUrl, params) {
+  const url = new URL(pixelUrl);
+  for (const [key, value] of Object.entries(params)) {
+    ensureSearchParam(url, key, value);
+  }
+  // Ensure site param: prefer explicit param, then referer origin, then host
+  if (!url.searchParams.has('site')) {
+    try {
+      if (typeof params.referer === 'string' && params.referer) {
+        const ref = new URL(params.referer);
+        ensureSearchParam(url, 'site', ref.origin);
+      }
+    } catch (_) {}
+  }
+  return url;
+}
+
+async function deliverToDestination(request, payload, destination, context, timeout) {
+  if (!request) {
+    if (typeof destination.send !== 'function') throw new TypeError('Custom destinations need a send function');
+    await destination.send(payload, context);
+    return { ok: true };
+  }
+
+  const deadline = createTimeoutSignal(timeout);
+  try {
+    const destinationResponse = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: deadline.signal,
+    });
+    return { ok: destinationResponse.ok, status: destinationResponse.status };
+  } catch (error) {
+    if (deadline.timedOut()) throw new Error(`Destination request timed out after ${timeout}ms`);
+    throw error;
+  } finally {
+    deadline.clear();
+  }
+}
+
+// Destinations run next to the pixel request, each with its own timeout. A failing destination is
+// logged and reported to `onError` but never affects the pixel hit or the other destinations.
+function forwardToDestinations(destinations, params, { timeout, log, options, hookContext }) {
+  if (!Array.isArray(destinations) || !destinations.length) return Promise.resolve(undefined);
+
+  const router = createDestinationRouter(destinations, (request, payload, destination, context) =>
+    deliverToDestination(request, payload, destination, context, timeout)
+  );
+
+  return Promise.all(
+    router.forward(params, hookContext).map(async outcome => {
+      try {
+        if (outcome.error) throw outcome.error;
+        const delivered = await outcome.result;
+        if (!delivered.ok) log.warn('Destination rejected event', { destination: outcome.name, status: delivered.status });
+        return { name: outcome.name, ok: delivered.ok, status: delivered.status };
+      } catch (error) {
+        log.warn('Destination failed', { destination: outcome.name, error });
+        const context = Object.assign({ destination: outcome.name }, hookContext);
+        await runHook('onError', options, log, [error, context], hookContext);
+        return { name: outcome.name, ok: false, error: error instanceof Error ? error.message : String(error) };
+      }
+    })
+  );
+}
+
+async function sendTrackingRequest(request, response, options) {
+  const {
+    pixelUrl = PIXEL_URL,
+    params,
+    requireBotMatch = true,
+    force = false,
+    userAgent: userAgentOverride,
+    referer: refererOverride,
+    headers: headersOverride,
+    fetchOptions,
+    privacy,
+    signatures,
+    verify,
+    ip: ipOverride,
+    sampling,
+    rateLimit,
+    dedupe,
+    query,
+    robots,
+    aiReferrer,
+    identity,
+    destinations,
+    source = DEFAULT_SOURCE_HEADER,
+    timeout = DEFAULT_TIMEOUT_MS,
+  } = options;
+
+  let headersLike = headersOverride;
+  if (!headersLike && request && typeof request === 'object') {
+    headersLike = request.headers;
+  }
+
+  const log = resolveLogger(options);
+  const userAgent = userAgentOverride || toHeaderValue(headersLike, 'user-agent');
+  const referer = refererOverride || toHeaderValue(headersLike, 'referer') || toHeaderValue(headersLike, 'referrer');
+
+  const identifier = resolveBotIdentifier(signatures);
+  const botSignature = identifier ? identifier.identify(userAgent) : identifyAIBot(userAgent);
+
+  log.debug('Bot detection', {
+    userAgent,
+    referer,
+    bot: botSignature ? botSignature.slug : undefined,
+    force,
+    requireBotMatch,
+    pixelUrl,
+  });
+
+  if (!force && requireBotMatch && !botSignature) {
+    log.debug('Skipping pixel request', { reason: 'non-bot-user-agent' });
+    return {
+      triggered: false,
+      skipped: true,
+      reason: 'non-bot-user-agent',
+      userAgent,
+      referer,
+    };
+  }
+
+  const botSlug = botSignature ? botSignature.slug : undefined;
+  const clientIp = ipOverride || getClientIp(request, headersLike);
+  const requestUrl = parseRequestUrl(request);
+  const hookContext = { request, response, bot: botSlug, signature: botSignature || undefined };
+
+  if (botSignature) {
+    await runHook('onDetect', options, log, [
+      { bot: botSlug, signature: botSignature, userAgent, referer, ip: clientIp, request },
+    ], hookContext);
+  }
+
+  const skipHit = reason => {
+    log.debug('Skipping pixel request', { reason, bot: botSlug });
+    return {
+      triggered: false,
+      skipped: true,
+      reason,
+      userAgent,
+      referer,
+      bot: botSlug,
+      signature: botSignature || undefined,
+    };
+  };
+
+  // Crawler bursts: sample first, then drop repeats of (bot, path, IP) within the dedupe window,
+  // and only spend rate-limit tokens on hits that survive both.
+  const sampleRate = resolveSampleRate(sampling, botSlug);
+  if (sampleRate !== undefined && Math.random() >= sampleRate) return skipHit('sampled-out');
+
+  const dedupeConfig = resolveDedupe(dedupe);
+  if (dedupeConfig) {
+    const dedupeInput = { bot: botSlug, path: requestUrl && requestUrl.pathname, ip: clientIp, userAgent };
+    const dedupeKey = dedupeConfig.key
+      ? dedupeConfig.key(dedupeInput)
+      : `${dedupeInput.bot || ''}|${dedupeInput.path || ''}|${dedupeInput.ip || ''}`;
+    let firstSeen = true;
+    try {
+      firstSeen = await dedupeConfig.store.claim(dedupeKey, dedupeConfig.window);
+    } catch (error) {
+      // A failing external store should not stop tracking.
+      log.warn('Dedupe store failed', { error });
+    }
+    if (!firstSeen) return skipHit('duplicate');
+  }
+
+  const limiter = resolveRateLimiter(rateLimit);
+  if (limiter && !limiter.take()) return skipHit('rate-limited');
+
+  // Only a claimed bot can be verified; forced hits without a signature report `unknown`.
+  let verified;
+  if (verify) {
+    const verifyOptions = verify === true ? {} : verify;
+    const verifyIp = ipOverride || getTrustedClientIp(request, headersLike, verifyOptions.trustProxy);
+    verified = botSignature ? await verifyAIBot(botSignature, verifyIp, verifyOptions) : 'unknown';
+  }
+
+  // Whether the bot was allowed to fetch this path under the site's robots.txt / ai.txt rules.
+  let robotsVerdict;
+  if (robots && botSignature && requestUrl) {
+    const robotsPolicy = await resolveRobotsPolicy(robots, log);
+    robotsVerdict = robotsPolicy ? robotsPolicy.check(botSignature, requestUrl.pathname + requestUrl.search) : undefined;
+  }
+
+  // Sec-GPC / DNT: a downgraded hit drops the user agent, a suppressed one is reduced to a
+  // minimal `suppressed` event so it can still be counted.
+  const privacyDecision = resolvePrivacyDecision(privacy, headersLike);
+  const privacyState = privacyDecision ? privacyDecision.decision : undefined;
+  const stripIdentity = privacyState === 'downgraded' || privacyState === 'suppressed';
+
+  const normalizedParams = normalizePixelParams(withServerDefaults(params));
+  if (!normalizedParams.mode) normalizedParams.mode = 'server';
+  if (privacyState === 'suppressed') normalizedParams.event = 'suppressed';
+  if (!normalizedParams.event) normalizedParams.event = DEFAULT_BOT_EVENT;
+  if (!normalizedParams.ts) normalizedParams.ts = Date.now().toString();
+  if (!normalizedParams.nonce) normalizedParams.nonce = Math.random().toString(36).slice(2);
+  if (userAgent && !stripIdentity && !normalizedParams.ua) normalizedParams.ua = userAgent;
+  if (referer && privacyState !== 'suppressed' && !normalizedParams.referer) normalizedParams.referer = referer;
+  if (botSignature && !normalizedParams.bot) {
+    normalizedParams.bot = botSignature.slug;
+    normalizedParams.bot_purpose = botSignature.purpose;
+    if (botSignature.version) normalizedParams.bot_version = botSignature.version;
+  }
+  if (verified !== undefined) normalizedParams.verified = String(verified);
+  if (robotsVerdict) normalizedParams.robots = robotsVerdict;
+  if (sampleRate !== undefined) normalizedParams.sample_rate = String(sampleRate);
+  if (privacyState !== 'suppressed') {
+    const referral = resolveAIReferrer(aiReferrer, headersLike, referer, requestUrl);
+    if (referral.attributed && !normalizedParams.ai_referrer) normalizedParams.ai_referrer = referral.attributed;
+    if (referral.current && !normalizedParams.ai_referrer_current) normalizedParams.ai_referrer_current = referral.current;
+  }
+  // Session / visitor IDs join this hit with the visitor's client beacons; identifying, so they
+  // are dropped from downgraded and suppressed hits.
+  if (identity !== false && !stripIdentity) {
+    const ids = getIdentityParams(identity, headersLike);
+    if (ids.sid && !normalizedParams.sid) normalizedParams.sid = ids.sid;
+    if (ids.vid && !normalizedParams.vid) normalizedParams.vid = ids.vid;
+  }
+
+  // Which page the crawler fetched and, for post-response hits, what it was served. Left off
+  // suppressed hits, which only record that a hit happened.
+  if (privacyState !== 'suppressed') {
+    if (requestUrl && !normalizedParams.path) normalizedParams.path = requestUrl.pathname;
+    const redactedQuery = getRedactedQuery(requestUrl, query);
+    if (redactedQuery && !normalizedParams.query) normalizedParams.query = redactedQuery;
+    if (request && typeof request.method === 'string' && !normalizedParams.method) {
+      normalizedParams.method = request.method.toUpperCase();
+    }
+    if (response) {
+      const served = getResponseDetails(response);
+      if (served.status !== undefined && !normalizedParams.http_status) {
+        normalizedParams.http_status = String(served.status);
+      }
+      if (served.contentType && !normalizedParams.content_type) normalizedParams.content_type = served.contentType;
+    }
+  }
+  if (privacyDecision) {
+    normalizedParams.privacy = privacyDecision.decision;
+    if (privacyDecision.signal) normalizedParams.privacy_signal = privacyDecision.signal;
+  }
+
+  // Ensure site param when referer is missing by deriving origin from request
+  if (!normalizedParams.site) {
+    try {
+      // 1) Prefer origin of referer if present
+      if (referer) {
+        const ref = new URL(referer);
+        normalizedParams.site = ref.origin;
+      } else {
+        // 2) Use the request URL origin if available (Edge/Next middleware has request.url)
+        let originCandidate;
+        try {
+          if (request && typeof request.url === 'string') {
+            originCandidate = new URL(request.url).origin;
+          }
+        } catch (_) {}
+
+        // 3) Fall back to forwarded headers (common in proxies)
+        if (!originCandidate) {
+          const xfProto = toHeaderValue(headersLike, 'x-forwarded-proto') || 'https';
+          const xfHost = toHeaderValue(headersLike, 'x-forwarded-host');
+          if (xfHost) originCandidate = `${xfProto}://${xfHost}`;
+        }
+
+        // 4) As a last resort, use Host header
+        if (!originCandidate) {
+          const host = toHeaderValue(headersLike, 'host');
+          if (host) originCandidate = `https://${host}`;
+        }
+
+        if (originCandidate) normalizedParams.site = originCandidate;
+      }
+    } catch (_) {}
+  }
+
+  // `beforeSend` may edit the params in place, return replacements, or return false to veto.
+  const replacement = await runHook('beforeSend', options, log, [normalizedParams, hookContext], hookContext);
+  if (replacement === false) return skipHit('vetoed');
+  const finalParams =
+    replacement && typeof replacement === 'object' ? normalizePixelParams(replacement) : normalizedParams;
+
+  const url = buildPixelUrlWithParams(pixelUrl, finalParams);
+
+  if (typeof fetch !== 'function') {
+    return {
+      triggered: false,
+      skipped: true,
+      reason: 'fetch-unavailable',
+      url: url.toString(),
+      userAgent,
+      referer,
+      bot: botSignature ? botSignature.slug : undefined,
+      signature: botSignature || undefined,
+      verified,
+      robots: robotsVerdict,
+      sampleRate,
+      privacy: privacyState,
+    };
+  }
+
+  const destinationsSent = forwardToDestinations(destinations, finalParams, { timeout, log, options, hookContext });
+
+  const { headers: extraHeaders, signal: callerSignal, ...restFetchOptions } = fetchOptions || {};
+  const deadline = createTimeoutSignal(timeout, callerSignal);
+
+  try {
+
+    const headerBag = {};
+
+    if (extraHeaders) {
+      if (typeof extraHeaders[Symbol.iterator] === 'function' && typeof extraHeaders !== 'function') {
+        for (const pair of extraHeaders) {
+          if (!pair) continue;
+          const [key, value] = pair;
+          if (key) headerBag[key] = Array.isArray(value) ? value.join(', ') : value;
+        }
+      } else if (typeof extraHeaders === 'object') {
+        for (const key of Object.keys(extraHeaders)) {
+          const value = extraHeaders[key];
+          if (value == null) continue;
+          headerBag[key] = Array.isArray(value) ? value.join(', ') : value;
+        }
+      }
+    }
+
+    if (userAgent && !stripIdentity) headerBag['User-Agent'] = userAgent;
+    headerBag['X-BILDIT-Source'] = headerBag['X-BILDIT-Source'] || source;
+
+    log.debug('Making pixel request', { url: url.toString(), headers: headerBag, bot: botSlug });
+
+    const pixelResponse = await fetch(url.toString(), {
+      method: restFetchOptions.method || 'GET',
+      redirect:
+        restFetchOptions.redirect !== undefined ? restFetchOptions.redirect : 'follow',
+      ...restFetchOptions,
+      headers: headerBag,
+      signal: deadline.signal,
+    });
+
+    log.info('Pixel request sent', {
+      status: pixelResponse.status,
+      ok: pixelResponse.ok,
+      url: url.toString(),
+      bot: botSlug,
+    });
+
+    const destinationResults = await destinationsSent;
+    const result = {
+      triggered: true,
+      status: pixelResponse.status,
+      ok: pixelResponse.ok,
+      url: url.toString(),
+      userAgent,
+      referer,
+      bot: botSignature ? botSignature.slug : undefined,
+      signature: botSignature || undefined,
+      verified,
+      robots: robotsVerdict,
+      sampleRate,
+      privacy: privacyState,
+      destinations: destinationResults,
+    };
+    await runHook('onSent', options, log, [result, hookContext], hookContext);
+    return result;
+  } catch (caught) {
+    const timedOut = deadline.timedOut();
+    const error = timedOut ? new Error(`Pixel request timed out after ${timeout}ms`) : caught;
+
+    log.warn('Pixel request failed', { error, url: url.toString(), bot: botSlug, timedOut });
+    await runHook('onError', options, log, [error, Object.assign({ url: url.toString() }, hookContext)], hookContext);
+
+    const destinationResults = await destinationsSent;
+    return {
+      triggered: false,
+      error: error instanceof Error ? error.message : String(error),
+      timedOut: timedOut || undefined,
+      url: url.toString(),
+      userAgent,
+      referer,
+      bot: botSignature ? botSignature.slug : undefined,
+      signature: botSignature || undefined,
+      verified,
+      robots: robotsVerdict,
+      sampleRate,
+      privacy: privacyState,
+      destinations: destinationResults,
+    };
+  } finally {
+    deadline.clear();
+  }
+}
+
+// With `waitUntil` (a function, NextFetchEvent or Workers ExecutionContext) or `background: true`
+// the hit is scheduled: the returned promise resolves immediately with `scheduled: true` and the
+// outcome on `completion`.
+// A hit that failed before or outside the pixel request (a bad option, a throwing store) is logged
+// and reported to `onError` like a failed pixel request.
+async function reportTrackingFailure(error, request, response, options) {
+  const log = resolveLogger(options);
+  log.error('Tracking failed', { error });
+  const hookContext = { request, response };
+  await runHook('onError', options, log, [error, hookContext], hookContext);
+  return { triggered: false, error: error instanceof Error ? error.message : String(error) };
+}
+
+async function dispatchTracking(request, response, options) {
+  const scheduleWith = resolveWaitUntil(options.waitUntil);
+  if (!scheduleWith && !options.background) {
+    return sendTrackingRequest(request, response, options);
+  }
+
+  // Background hits must never surface as unhandled rejections.
+  const completion = sendTrackingRequest(request, response, options).catch(error =>
+    reportTrackingFailure(error, request, response, options)
+  );
+  if (scheduleWith) scheduleWith(completion);
+
+  return { triggered: false, scheduled: true, completion };
+}
+
+/**
+ * Tracks the request and resolves with the outcome, or schedules it (see `waitUntil` and
+ * `background`).
+ */
+function trackAIBotRequestForPixel(request, options = {}) {
+  return dispatchTracking(request, null, options);
+}
+
+/**
+ * Post-response variant: also reports the status code and content type that were served. Call it
+ * once the response exists (a fetch `Response`, Node/Express `res` or Fastify `reply`).
+ */
+function trackAIBotResponseForPixel(request, response, options = {}) {
+  return dispatchTracking(request, response, options);
+}
+
+// The integrations below never fail the request they wrap: a tracking error is reported and the
+// request carries on.
+function trackWithoutFailing(request, response, options) {
+  return dispatchTracking(request, response, options).catch(error =>
+    reportTrackingFailure(error, request, response, options)
+  );
+}
+
+// Post-response hits are sent after the response went out, so nothing is left to wait for them.
+function trackFinishedNodeResponse(req, res, options) {
+  res.once('finish', () => {
+    trackAIBotResponseForPixel(req, res, Object.assign({}, options, { background: true }));
+  });
+}
+
+/**
+ * Express/Connect middleware: tracks the request, then hands off to the next middleware. With
+ * `afterResponse: true` the hit is sent once the response has finished.
+ */
+function createExpressMiddleware(options = {}) {
+  return function bilditExpressMiddleware(req, res, next) {
+    // `identity` issues the session / visitor cookies before anything is written to the response,
+    // unless the privacy or consent decision rules identifiers out; those hits carry none either.
+    const trackOptions = options.identity
+      ? Object.assign({}, options, {
+          identity: identityCookiesAllowed(req, options)
+            ? setPixelIdentityCookies(req, res, resolveIdentityOptions(options.identity))
+            : false,
+        })
+      : options;
+    if (trackOptions.afterResponse) {
+      trackFinishedNodeResponse(req, res, trackOptions);
+      next();
+      return;
+    }
+    trackWithoutFailing(req, null, trackOptions).then(() => next());
+  };
+}
+
+/**
+ * Fastify plugin tracking every request from an `onRequest` hook, or from `onResponse` with
+ * `afterResponse: true`. Marked with `skip-override` (what `fastify-plugin` does) so the hook
+ * applies to the whole app rather than an encapsulated child context.
+ */
+function fastifyPlugin(fastify, options, done) {
+  if (options.afterResponse) {
+    fastify.addHook('onResponse', async (request, reply) => {
+      await trackWithoutFailing(request, reply, options);
+    });
+  } else {
+    fastify.addHook('onRequest', async request => {
+      await trackWithoutFailing(request, null, options);
+    });
+  }
+  done();
+}
+fastifyPlugin[Symbol.for('skip-override')] = true;
+fastifyPlugin[Symbol.for('fastify.display-name')] = 'bildit-ai-pixel';
+
+/**
+ * Wraps a fetch-style handler (`(request, env, ctx) => Response`) such as a Cloudflare Workers
+ * `fetch` export or Hono's `app.fetch`. With `background: true` the hit is handed to the
+ * context's `waitUntil` when there is one. With `afterResponse: true` the hit is built from the
+ * handler's response and never delays it.
+ */
+function wrapFetchHandler(handler, options = {}) {
+  return async function bilditFetchHandler(request, ...rest) {
+    if (options.afterResponse) {
+      const response = await handler(request, ...rest);
+      const scheduled = Object.assign({}, options, { background: true });
+      if (scheduled.waitUntil == null) scheduled.waitUntil = findWaitUntilContext(rest);
+      trackAIBotResponseForPixel(request, response, scheduled);
+      return response;
+    }
+    if (options.background && options.waitUntil == null) {
+      const context = findWaitUntilContext(rest);
+      await trackWithoutFailing(request, null, context ? Object.assign({}, options, { waitUntil: context }) : options);
+    } else {
+      await trackWithoutFailing(request, null, options);
+    }
+    return handler(request, ...rest);
+  };
+}
+
+/**
+ * Wraps a Node `http` request listener (`http.createServer(wrapNodeHandler(listener))`). With
+ * `afterResponse: true` the hit is sent once the response has finished.
+ */
+function wrapNodeHandler(handler, options = {}) {
+  return async function bilditNodeHandler(req, res) {
+    if (options.afterResponse) {
+      trackFinishedNodeResponse(req, res, options);
+    } else {
+      await trackWithoutFailing(req, null, options);
+    }
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  PIXEL_URL,
+  createLogger,
+  trackAIBotRequestForPixel,
+  trackAIBotResponseForPixel,
+  toHeaderValue,
+  getClientIp,
+  identifyAIBot,
+  verifyAIBot,
+  registerAIBotSignature,
+  createBotIdentifier,
+  AI_BOT_SIGNATURES,
+  BOT_PURPOSES,
+  createRateLimiter,
+  createMemoryDedupeStore,
+  createPixelProxyHandler,
+  createPixelProxyNodeHandler,
+  parseRobotsTxt,
+  createRobotsPolicy,
+  fetchRobotsPolicy,
+  generateRobotsTxt,
+  classifyAIReferrer,
+  readPixelIdentity,
+  createPixelIdentity,
+  setPixelIdentityCookies,
+  createExpressMiddleware,
+  fastifyPlugin,
+  wrapFetchHandler,
+  wrapNodeHandler,
+};
@@ -0,0 +1,278 @@
+'use strict';
+
+const { PIXEL_URL } = require('../shared');
+const { identifyAIBot } = require('./bot-signatures');
+const {
+  resolveLogger,
+  toHeaderValue,
+  resolveBotIdentifier,
+  getClientIp,
+  resolveWaitUntil,
+  createTimeoutSignal,
+  findWaitUntilContext,
+} = require('./request');
+
+// First-party pixel endpoint: answers with a 1x1 GIF from the site's own origin and forwards the hit
+// to the BILDIT pixel, enriched with what only the server sees (user agent, country, bot match).
+
+// The 1x1 transparent GIF, spelled out so loading the module needs no `atob` / `Buffer`.
+const PIXEL_GIF = Uint8Array.from([
+  71, 73, 70, 56, 57, 97, 1, 0, 1, 0, 128, 0, 0, 0, 0, 0, 255, 255, 255, 33, 249, 4, 1, 0, 0, 0, 0, 44, 0, 0, 0, 0, 1, 0,
+  1, 0, 0, 2, 1, 68, 0, 59,
+]);
+const DEFAULT_PROXY_TIMEOUT_MS = 3000;
+const DEFAULT_PROXY_SOURCE_HEADER = 'proxy';
+// A full batch of beacons is a few kilobytes; anything far past that is not from the runtime.
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024;
+
+const NO_STORE_HEADERS = Object.freeze({
+  'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0',
+  Pragma: 'no-cache',
+});
+
+const GIF_HEADERS = Object.freeze(Object.assign({ 'Content-Type': 'image/gif' }, NO_STORE_HEADERS));
+
+// Country headers set by common CDNs and hosts; `XX` (unknown) and `T1` (Tor) carry no country.
+const COUNTRY_HEADERS = Object.freeze([
+  'cf-ipcountry',
+  'x-vercel-ip-country',
+  'cloudfront-viewer-country',
+  'x-appengine-country',
+  'x-country-code',
+]);
+
+function getCountry(headersLike) {
+  for (const name of COUNTRY_HEADERS) {
+    const value = toHeaderValue(headersLike, name);
+    if (!value) continue;
+    const country = String(value).trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(country) && country !== 'XX' && country !== 'T1') return country;
+  }
+  return undefined;
+}
+
+function refererOrigin(referer) {
+  try {
+    return new URL(referer).origin;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * Forwards one hit received by the proxy. Resolves with `{ ok, status }` or `{ ok: false, error }`
+ * and never rejects.
+ */
+async function forwardPixelHit(hit, options = {}) {
+  const {
+    pixelUrl = PIXEL_URL,
+    signatures,
+    forwardIp = true,
+    timeout = DEFAULT_PROXY_TIMEOUT_MS,
+    source = DEFAULT_PROXY_SOURCE_HEADER,
+  } = options;
+  const log = resolveLogger(options, '[BILDIT Proxy]');
+  const headersLike = hit.headers;
+
+  let upstream;
+  const deadline = createTimeoutSignal(timeout);
+  try {
+    upstream = new URL(pixelUrl);
+    for (const [key, value] of hit.query) upstream.searchParams.append(key, value);
+    const enrich = (key, value) => {
+      if (value != null && value !== '' && !upstream.searchParams.has(key)) upstream.searchParams.set(key, String(value));
+    };
+
+    // A beacon the browser already downgraded for GPC/DNT must not regain what identifies the
+    // visitor here: user agent, referer, country and client IP.
+    const privacyState = upstream.searchParams.get('privacy');
+    const stripIdentity = privacyState === 'downgraded' || privacyState === 'suppressed';
+
+    const userAgent = toHeaderValue(headersLike, 'user-agent');
+    const referer = toHeaderValue(headersLike, 'referer');
+    enrich('site', referer && refererOrigin(referer));
+    if (!stripIdentity) {
+      enrich('ua', userAgent);
+      enrich('referer', referer);
+      enrich('country', getCountry(headersLike));
+    }
+
+    const identifier = resolveBotIdentifier(signatures);
+    const bot = identifier ? identifier.identify(userAgent) : identifyAIBot(userAgent);
+    if (bot) {
+      enrich('bot', bot.slug);
+      enrich('bot_purpose', bot.purpose);
+      enrich('bot_version', bot.version);
+    }
+    upstream.searchParams.set('proxy', '1');
+
+    const headers = { 'X-BILDIT-Source': source };
+    if (userAgent && !stripIdentity) headers['User-Agent'] = userAgent;
+    const clientIp = forwardIp && !stripIdentity ? getClientIp(hit.request, headersLike) : undefined;
+    if (clientIp) headers['X-Forwarded-For'] = clientIp;
+    if (hit.body) headers['Content-Type'] = 'text/plain';
+
+    const response = await fetch(upstream.toString(), {
+      method: hit.body ? 'POST' : 'GET',
+      headers,
+      body: hit.body || undefined,
+      signal: deadline.signal,
+    });
+    log.debug('Forwarded pixel hit', { url: upstream.toString(), status: response.status, bot: bot ? bot.slug : undefined });
+    return { ok: response.ok, status: response.status };
+  } catch (caught) {
+    const error = deadline.timedOut() ? new Error(`Pixel request timed out after ${timeout}ms`) : caught;
+    log.warn('Forwarding pixel hit failed', { url: upstream ? upstream.toString() : pixelUrl, error });
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  } finally {
+    deadline.clear();
+  }
+}
+
+function maxBodySize(options) {
+  return options.maxBodySize > 0 ? options.maxBodySize : DEFAULT_MAX_BODY_SIZE;
+}
+
+// Forwarding waits for the upstream request unless it can be handed to `waitUntil` (option or
+// handler context) or `background: true` allows leaving it running.
+async function settleForwarding(forwarding, options, contextArgs) {
+  const scheduleWith = resolveWaitUntil(options.waitUntil) || resolveWaitUntil(findWaitUntilContext(contextArgs));
+  if (scheduleWith) {
+    scheduleWith(forwarding);
+    return;
+  }
+  if (!options.background) await forwarding;
+}
+
+function isOversized(declaredLength, limit) {
+  const length = Number(declaredLength);
+  return Number.isFinite(length) && length > limit;
+}
+
+// Resolves with the body text, or null once it passes `limit` bytes (the rest is not read).
+async function readFetchBody(request, limit) {
+  if (isOversized(toHeaderValue(request.headers, 'content-length'), limit)) return null;
+  if (!request.body || typeof request.body.getReader !== 'function') {
+    const text = await request.text();
+    return new TextEncoder().encode(text).length > limit ? null : text;
+  }
+
+  const reader = request.body.getReader();
+  const decoder = new TextDecoder();
+  let size = 0;
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > limit) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+/**
+ * Fetch-style proxy handler (`(request, ...context) => Response`) for route handlers, Workers and
+ * Hono. GET returns the GIF; POST accepts the runtime's batched beacons and answers 204.
+ */
+function createPixelProxyHandler(options = {}) {
+  return async function bilditPixelProxy(request, ...rest) {
+    const method = (request.method || 'GET').toUpperCase();
+    if (method === 'HEAD') return new Response(null, { status: 200, headers: GIF_HEADERS });
+    if (method !== 'GET' && method !== 'POST') {
+      return new Response(null, { status: 405, headers: Object.assign({ Allow: 'GET, HEAD, POST' }, NO_STORE_HEADERS) });
+    }
+
+    let body;
+    if (method === 'POST') {
+      try {
+        body = await readFetchBody(request, maxBodySize(options));
+      } catch (error) {
+        resolveLogger(options, '[BILDIT Proxy]').debug('Reading pixel hit body failed', { error });
+        return new Response(null, { status: 400, headers: NO_STORE_HEADERS });
+      }
+      if (body === null) return new Response(null, { status: 413, headers: NO_STORE_HEADERS });
+    }
+    const forwarding = forwardPixelHit(
+      { query: new URL(request.url).searchParams, body, headers: request.headers, request },
+      options
+    );
+    await settleForwarding(forwarding, options, rest);
+
+    if (method === 'POST') return new Response(null, { status: 204, headers: NO_STORE_HEADERS });
+    return new Response(PIXEL_GIF, { status: 200, headers: GIF_HEADERS });
+  };
+}
+
+// Node counterpart of `readFetchBody`. An oversized stream is drained without being buffered, so
+// the connection stays usable for the 413.
+async function readNodeBody(req, limit) {
+  // Frameworks with body parsing (Next.js API routes, Express with `text()`) have consumed the stream.
+  let parsed;
+  if (typeof req.body === 'string') parsed = req.body;
+  else if (req.body instanceof Uint8Array) parsed = new TextDecoder().decode(req.body);
+  else if (req.body && typeof req.body === 'object') parsed = JSON.stringify(req.body);
+  if (parsed !== undefined) return Buffer.byteLength(parsed) > limit ? null : parsed;
+
+  if (isOversized(toHeaderValue(req.headers, 'content-length'), limit)) return null;
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+      size += bytes.length;
+      if (size <= limit) chunks.push(bytes);
+    });
+    req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function writeNodeResponse(res, status, headers, body) {
+  res.statusCode = status;
+  for (const key of Object.keys(headers)) res.setHeader(key, headers[key]);
+  res.end(body);
+}
+
+/**
+ * Node-style proxy handler (`(req, res)`) for Pages Router API routes, Express and `http`.
+ */
+function createPixelProxyNodeHandler(options = {}) {
+  return async function bilditPixelProxyNode(req, res) {
+    const method = (req.method || 'GET').toUpperCase();
+    if (method === 'HEAD') return writeNodeResponse(res, 200, GIF_HEADERS);
+    if (method !== 'GET' && method !== 'POST') {
+      return writeNodeResponse(res, 405, Object.assign({ Allow: 'GET, HEAD, POST' }, NO_STORE_HEADERS));
+    }
+
+    let body;
+    if (method === 'POST') {
+      try {
+        body = await readNodeBody(req, maxBodySize(options));
+      } catch (error) {
+        // The client aborted or broke the upload; nothing is forwarded and the handler never rejects.
+        resolveLogger(options, '[BILDIT Proxy]').debug('Reading pixel hit body failed', { error });
+        return writeNodeResponse(res, 400, NO_STORE_HEADERS);
+      }
+      if (body === null) return writeNodeResponse(res, 413, NO_STORE_HEADERS);
+    }
+    const forwarding = forwardPixelHit(
+      { query: new URL(req.url || '/', 'http://localhost').searchParams, body, headers: req.headers, request: req },
+      options
+    );
+    await settleForwarding(forwarding, options, []);
+
+    if (method === 'POST') return writeNodeResponse(res, 204, NO_STORE_HEADERS);
+    return writeNodeResponse(res, 200, GIF_HEADERS, PIXEL_GIF);
+  };
+}
+
+module.exports = {
+  PIXEL_GIF,
+  forwardPixelHit,
+  createPixelProxyHandler,
+  createPixelProxyNodeHandler,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+// Request, header and scheduling helpers shared by the server tracker and the pixel proxy.
+
+const { createLogger } = require('../shared');
+const { createBotIdentifier } = require('./bot-signatures');
+
+// `process` is missing on Workers and other non-Node runtimes.
+function isDebugEnabled(debug) {
+  if (debug) return true;
+  return typeof process !== 'undefined' && !!process.env && process.env.BILDIT_DEBUG === 'true';
+}
+
+// Silent unless asked for: `debug` / BILDIT_DEBUG log everything, a custom sink defaults to `info`.
+function resolveLogger(options, prefix = '[BILDIT Middleware]') {
+  const { logger, logLevel, logRedact, debug } = options;
+  let level = logLevel;
+  if (!level) level = isDebugEnabled(debug) ? 'debug' : logger ? 'info' : 'silent';
+  return createLogger({ level, redact: logRedact, prefix, logger });
+}
+
+function toHeaderValue(headersLike, name) {
+  if (!headersLike) return undefined;
+  const target = name.toLowerCase();
+
+  if (typeof headersLike.get === 'function') {
+    const direct = headersLike.get(name);
+    if (direct != null) return direct;
+    const lower = headersLike.get(target);
+    if (lower != null) return lower;
+    return undefined;
+  }
+
+  if (Array.isArray(headersLike)) {
+    for (const [key, value] of headersLike) {
+      if (typeof key === 'string' && key.toLowerCase() === target) {
+        return Array.isArray(value) ? value[0] : value;
+      }
+    }
+    return undefined;
+  }
+
+  if (typeof headersLike === 'object') {
+    for (const key of Object.keys(headersLike)) {
+      if (key.toLowerCase() === target) {
+        const value = headersLike[key];
+        if (Array.isArray(value)) return value[0];
+        return value;
+      }
+    }
+  }
+
+  return undefined;
+}
+
+// Value of one cookie from the `Cookie` header, undefined when it is absent or malformed.
+function getCookie(headersLike, name) {
+  const header = toHeaderValue(headersLike, 'cookie');
+  if (!header) return undefined;
+  for (const pair of String(header).split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1 || pair.slice(0, separator).trim() !== name) continue;
+    try {
+      return decodeURIComponent(pair.slice(separator + 1).trim());
+    } catch (_) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+function isHeaderFlagSet(headersLike, name) {
+  const value = toHeaderValue(headersLike, name);
+  return value != null && String(value).trim() === '1';
+}
+
+// Sec-GPC / DNT under the `privacy` option: `null` when no signal is honored, else the decision and
+// the signal that caused it.
+function resolvePrivacyDecision(privacy, headersLike) {
+  if (!privacy || (!privacy.respectGPC && !privacy.respectDNT)) return null;
+
+  let signal;
+  if (privacy.respectGPC && isHeaderFlagSet(headersLike, 'sec-gpc')) {
+    signal = 'gpc';
+  } else if (privacy.respectDNT && isHeaderFlagSet(headersLike, 'dnt')) {
+    signal = 'dnt';
+  }
+
+  if (!signal) return { decision: 'allowed' };
+  return { decision: privacy.action === 'suppress' ? 'suppressed' : 'downgraded', signal };
+}
+
+const identifierCache = new WeakMap();
+
+// `signatures` is either an identifier from createBotIdentifier or an array of entries layered
+// over the registry; arrays are compiled once and reused across requests, and the identifier
+// follows later registry changes.
+function resolveBotIdentifier(signatures) {
+  if (!signatures) return null;
+  if (typeof signatures.identify === 'function') return signatures;
+  let identifier = identifierCache.get(signatures);
+  if (!identifier) {
+    identifier = createBotIdentifier({ signatures });
+    identifierCache.set(signatures, identifier);
+  }
+  return identifier;
+}
+
+function getClientIp(request, headersLike) {
+  const forwarded = toHeaderValue(headersLike, 'x-forwarded-for');
+  if (forwarded) {
+    const first = String(forwarded).split(',')[0].trim();
+    if (first) return first;
+  }
+
+  const direct =
+    toHeaderValue(headersLike, 'cf-connecting-ip') ||
+    toHeaderValue(headersLike, 'true-client-ip') ||
+    toHeaderValue(headersLike, 'x-real-ip');
+  if (direct) return String(direct).trim();
+
+  return getPeerIp(request);
+}
+
+// What the framework or the socket reports; Express and Fastify apply their own trust-proxy rules
+// to `request.ip`.
+function getPeerIp(request) {
+  if (request && typeof request === 'object') {
+    if (typeof request.ip === 'string' && request.ip) return request.ip;
+    const socket = request.socket || request.connection;
+    if (socket && typeof socket.remoteAddress === 'string') return socket.remoteAddress;
+  }
+  return undefined;
+}
+
+// Forwarding headers are set by whoever sends the request unless a proxy in front overwrites them,
+// so checks that grant trust (bot verification) read them only when told to: `trustProxy: true`
+// reads them like `getClientIp`, a header name reads just that header.
+function getTrustedClientIp(request, headersLike, trustProxy) {
+  if (trustProxy === true) return getClientIp(request, headersLike);
+  if (typeof trustProxy === 'string') {
+    const value = toHeaderValue(headersLike, trustProxy);
+    const first = value ? String(value).split(',')[0].trim() : '';
+    return first || undefined;
+  }
+  return getPeerIp(request);
+}
+
+function parseRequestUrl(request) {
+  if (!request || typeof request.url !== 'string') return undefined;
+  try {
+    // Node requests carry a bare path, fetch requests an absolute URL.
+    return new URL(request.url, 'http://localhost');
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// Accepts `waitUntil` itself or anything exposing it (NextFetchEvent, Workers ExecutionContext).
+function resolveWaitUntil(waitUntil) {
+  if (typeof waitUntil === 'function') return waitUntil;
+  if (waitUntil && typeof waitUntil.waitUntil === 'function') {
+    return promise => waitUntil.waitUntil(promise);
+  }
+  return null;
+}
+
+// Aborts the pixel request after `timeout` ms while still honouring a caller-supplied signal.
+function createTimeoutSignal(timeout, callerSignal) {
+  if (typeof AbortController !== 'function' || !(timeout > 0)) {
+    return { signal: callerSignal, timedOut: () => false, clear() {} };
+  }
+
+  const controller = new AbortController();
+  let expired = false;
+  const timer = setTimeout(() => {
+    expired = true;
+    controller.abort();
+  }, timeout);
+
+  const forwardAbort = () => controller.abort();
+  if (callerSignal) {
+    if (callerSignal.aborted) controller.abort();
+    else callerSignal.addEventListener('abort', forwardAbort);
+  }
+
+  return {
+    signal: controller.signal,
+    timedOut: () => expired,
+    clear() {
+      clearTimeout(timer);
+      if (callerSignal) callerSignal.removeEventListener('abort', forwardAbort);
+    },
+  };
+}
+
+// Fetch-style handlers receive the scheduling context after the request: `(request, event)` in
+// Next middleware, `(request, env, ctx)` in Workers and Hono.
+function findWaitUntilContext(args) {
+  for (const arg of args) {
+    if (arg && typeof arg.waitUntil === 'function') return arg;
+  }
+  return undefined;
+}
+
+module.exports = {
+  isDebugEnabled,
+  resolveLogger,
+  toHeaderValue,
+  getCookie,
+  resolvePrivacyDecision,
+  resolveBotIdentifier,
+  getClientIp,
+  getTrustedClientIp,
+  parseRequestUrl,
+  resolveWaitUntil,
+  createTimeoutSignal,
+  findWaitUntilContext,
+};
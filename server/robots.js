@@ -0,0 +1,256 @@
+'use strict';
+
+const { createBotIdentifier, getActiveSignatures } = require('./bot-signatures');
+const { createTimeoutSignal, resolveLogger } = require('./request');
+
+const DEFAULT_ROBOTS_FILES = Object.freeze(['/robots.txt']);
+const DEFAULT_ROBOTS_TTL = 60 * 60 * 1000;
+const DEFAULT_ROBOTS_TIMEOUT_MS = 3000;
+const SOURCE_KEYS = Object.freeze({ '/robots.txt': 'robotsTxt', '/ai.txt': 'aiTxt', '/llms.txt': 'llmsTxt' });
+const BLOCK_START = '# BEGIN BILDIT AI crawlers';
+const BLOCK_END = '# END BILDIT AI crawlers';
+
+/**
+ * Parses robots.txt syntax (RFC 9309) into `{ groups: [{ agents, rules }], sitemaps }`. Agents are
+ * lowercased product tokens; consecutive `User-agent` lines share one group. Lines that are not
+ * directives are ignored, so an `ai.txt` or `llms.txt` without `User-agent` groups parses empty.
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let readingAgents = false;
+
+  for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!readingAgents) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.split('/')[0].trim().toLowerCase());
+      readingAgents = true;
+    } else if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else {
+      readingAgents = false;
+      // An empty `Disallow:` allows everything, i.e. adds no rule.
+      if (group && value && (field === 'allow' || field === 'disallow')) {
+        group.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// `*` matches any run of characters and a trailing `$` anchors the end; the longest pattern wins.
+function compileRule(rule) {
+  const anchored = rule.path.endsWith('$');
+  const body = anchored ? rule.path.slice(0, -1) : rule.path;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return { allow: rule.allow, path: rule.path, length: rule.path.length, pattern: new RegExp(`^${source}${anchored ? '$' : ''}`) };
+}
+
+function compileFile(name, text) {
+  const parsed = parseRobotsTxt(text);
+  return {
+    name,
+    groups: parsed.groups.map(group => ({ agents: group.agents, rules: group.rules.map(compileRule) })),
+  };
+}
+
+function tokensOf(bot) {
+  if (!bot) return [];
+  if (typeof bot === 'string') return [bot];
+  if (Array.isArray(bot)) return bot;
+  return bot.tokens && bot.tokens.length ? bot.tokens : [bot.token || bot.product].filter(Boolean);
+}
+
+// Verdict of one file: rules of every group naming one of the bot's tokens, else the `*` groups.
+// `undefined` when the file has no group for the bot at all.
+function checkFile(file, tokens, target) {
+  const names = tokens.map(token => String(token).toLowerCase());
+  let groups = file.groups.filter(group => group.agents.some(agent => names.includes(agent)));
+  if (!groups.length) groups = file.groups.filter(group => group.agents.includes('*'));
+  if (!groups.length) return undefined;
+
+  let best = null;
+  for (const group of groups) {
+    for (const rule of group.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (!best || rule.length > best.length || (rule.length === best.length && rule.allow && !best.allow)) {
+        best = rule;
+      }
+    }
+  }
+  return !best || best.allow ? 'allowed' : 'disallowed';
+}
+
+/**
+ * Compiles robots.txt (and optional `ai.txt` / `llms.txt`) contents into a policy whose
+ * `check(bot, path)` returns `'allowed'`, `'disallowed'`, or `undefined` when no file has a group
+ * for the bot. `bot` is a registry record, a product token or a list of tokens. A bot disallowed by
+ * any file is disallowed.
+ */
+function createRobotsPolicy(sources = {}) {
+  const files = ['robotsTxt', 'aiTxt', 'llmsTxt']
+    .filter(key => typeof sources[key] === 'string')
+    .map(key => compileFile(key, sources[key]));
+
+  function check(bot, path = '/') {
+    const tokens = tokensOf(bot);
+    if (!tokens.length) return undefined;
+    const target = path || '/';
+    if (target === '/robots.txt') return 'allowed';
+
+    let verdict;
+    for (const file of files) {
+      const fileVerdict = checkFile(file, tokens, target);
+      if (fileVerdict === 'disallowed') return 'disallowed';
+      if (fileVerdict) verdict = fileVerdict;
+    }
+    return verdict;
+  }
+
+  return { files: files.map(file => file.name), check };
+}
+
+/**
+ * Fetches the policy files from `origin` (`/robots.txt` unless `files` lists others, e.g.
+ * `['/robots.txt', '/ai.txt', '/llms.txt']`). Missing files (4xx) are skipped; files that could
+ * not be fetched (network error, timeout, 5xx) are listed in the policy's `failed`. Other entries in
+ * `files` are dropped with a warning; the promise never rejects.
+ */
+async function fetchRobotsPolicy(origin, options = {}, log = resolveLogger(options, '[BILDIT Robots]')) {
+  const { files = DEFAULT_ROBOTS_FILES, timeout = DEFAULT_ROBOTS_TIMEOUT_MS, fetchOptions } = options;
+  const sources = {};
+  const failed = [];
+
+  const supported = [].concat(files).filter(file => {
+    if (SOURCE_KEYS[file]) return true;
+    log.warn('Ignoring unsupported robots policy file', { file, supported: Object.keys(SOURCE_KEYS) });
+    return false;
+  });
+
+  await Promise.all(
+    supported.map(async file => {
+      const key = SOURCE_KEYS[file];
+      const deadline = createTimeoutSignal(timeout);
+      try {
+        const response = await fetch(new URL(file, origin).toString(), Object.assign({}, fetchOptions, { signal: deadline.signal }));
+        if (response.ok) sources[key] = await response.text();
+        else if (response.status >= 500) failed.push(file);
+      } catch (error) {
+        log.debug('Fetching robots policy file failed', { file, error });
+        failed.push(file);
+      } finally {
+        deadline.clear();
+      }
+    })
+  );
+
+  return Object.assign(createRobotsPolicy(sources), { failed });
+}
+
+const staticPolicyCache = new WeakMap();
+const fetchedPolicyCache = new WeakMap();
+
+// The tracker's `robots` option: a policy, the file contents (`{ robotsTxt, aiTxt, llmsTxt }`) or
+// `{ origin, files, ttl }` to fetch them, refreshed every `ttl` ms. Compiled per options object. A
+// fetch with failed files is not cached: the next hit tries again, and until one succeeds the last
+// complete policy (if there was one) keeps answering.
+async function resolveRobotsPolicy(robots, log) {
+  if (!robots || typeof robots !== 'object') return null;
+  if (typeof robots.check === 'function') return robots;
+
+  if (!robots.origin) {
+    let policy = staticPolicyCache.get(robots);
+    if (!policy) {
+      policy = createRobotsPolicy(robots);
+      staticPolicyCache.set(robots, policy);
+    }
+    return policy;
+  }
+
+  const now = Date.now();
+  const cached = fetchedPolicyCache.get(robots);
+  if (cached && cached.expires > now) return cached.policy;
+
+  const entry = { expires: now + (robots.ttl > 0 ? robots.ttl : DEFAULT_ROBOTS_TTL), complete: cached && cached.complete };
+  entry.policy = fetchRobotsPolicy(robots.origin, robots, log).then(policy => {
+    if (!policy.failed.length) {
+      entry.complete = policy;
+      return policy;
+    }
+    entry.expires = 0;
+    return entry.complete || policy;
+  });
+  fetchedPolicyCache.set(robots, entry);
+  return entry.policy;
+}
+
+function resolveSignatureList(signatures) {
+  if (!signatures) return getActiveSignatures();
+  if (Array.isArray(signatures.signatures)) return signatures.signatures;
+  return createBotIdentifier({ signatures }).signatures;
+}
+
+function toDirectives(rule, key) {
+  if (rule === 'allow') return ['Allow: /'];
+  if (rule === 'disallow') return ['Disallow: /'];
+  if (Array.isArray(rule)) return rule.length ? rule.map(path => `Disallow: ${path}`) : ['Allow: /'];
+  throw new TypeError(`Unsupported robots rule for "${key}"; use 'allow', 'disallow', false or a list of paths`);
+}
+
+/**
+ * Builds a robots.txt block for every registry bot with product tokens. `rules` maps a bot slug or a
+ * purpose (slugs win) to `'allow'`, `'disallow'`, a list of disallowed paths, or `false` to leave
+ * the bot out; everything else gets `default` (`'allow'`). Bots with the same rule share a group.
+ */
+function generateRobotsTxt(options = {}) {
+  const { rules = {}, default: fallback = 'allow', signatures, sitemap } = options;
+  const groups = new Map();
+
+  for (const signature of resolveSignatureList(signatures)) {
+    if (!signature.tokens.length) continue;
+    let rule = fallback;
+    if (rules[signature.slug] !== undefined) rule = rules[signature.slug];
+    else if (rules[signature.purpose] !== undefined) rule = rules[signature.purpose];
+    if (rule === false || rule == null) continue;
+
+    const directives = toDirectives(rule, signature.slug);
+    const key = directives.join('\n');
+    if (!groups.has(key)) groups.set(key, { tokens: [], directives });
+    const group = groups.get(key);
+    for (const token of signature.tokens) {
+      if (!group.tokens.includes(token)) group.tokens.push(token);
+    }
+  }
+
+  const lines = [BLOCK_START];
+  for (const group of groups.values()) {
+    for (const token of group.tokens) lines.push(`User-agent: ${token}`);
+    lines.push(...group.directives, '');
+  }
+  for (const url of [].concat(sitemap || [])) lines.push(`Sitemap: ${url}`);
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push(BLOCK_END);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseRobotsTxt,
+  createRobotsPolicy,
+  fetchRobotsPolicy,
+  resolveRobotsPolicy,
+  generateRobotsTxt,
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const DEFAULT_DEDUPE_WINDOW = 60 * 1000;
+const DEFAULT_DEDUPE_LIMIT = 10000;
+
+/**
+ * In-memory dedupe store: an LRU of keys with an expiry. Any object exposing
+ * `claim(key, ttl) => boolean | Promise<boolean>` can replace it (Redis `SET NX PX`, a KV
+ * namespace, ...); `claim` returns true when the key was not seen within the last `ttl` ms.
+ */
+function createMemoryDedupeStore(options = {}) {
+  const limit = options.max > 0 ? options.max : DEFAULT_DEDUPE_LIMIT;
+  const entries = new Map();
+
+  return {
+    claim(key, ttl) {
+      const now = Date.now();
+      const expires = entries.get(key);
+      if (expires !== undefined && expires > now) return false;
+
+      entries.delete(key);
+      if (entries.size >= limit) entries.delete(entries.keys().next().value);
+      entries.set(key, now + ttl);
+      return true;
+    },
+  };
+}
+
+/**
+ * Token bucket holding up to `capacity` hits, refilled at `refillPerSecond` (defaults to
+ * `capacity`, i.e. a burst of `capacity` hits per second).
+ */
+function createRateLimiter(options = {}) {
+  const capacity = options.capacity > 0 ? options.capacity : 10;
+  const refillPerSecond = options.refillPerSecond > 0 ? options.refillPerSecond : capacity;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSecond);
+      updatedAt = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+const limiterCache = new Map();
+const dedupeStoreCache = new Map();
+
+// Limiters and default stores are shared by every options object with the same settings, so
+// options built inline per request still count against one budget. `name` keeps otherwise
+// identical configurations apart.
+function resolveRateLimiter(rateLimit) {
+  if (!rateLimit) return null;
+  if (typeof rateLimit.take === 'function') return rateLimit;
+  const capacity = rateLimit.capacity > 0 ? rateLimit.capacity : 10;
+  const refillPerSecond = rateLimit.refillPerSecond > 0 ? rateLimit.refillPerSecond : capacity;
+  const cacheKey = `${rateLimit.name || ''}|${capacity}|${refillPerSecond}`;
+  let limiter = limiterCache.get(cacheKey);
+  if (!limiter) {
+    limiter = createRateLimiter({ capacity, refillPerSecond });
+    limiterCache.set(cacheKey, limiter);
+  }
+  return limiter;
+}
+
+function resolveDedupe(dedupe) {
+  if (!dedupe) return null;
+  const config = dedupe === true ? {} : dedupe;
+  const window = config.window > 0 ? config.window : DEFAULT_DEDUPE_WINDOW;
+  let store = config.store;
+  if (!store) {
+    const max = config.max > 0 ? config.max : DEFAULT_DEDUPE_LIMIT;
+    const cacheKey = `${config.name || ''}|${window}|${max}`;
+    store = dedupeStoreCache.get(cacheKey);
+    if (!store) {
+      store = createMemoryDedupeStore({ max });
+      dedupeStoreCache.set(cacheKey, store);
+    }
+  }
+  return {
+    store,
+    window,
+    key: typeof config.key === 'function' ? config.key : null,
+  };
+}
+
+function clampRate(rate) {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) return 1;
+  return Math.min(1, Math.max(0, value));
+}
+
+// `sampling` is either one rate for every hit or a map of bot slug to rate with an optional
+// `default`. Returns undefined when sampling is not configured.
+function resolveSampleRate(sampling, slug) {
+  if (sampling == null) return undefined;
+  if (typeof sampling === 'number') return clampRate(sampling);
+  if (slug && sampling[slug] != null) return clampRate(sampling[slug]);
+  if (sampling.default != null) return clampRate(sampling.default);
+  return 1;
+}
+
+module.exports = {
+  DEFAULT_DEDUPE_WINDOW,
+  createMemoryDedupeStore,
+  createRateLimiter,
+  resolveRateLimiter,
+  resolveDedupe,
+  resolveSampleRate,
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+const { findAIBotSignature } = require('./bot-signatures');
+
+// Claimed AI bots are checked against the IP ranges the operators publish and, where the
+// operator documents it, forward-confirmed reverse DNS. No ranges ship with the package: registry
+// entries name their published lists in `ipRanges`, and `node scripts/update-bot-ip-ranges.js`
+// fetches them into a file for the `ipRangesFile` option.
+const IP_RANGE_SOURCES = Object.freeze({
+  'openai-gptbot': ['https://openai.com/gptbot.json'],
+  'openai-searchbot': ['https://openai.com/searchbot.json'],
+  'openai-chatgpt-user': ['https://openai.com/chatgpt-user.json'],
+  'perplexity-bot': ['https://www.perplexity.ai/perplexitybot.json'],
+  'perplexity-user': ['https://www.perplexity.ai/perplexity-user.json'],
+  'google-common-crawlers': [
+    'https://developers.google.com/static/search/apis/ipranges/googlebot.json',
+    'https://developers.google.com/static/search/apis/ipranges/special-crawlers.json',
+    'https://developers.google.com/static/search/apis/ipranges/user-triggered-fetchers.json',
+  ],
+  'microsoft-bingbot': ['https://www.bing.com/toolbox/bingbot.json'],
+});
+
+// Published ranges change; past this age a generated file can still confirm an IP but a miss no
+// longer proves anything.
+const DEFAULT_MAX_SNAPSHOT_AGE = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_DNS_TIMEOUT = 1500;
+const DNS_CACHE_TTL = 60 * 60 * 1000;
+const DNS_CACHE_LIMIT = 500;
+const dnsCache = new Map();
+
+function parseIPv4(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return null;
+    const octet = Number(part);
+    if (octet > 255) return null;
+    value = (value << 8n) | BigInt(octet);
+  }
+  return { version: 4, value };
+}
+
+function parseIPv6(ip) {
+  let address = ip.split('%')[0];
+  // IPv4-mapped addresses (::ffff:1.2.3.4) are compared as IPv4.
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return parseIPv4(mapped[1]);
+
+  const tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+  if (tail) {
+    const v4 = parseIPv4(tail[1]);
+    if (!v4) return null;
+    const high = Number(v4.value >> 16n).toString(16);
+    const low = Number(v4.value & 0xffffn).toString(16);
+    address = `${address.slice(0, -tail[1].length)}${high}:${low}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = head.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), rest);
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return { version: 6, value };
+}
+
+function parseIp(ip) {
+  if (typeof ip !== 'string') return null;
+  const trimmed = ip.trim().replace(/^\[|\]$/g, '');
+  if (!trimmed) return null;
+  return trimmed.includes(':') ? parseIPv6(trimmed) : parseIPv4(trimmed);
+}
+
+function isIpInCidr(ip, cidr) {
+  const [range, bitsText] = String(cidr).split('/');
+  const address = typeof ip === 'string' ? parseIp(ip) : ip;
+  const network = parseIp(range);
+  if (!address || !network || address.version !== network.version) return false;
+
+  const width = address.version === 4 ? 32 : 128;
+  const bits = bitsText === undefined ? width : Number(bitsText);
+  if (!Number.isInteger(bits) || bits < 0 || bits > width) return false;
+
+  const shift = BigInt(width - bits);
+  return address.value >> shift === network.value >> shift;
+}
+
+function toPrefixList(entry) {
+  if (!entry) return [];
+  const prefixes = Array.isArray(entry) ? entry : entry.prefixes || [];
+  return prefixes
+    .map(prefix => (typeof prefix === 'string' ? prefix : prefix && (prefix.ipv4Prefix || prefix.ipv6Prefix)))
+    .filter(Boolean);
+}
+
+const ipRangesFiles = new Map();
+
+function readIpRangesFile(file) {
+  if (!ipRangesFiles.has(file)) {
+    // Only touched when a file is configured, so edge bundles never load `fs`.
+    const fs = require('fs');
+    ipRangesFiles.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return ipRangesFiles.get(file);
+}
+
+// `conclusive` says whether an IP outside `prefixes` may be reported as `false`: a non-empty list
+// is, unless it is a generated entry (with `creationTime`) older than `maxSnapshotAge`.
+function resolveIpRanges(slug, options) {
+  let custom = options.ipRanges;
+  if (!custom && options.ipRangesFile) {
+    custom = readIpRangesFile(options.ipRangesFile);
+  }
+  if (!custom || !Object.prototype.hasOwnProperty.call(custom, slug)) return { prefixes: [], conclusive: false };
+
+  const entry = custom[slug];
+  const prefixes = toPrefixList(entry);
+  const created = entry && !Array.isArray(entry) && entry.creationTime ? Date.parse(entry.creationTime) : null;
+  const maxAge = options.maxSnapshotAge > 0 ? options.maxSnapshotAge : DEFAULT_MAX_SNAPSHOT_AGE;
+  const fresh = created === null || (!Number.isNaN(created) && Date.now() - created <= maxAge);
+  return { prefixes, conclusive: prefixes.length > 0 && fresh };
+}
+
+function resolveReverseDnsSuffixes(slug, signature, options) {
+  if (options.reverseDns === false) return [];
+  const custom = options.reverseDnsSuffixes;
+  if (custom && Object.prototype.hasOwnProperty.call(custom, slug)) return custom[slug] || [];
+  return (signature && signature.reverseDns) || [];
+}
+
+function loadDnsResolver() {
+  try {
+    const dns = require('dns');
+    return dns && dns.promises ? dns.promises : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function matchesSuffix(hostname, suffixes) {
+  const host = String(hostname).toLowerCase().replace(/\.$/, '');
+  return suffixes.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+}
+
+async function forwardConfirmedReverseDns(ip, suffixes, resolver, timeout) {
+  let hostnames;
+  try {
+    hostnames = await withTimeout(resolver.reverse(ip), timeout);
+  } catch (error) {
+    // A missing PTR record is a failed check; anything else (timeouts, no network) is inconclusive.
+    return error && (error.code === 'ENOTFOUND' || error.code === 'ENODATA') ? false : 'unknown';
+  }
+
+  const candidates = (hostnames || []).filter(hostname => matchesSuffix(hostname, suffixes));
+  if (!candidates.length) return false;
+
+  const address = parseIp(ip);
+  let inconclusive = false;
+  for (const hostname of candidates) {
+    try {
+      const records = await withTimeout(resolver.lookup(hostname, { all: true }), timeout);
+      const confirmed = records.some(record => {
+        const resolved = parseIp(record.address);
+        return resolved && address && resolved.version === address.version && resolved.value === address.value;
+      });
+      if (confirmed) return true;
+    } catch (_) {
+      inconclusive = true;
+    }
+  }
+  return inconclusive ? 'unknown' : false;
+}
+
+function readDnsCache(key) {
+  const entry = dnsCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expires < Date.now()) {
+    dnsCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function writeDnsCache(key, value) {
+  if (dnsCache.size >= DNS_CACHE_LIMIT) {
+    dnsCache.delete(dnsCache.keys().next().value);
+  }
+  dnsCache.set(key, { value, expires: Date.now() + DNS_CACHE_TTL });
+}
+
+/**
+ * Verifies that `ip` belongs to the operator behind a claimed bot. Resolves to `true` (published
+ * range or forward-confirmed reverse DNS), `false` (checked and failed) or `'unknown'` (no data
+ * for this bot, an empty or stale range list, no IP, or DNS unavailable).
+ */
+async function verifyAIBot(bot, ip, options = {}) {
+  const signature = typeof bot === 'string' ? findAIBotSignature(bot) : bot;
+  const slug = typeof bot === 'string' ? bot : bot && bot.slug;
+  const address = parseIp(ip);
+  if (!slug || !address) return 'unknown';
+
+  const { prefixes, conclusive } = resolveIpRanges(slug, options);
+  if (prefixes.some(prefix => isIpInCidr(address, prefix))) return true;
+
+  const suffixes = resolveReverseDnsSuffixes(slug, signature, options);
+  if (suffixes.length) {
+    // Without DNS (edge runtimes) a miss on the range snapshot alone is not conclusive.
+    const resolver = options.resolver || loadDnsResolver();
+    if (!resolver) return 'unknown';
+
+    const cacheKey = `${slug}|${ip}`;
+    const cached = readDnsCache(cacheKey);
+    if (cached !== undefined) return cached;
+    const result = await forwardConfirmedReverseDns(ip, suffixes, resolver, options.timeout || DEFAULT_DNS_TIMEOUT);
+    if (result !== 'unknown') writeDnsCache(cacheKey, result);
+    return result;
+  }
+
+  return conclusive ? false : 'unknown';
+}
+
+module.exports = {
+  IP_RANGE_SOURCES,
+  verifyAIBot,
+  isIpInCidr,
+};
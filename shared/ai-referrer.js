@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * AI-referral classification shared by the server tracker and the browser runtime.
+ *
+ * `classifyAIReferrer(referrer, search, sources)` returns the assistant slug (`chatgpt`,
+ * `perplexity`, `gemini`, `copilot`, `claude`, ...) when `referrer` is a page on an assistant's
+ * domain (subdomains included) or one of its Android apps (`android-app://com.openai.chatgpt/`),
+ * or when the `utm_source` in `search` names one (`chatgpt.com`, `perplexity`). `sources` maps
+ * extra hostnames or utm_source values to slugs and wins over the built-in list. Returns null
+ * otherwise.
+ *
+ * Serialized into the client runtime by scripts/build-client.js: keep it self-contained ES5.
+ */
+function classifyAIReferrer(referrer, search, sources) {
+  var KNOWN = {
+    'chatgpt.com': 'chatgpt',
+    'chat.openai.com': 'chatgpt',
+    'com.openai.chatgpt': 'chatgpt',
+    chatgpt: 'chatgpt',
+    openai: 'chatgpt',
+    'perplexity.ai': 'perplexity',
+    'ai.perplexity.app.android': 'perplexity',
+    perplexity: 'perplexity',
+    'gemini.google.com': 'gemini',
+    'bard.google.com': 'gemini',
+    'com.google.android.apps.bard': 'gemini',
+    gemini: 'gemini',
+    'copilot.microsoft.com': 'copilot',
+    'copilot.cloud.microsoft': 'copilot',
+    'copilot.com': 'copilot',
+    'com.microsoft.copilot': 'copilot',
+    copilot: 'copilot',
+    'claude.ai': 'claude',
+    'com.anthropic.claude': 'claude',
+    claude: 'claude',
+    'chat.deepseek.com': 'deepseek',
+    deepseek: 'deepseek',
+    'grok.com': 'grok',
+    grok: 'grok',
+    'chat.mistral.ai': 'mistral',
+    'meta.ai': 'meta-ai',
+    'you.com': 'you',
+    'kimi.com': 'kimi',
+    'kimi.moonshot.cn': 'kimi',
+    'phind.com': 'phind'
+  };
+
+  function own(object, key) {
+    return !!object && Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  // Exact match first, then parent domains: `www.perplexity.ai` and `labs.perplexity.ai` both
+  // resolve through `perplexity.ai`.
+  function lookup(value) {
+    var key = String(value).toLowerCase();
+    while (key) {
+      if (own(sources, key)) return sources[key];
+      if (own(KNOWN, key)) return KNOWN[key];
+      var dot = key.indexOf('.');
+      if (dot === -1) return null;
+      key = key.slice(dot + 1);
+    }
+    return null;
+  }
+
+  var host = referrer ? /^[a-z][a-z0-9+.-]*:\/\/([^\/?#:]+)/i.exec(String(referrer)) : null;
+  var slug = host ? lookup(host[1]) : null;
+  if (slug) return slug;
+
+  var utm = search ? /[?&]utm_source=([^&#]*)/.exec(String(search)) : null;
+  if (!utm) return null;
+  try {
+    return lookup(decodeURIComponent(utm[1].replace(/\+/g, ' ')).trim()) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = classifyAIReferrer;
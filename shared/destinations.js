@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Fan-out of pixel events to extra destinations, shared by the server tracker and the browser
+ * runtime. Every destination gets its own copy of the params: `events` filters by event name,
+ * `params` adds static values and `map` renames keys (`false`/`null` drops them). Server-side
+ * entries may also `transform` the payload (return false to skip).
+ *
+ * Types: `http` (GET query or JSON POST to `url`), `ga4` (Measurement Protocol, server only: its
+ * API secret must not reach the page), `segment` (Segment/RudderStack `track` call) and `custom`
+ * (a `send` function on the server, a `callback` global name in the browser).
+ *
+ * `forward(params, context)` never throws: each destination runs in isolation and reports
+ * `{ name, result }` or `{ name, error }`. Without a `deliver` function requests are sent the
+ * browser way (image for header-less GETs, otherwise a keepalive fetch) and results are ignored.
+ *
+ * Serialized into the client runtime by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createDestinationRouter(destinations, deliver) {
+  var list = destinations || [];
+  var GA4_URL = 'https://www.google-analytics.com/mp/collect';
+  var SEGMENT_URL = 'https://api.segment.io/v1/track';
+
+  function own(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function withQuery(url, query) {
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+  }
+
+  function randomId() {
+    return Math.random().toString(36).slice(2) + Date.now().toString(36);
+  }
+
+  function hasKeys(object) {
+    for (var key in object) {
+      if (own(object, key)) return true;
+    }
+    return false;
+  }
+
+  function copyInto(target, source) {
+    for (var key in source) {
+      if (own(source, key) && source[key] != null) target[key] = String(source[key]);
+    }
+    return target;
+  }
+
+  function mapParams(destination, params) {
+    var payload = copyInto({}, params);
+    if (destination.params) copyInto(payload, destination.params);
+    var map = destination.map;
+    if (map) {
+      for (var key in map) {
+        if (!own(map, key) || !own(payload, key)) continue;
+        var value = payload[key];
+        delete payload[key];
+        if (map[key]) payload[map[key]] = value;
+      }
+    }
+    if (typeof destination.transform === 'function') payload = destination.transform(payload);
+    return payload;
+  }
+
+  // GA4 names: letters, digits and underscores, starting with a letter, at most 40 characters.
+  function ga4Name(name) {
+    var safe = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+    if (!/^[A-Za-z]/.test(safe)) safe = 'e_' + safe;
+    return safe.slice(0, 40);
+  }
+
+  function buildRequest(destination, payload) {
+    var type = destination.type || 'http';
+    var headers = copyInto({}, destination.headers || {});
+    var key;
+
+    if (type === 'ga4') {
+      var eventParams = {};
+      var count = 0;
+      for (key in payload) {
+        if (!own(payload, key) || key === 'client_id' || count >= 25) continue;
+        eventParams[ga4Name(key)] = payload[key].slice(0, 100);
+        count++;
+      }
+      var ga4Query = 'measurement_id=' + encodeURIComponent(destination.measurementId) +
+        '&api_secret=' + encodeURIComponent(destination.apiSecret);
+      return {
+        url: withQuery(destination.url || GA4_URL, ga4Query),
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+          client_id: destination.clientId || payload.client_id || payload.nonce || randomId(),
+          events: [{ name: ga4Name(destination.eventName || payload.event || 'bildit_event'), params: eventParams }]
+        })
+      };
+    }
+
+    if (type === 'segment') {
+      headers['Content-Type'] = 'application/json';
+      if (destination.writeKey) headers.Authorization = 'Basic ' + btoa(destination.writeKey + ':');
+      var ts = Number(payload.ts);
+      return {
+        url: destination.url || SEGMENT_URL,
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+          anonymousId: destination.anonymousId || payload.anonymous_id || payload.nonce || randomId(),
+          event: destination.event || payload.event || 'BILDIT Event',
+          properties: payload,
+          timestamp: new Date(ts > 0 ? ts : Date.now()).toISOString(),
+          context: { library: { name: '@bildit-platform/ai-pixel' } }
+        })
+      };
+    }
+
+    var method = String(destination.method || 'GET').toUpperCase();
+    if (method === 'GET') {
+      var query = [];
+      for (key in payload) {
+        if (own(payload, key)) query.push(encodeURIComponent(key) + '=' + encodeURIComponent(payload[key]));
+      }
+      return { url: withQuery(destination.url, query.join('&')), method: 'GET', headers: headers };
+    }
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    return { url: destination.url, method: method, headers: headers, body: JSON.stringify(payload) };
+  }
+
+  function deliverInBrowser(request, payload, destination) {
+    if (!request) {
+      var callback = destination.callback && window[destination.callback];
+      if (typeof callback === 'function') callback(payload);
+      return;
+    }
+    var withHeaders = hasKeys(request.headers);
+    if (request.method === 'GET' && !withHeaders) {
+      var img = new Image(1, 1);
+      img.src = request.url;
+      return;
+    }
+    if (typeof fetch !== 'function') return;
+    fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      keepalive: true,
+      credentials: 'omit',
+      mode: withHeaders ? 'cors' : 'no-cors'
+    }).then(null, function(){});
+  }
+
+  var send = deliver || deliverInBrowser;
+
+  function forward(params, context) {
+    var outcomes = [];
+    for (var i = 0; i < list.length; i++) {
+      var destination = list[i];
+      if (!destination) continue;
+      var name = destination.name || destination.type || 'http';
+      try {
+        if (destination.type === 'ga4' && !deliver) throw new Error('GA4 destinations are server-only');
+        if (destination.events && destination.events.indexOf(params.event) === -1) continue;
+        var payload = mapParams(destination, params);
+        if (!payload) continue;
+        var request = destination.type === 'custom' ? null : buildRequest(destination, payload);
+        outcomes.push({ name: name, destination: destination, result: send(request, payload, destination, context) });
+      } catch (error) {
+        outcomes.push({ name: name, destination: destination, error: error });
+      }
+    }
+    return outcomes;
+  }
+
+  return { forward: forward };
+}
+
+module.exports = createDestinationRouter;
@@ -0,0 +1,93 @@
+export type PixelParams = Record<string, string | number | boolean | null | undefined>;
+
+export interface PixelPrivacyOptions {
+  respectGPC?: boolean;
+  respectDNT?: boolean;
+  action?: 'downgrade' | 'suppress';
+}
+
+export type PixelPrivacyDecision = 'allowed' | 'downgraded' | 'suppressed';
+
+export declare const PIXEL_URL = 'https://ai-pixel.bildit.co/pixel.gif';
+export declare const DEFAULT_ALT = 'BILDIT AI Pixel Tracker';
+
+export declare function normalizePixelParams(params?: PixelParams): Record<string, string>;
+
+export declare function classifyAIReferrer(
+  referrer?: string | null,
+  search?: string | null,
+  sources?: Record<string, string>
+): string | null;
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface LogEntry {
+  level: Exclude<LogLevel, 'silent'>;
+  message: string;
+  time: number;
+  [field: string]: unknown;
+}
+
+export type LoggerSink =
+  | ((entry: LogEntry) => void)
+  | Partial<Record<Exclude<LogLevel, 'silent'> | 'log', (message: string, fields: Record<string, unknown>) => void>>;
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  redact?: boolean;
+  prefix?: string;
+  logger?: LoggerSink;
+}
+
+export interface Logger {
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+  enabled(level: LogLevel): boolean;
+}
+
+export declare function createLogger(options?: LoggerOptions): Logger;
+
+export interface PixelDestinationBase {
+  name?: string;
+  events?: string[];
+  params?: PixelParams;
+  map?: Record<string, string | false | null>;
+}
+
+export interface HttpPixelDestination extends PixelDestinationBase {
+  type?: 'http';
+  url: string;
+  method?: 'GET' | 'POST' | 'PUT';
+  headers?: Record<string, string>;
+}
+
+export interface GA4PixelDestination extends PixelDestinationBase {
+  type: 'ga4';
+  measurementId: string;
+  apiSecret: string;
+  url?: string;
+  clientId?: string;
+  eventName?: string;
+  headers?: Record<string, string>;
+}
+
+export interface SegmentPixelDestination extends PixelDestinationBase {
+  type: 'segment';
+  writeKey?: string;
+  url?: string;
+  event?: string;
+  anonymousId?: string;
+  headers?: Record<string, string>;
+}
+
+export interface CallbackPixelDestination extends PixelDestinationBase {
+  type: 'custom';
+  callback: string;
+}
+
+export type PixelDestination =
+  | HttpPixelDestination
+  | SegmentPixelDestination
+  | CallbackPixelDestination;
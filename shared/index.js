@@ -0,0 +1,29 @@
+'use strict';
+
+// Framework-free constants and helpers shared by the React, Next.js and server entries.
+
+const createLogger = require('./logger');
+const createDestinationRouter = require('./destinations');
+const classifyAIReferrer = require('./ai-referrer');
+
+const PIXEL_URL = 'https://ai-pixel.bildit.co/pixel.gif';
+const DEFAULT_ALT = 'BILDIT AI Pixel Tracker';
+
+function normalizePixelParams(params) {
+  if (!params) return {};
+  const sanitized = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    sanitized[key] = String(value);
+  }
+  return sanitized;
+}
+
+module.exports = {
+  PIXEL_URL,
+  DEFAULT_ALT,
+  normalizePixelParams,
+  createLogger,
+  createDestinationRouter,
+  classifyAIReferrer,
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Leveled, structured logger shared by the server tracker and the browser runtime.
+ *
+ * `createLogger({ level, redact, prefix, logger })` returns `{ debug, info, warn, error, enabled }`;
+ * each method takes a message and an object of fields. `logger` is the sink: an object with
+ * console-style level methods called as `sink[level](message, fields)`, or a function receiving
+ * one `{ level, message, time, ...fields }` entry. It defaults to `console`. With `redact` (the
+ * default) user agents are dropped and client IPs truncated before anything reaches the sink.
+ *
+ * Serialized into the client runtime by scripts/build-client.js: keep it self-contained ES5.
+ */
+function createLogger(options) {
+  var opts = options || {};
+  var LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+  var threshold = LEVELS[opts.level] || LEVELS.warn;
+  var redact = opts.redact !== false;
+  var prefix = opts.prefix ? opts.prefix + ' ' : '';
+  var sink = opts.logger || (typeof console !== 'undefined' ? console : null);
+  var UA_KEYS = { ua: 1, userAgent: 1, user_agent: 1, 'User-Agent': 1, 'user-agent': 1 };
+  var IP_KEYS = { ip: 1, clientIp: 1, client_ip: 1 };
+
+  function maskIp(ip) {
+    var value = String(ip);
+    if (value.indexOf(':') !== -1) return value.split(':').slice(0, 3).join(':') + '::';
+    var parts = value.split('.');
+    return parts.length === 4 ? parts.slice(0, 3).join('.') + '.0' : 'redacted';
+  }
+
+  function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  function scrub(fields, depth) {
+    var out = {};
+    for (var key in fields) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) continue;
+      var value = fields[key];
+      if (value == null) {
+        out[key] = value;
+      } else if (UA_KEYS[key]) {
+        out[key] = 'redacted';
+      } else if (IP_KEYS[key]) {
+        out[key] = maskIp(value);
+      } else if (key === 'url' && typeof value === 'string') {
+        // Pixel URLs carry the user agent as a query param.
+        out[key] = value.replace(/([?&]ua=)[^&]*/, '$1redacted');
+      } else if (isPlainObject(value) && depth < 3) {
+        out[key] = scrub(value, depth + 1);
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  }
+
+  function normalize(fields) {
+    var data = {};
+    for (var key in fields) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) continue;
+      var value = fields[key];
+      data[key] = value instanceof Error ? value.message : value;
+    }
+    return redact ? scrub(data, 0) : data;
+  }
+
+  function enabled(level) {
+    return !!sink && LEVELS[level] >= threshold;
+  }
+
+  function write(level, message, fields) {
+    if (!enabled(level)) return;
+    var data = fields ? normalize(fields) : {};
+    try {
+      if (typeof sink === 'function') {
+        var entry = {};
+        for (var key in data) {
+          if (Object.prototype.hasOwnProperty.call(data, key)) entry[key] = data[key];
+        }
+        entry.level = level;
+        entry.message = message;
+        entry.time = Date.now();
+        sink(entry);
+        return;
+      }
+      var method = typeof sink[level] === 'function' ? sink[level] : sink.log;
+      if (typeof method === 'function') method.call(sink, prefix + message, data);
+    } catch (_) {}
+  }
+
+  return {
+    debug: function(message, fields){ write('debug', message, fields); },
+    info: function(message, fields){ write('info', message, fields); },
+    warn: function(message, fields){ write('warn', message, fields); },
+    error: function(message, fields){ write('error', message, fields); },
+    enabled: enabled
+  };
+}
+
+module.exports = createLogger;
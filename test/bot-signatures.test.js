@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { identifyAIBot, registerAIBotSignature, createBotIdentifier } = require('../server');
+
+// User agents the original pattern list detected, with the slug it reported.
+const BASELINE_AGENTS = [
+  ['Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)', 'openai-gptbot'],
+  ['Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; ChatGPT-User/1.0; +https://openai.com/bot', 'openai-chatgpt'],
+  ['Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)', 'anthropic-claudebot'],
+  ['Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)', 'perplexity'],
+  ['pplx-bot/1.0', 'perplexity'],
+  ['Mozilla/5.0 (compatible; Gemini-Deep-Research; +https://gemini.google/overview/deep-research/)', 'google-gemini'],
+  ['Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)', 'bing-copilot'],
+  ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) BingPreview/1.0b', 'bing-copilot'],
+  ['facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)', 'meta-ai'],
+  ['Mozilla/5.0 (compatible; GrokBot/1.0; +https://x.ai)', 'xai-grok'],
+  ['Mozilla/5.0 (compatible; Baiduspider/2.0; +http://www.baidu.com/search/spider.html)', 'baidu-ernie'],
+  ['Mozilla/5.0 (compatible; KimiBot/1.0)', 'kimi-moonshot'],
+  ['Mozilla/5.0 (compatible; DeepSeekBot/1.0)', 'deepseek'],
+];
+
+test('agents the original pattern list detected still match under their slugs', () => {
+  for (const [userAgent, slug] of BASELINE_AGENTS) {
+    const match = identifyAIBot(userAgent);
+    assert.equal(match && match.slug, slug, userAgent);
+  }
+});
+
+test('matches report the product token and version', () => {
+  const match = identifyAIBot('Mozilla/5.0 (compatible; GrokBot/1.0; +https://x.ai)');
+  assert.equal(match.token, 'GrokBot');
+  assert.equal(match.version, '1.0');
+  assert.equal(match.operator, 'xAI');
+});
+
+test('browsers and generic tools are not bots', () => {
+  assert.equal(identifyAIBot('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36'), null);
+  assert.equal(identifyAIBot('llm-cli/0.13 (large language model tooling)'), null);
+});
+
+test('registered signatures are matched, can be overridden and disabled', () => {
+  const record = registerAIBotSignature({ slug: 'acme-crawler', operator: 'Acme', purpose: 'training', tokens: ['AcmeCrawler'] });
+  assert.equal(record.slug, 'acme-crawler');
+  assert.equal(identifyAIBot('AcmeCrawler/2.0').version, '2.0');
+
+  assert.throws(() => registerAIBotSignature({ slug: 'acme-crawler', tokens: ['AcmeCrawler'] }), /already registered/);
+  assert.throws(() => registerAIBotSignature({ slug: 'diffbot', tokens: ['Diffbot'] }), /already exists/);
+  assert.throws(() => registerAIBotSignature({ slug: 'acme-bad', purpose: 'spying', tokens: ['AcmeBad'] }), /unknown purpose/);
+
+  registerAIBotSignature({ slug: 'acme-crawler', override: true, tokens: ['AcmeBot'] });
+  assert.equal(identifyAIBot('AcmeCrawler/2.0'), null);
+  assert.equal(identifyAIBot('AcmeBot/1').slug, 'acme-crawler');
+
+  assert.equal(registerAIBotSignature({ slug: 'acme-crawler', disabled: true }), null);
+  assert.equal(identifyAIBot('AcmeBot/1'), null);
+});
+
+test('identifiers see signatures registered after they were built', () => {
+  const extended = createBotIdentifier({ signatures: [{ slug: 'internal-agent', pattern: /InternalAgent\/(?<version>[\d.]+)/ }] });
+  const isolated = createBotIdentifier({ signatures: [{ slug: 'internal-agent', tokens: ['InternalAgent'] }], extend: false });
+  assert.equal(extended.identify('InternalAgent/3.1').version, '3.1');
+  assert.equal(isolated.identify('GPTBot/1.0'), null);
+
+  registerAIBotSignature({ slug: 'late-bot', tokens: ['LateBot'] });
+  registerAIBotSignature({ slug: 'internal-agent', tokens: ['InternalAgent', 'LateBot'] });
+  assert.equal(extended.identify('LateBot/1').slug, 'late-bot');
+  assert.ok(extended.find('late-bot'));
+  assert.equal(extended.signatures.filter(signature => signature.slug === 'internal-agent').length, 1);
+  // The scoped entry keeps precedence over the slug registered since.
+  assert.equal(extended.find('internal-agent').pattern.source, 'InternalAgent\\/(?<version>[\\d.]+)');
+  assert.equal(isolated.identify('LateBot/1'), null);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+// Minimal browser globals for running the client modules the way the inline scripts do: each
+// module's source is evaluated inside a VM context, so it only sees what the fake page provides.
+
+const vm = require('vm');
+
+function createPage(overrides = {}) {
+  const beacons = [];
+  const listeners = {};
+  const url = new URL(overrides.url || 'https://example.com/');
+  const attributes = overrides.attributes || {};
+  const elements = overrides.elements || {};
+
+  const element = attrs => ({ getAttribute: name => (attrs[name] == null ? null : attrs[name]) });
+  const document = {
+    readyState: 'complete',
+    referrer: overrides.referrer || '',
+    title: overrides.title || '',
+    cookie: '',
+    documentElement: element(attributes.html || {}),
+    body: Object.assign(element(attributes.body || {}), { appendChild: img => beacons.push(img.src) }),
+    addEventListener(type, fn) {
+      (listeners[type] = listeners[type] || []).push(fn);
+    },
+    removeEventListener() {},
+    querySelector: selector => elements[selector] || null,
+    querySelectorAll: selector => [].concat(elements[selector] || []),
+  };
+
+  class Image {
+    constructor() {
+      this.style = {};
+    }
+  }
+
+  const window = {
+    location: { origin: url.origin, pathname: url.pathname, search: url.search, href: url.href, protocol: url.protocol },
+    navigator: Object.assign({ userAgent: 'Mozilla/5.0 (test)', languages: ['en'] }, overrides.navigator),
+    document,
+    Image,
+    URL,
+    URLSearchParams,
+    addEventListener(type, fn) {
+      (listeners[`window:${type}`] = listeners[`window:${type}`] || []).push(fn);
+    },
+    removeEventListener() {},
+    fetch: target => {
+      beacons.push(String(target));
+      return Promise.resolve({ ok: true });
+    },
+    setTimeout,
+    clearTimeout,
+  };
+  Object.assign(window, overrides.globals);
+  window.window = window;
+  const context = vm.createContext(Object.assign({}, window, { window }));
+
+  return {
+    window,
+    document,
+    context,
+    listeners,
+    beacons,
+    /** Beacon query params, oldest first. */
+    params: () => beacons.map(beacon => Object.fromEntries(new URL(beacon).searchParams)),
+    /** Evaluates a client module's factory in the page and returns it. */
+    load: factory => vm.runInContext(`(${factory.toString()})`, context),
+    run: code => vm.runInContext(code, context),
+  };
+}
+
+module.exports = { createPage };
@@ -0,0 +1,165 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./browser');
+const { buildPixelRuntimeScript } = require('../client');
+const createPrivacyPolicy = require('../client/src/privacy');
+const createConsentGate = require('../client/src/consent');
+const createIdentity = require('../client/src/identity');
+const classifyAIReferrer = require('../shared/ai-referrer');
+const createDestinationRouter = require('../shared/destinations');
+
+test('privacy policy downgrades and suppresses on GPC', () => {
+  const page = createPage({ navigator: { globalPrivacyControl: true } });
+  const downgrade = page.load(createPrivacyPolicy)({ respectGPC: true });
+  // Objects built inside the page belong to its realm, so they are copied before comparing.
+  assert.deepEqual({ ...downgrade.filter({ event: 'render', ua: 'x', x: 1 }) }, {
+    event: 'render',
+    privacy: 'downgraded',
+    privacy_signal: 'gpc',
+  });
+
+  const suppress = page.load(createPrivacyPolicy)({ respectGPC: true, action: 'suppress' });
+  assert.equal(suppress.filter({ mode: 'script', event: 'render' }).event, 'suppressed');
+  assert.equal(suppress.filter({ mode: 'script', event: 'mouse' }), null);
+});
+
+test('consent gate queues work until consent is granted', () => {
+  const page = createPage();
+  const gate = page.load(createConsentGate)({ state: 'pending' });
+  const ran = [];
+  gate.run(() => ran.push('first'));
+  assert.deepEqual(ran, []);
+  page.window.BILDIT_CONSENT.update('granted');
+  assert.deepEqual(ran, ['first']);
+});
+
+test('identity keeps one session per tab and rolls it after the timeout', () => {
+  const stored = {};
+  const sessionStorage = { getItem: key => (key in stored ? stored[key] : null), setItem: (key, value) => { stored[key] = value; } };
+  const page = createPage({ globals: { sessionStorage } });
+  const first = page.load(createIdentity)({ visitor: true }).stamp({});
+  const second = page.load(createIdentity)({ visitor: true }).stamp({});
+  assert.match(first.sid, /^[0-9a-f]{24}$/);
+  assert.equal(second.sid, first.sid);
+  assert.equal(second.vid, first.vid);
+
+  stored.bildit_sid = `${first.sid}|${Date.now() - 31 * 60 * 1000}`;
+  assert.notEqual(page.load(createIdentity)({}).stamp({}).sid, first.sid);
+  assert.deepEqual(page.load(createIdentity)({}).stamp({ privacy: 'downgraded' }), { privacy: 'downgraded' });
+});
+
+test('classifyAIReferrer recognises assistant referrers and utm_source', () => {
+  assert.equal(classifyAIReferrer('https://chatgpt.com/'), 'chatgpt');
+  assert.equal(classifyAIReferrer('https://www.perplexity.ai/search/x'), 'perplexity');
+  assert.equal(classifyAIReferrer('android-app://com.openai.chatgpt/'), 'chatgpt');
+  assert.equal(classifyAIReferrer('https://www.google.com/', '?utm_source=chatgpt.com'), 'chatgpt');
+  assert.equal(classifyAIReferrer('https://assist.example/', '', { 'assist.example': 'mine' }), 'mine');
+  assert.equal(classifyAIReferrer('https://news.ycombinator.com/'), null);
+});
+
+test('browser destinations never send GA4, whose API secret must stay on the server', () => {
+  const page = createPage();
+  const router = page.load(createDestinationRouter)([
+    { type: 'ga4', measurementId: 'G-TEST', apiSecret: 'secret' },
+    { type: 'http', url: 'https://collect.test/e', method: 'POST' },
+  ]);
+  const outcomes = router.forward({ event: 'render' });
+  assert.match(outcomes[0].error.message, /server-only/);
+  assert.deepEqual(page.beacons, ['https://collect.test/e']);
+});
+
+test('the composed pixel runtime sends bootstrap and render beacons', () => {
+  const page = createPage({ url: 'https://example.com/docs' });
+  page.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: { site: 'docs' }, alt: 'alt' }));
+  assert.deepEqual(
+    page.params().map(params => [params.event, params.site]),
+    [
+      ['bootstrap', 'docs'],
+      ['render', 'docs'],
+    ]
+  );
+});
+
+test('the runtime sends a single suppressed beacon for a GPC visitor', () => {
+  const page = createPage({ navigator: { globalPrivacyControl: true } });
+  const privacy = { respectGPC: true, respectDNT: false, action: 'suppress' };
+  page.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: { site: 'docs' }, privacy }));
+  page.run("window.bilditPixel.track('signup', { plan: 'pro' })");
+  assert.deepEqual(page.params(), [{ mode: 'script', event: 'suppressed', privacy: 'suppressed', privacy_signal: 'gpc', site: 'docs' }]);
+});
+
+test('the runtime leaves visitors without a signal alone', () => {
+  const page = createPage({ navigator: { globalPrivacyControl: false } });
+  const privacy = { respectGPC: true, respectDNT: false, action: 'suppress' };
+  page.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: {}, privacy }));
+  assert.deepEqual(page.params().map(params => [params.event, params.privacy]), [
+    ['bootstrap', 'allowed'],
+    ['render', 'allowed'],
+  ]);
+});
+
+function createStorage(entries) {
+  const stored = Object.assign({}, entries);
+  return {
+    stored,
+    getItem: key => (key in stored ? stored[key] : null),
+    setItem: (key, value) => {
+      stored[key] = String(value);
+    },
+    removeItem: key => {
+      delete stored[key];
+    },
+  };
+}
+
+test('stored offline beacons wait for consent and are dropped on denial', () => {
+  const transport = { method: 'fetch', offlineQueue: true, storageKey: 'bildit_pixel_queue', maxStoredEvents: 50 };
+  const queued = JSON.stringify(['event=offline&mode=script']);
+
+  const granted = createPage({ globals: { localStorage: createStorage({ bildit_pixel_queue: queued }) } });
+  granted.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: {}, transport, consent: { state: 'pending' } }));
+  assert.deepEqual(granted.beacons, []);
+  assert.equal(granted.window.localStorage.getItem('bildit_pixel_queue'), queued);
+  granted.window.BILDIT_CONSENT.update('granted');
+  assert.ok(granted.params().some(params => params.event === 'offline'));
+  assert.equal(granted.window.localStorage.getItem('bildit_pixel_queue'), null);
+
+  const denied = createPage({ globals: { localStorage: createStorage({ bildit_pixel_queue: queued }) } });
+  denied.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: {}, transport, consent: { state: 'pending' } }));
+  denied.window.BILDIT_CONSENT.update('denied');
+  assert.deepEqual(denied.beacons, []);
+  assert.equal(denied.window.localStorage.getItem('bildit_pixel_queue'), null);
+});
+
+test('page views redact query values in path and prev_path', () => {
+  const page = createPage({ url: 'https://example.com/account?token=abc' });
+  page.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: {}, pageviews: {} }));
+  page.run("window.bilditPixel.push(['pageview', { path: '/search?q=jane%40example.com&page=2' }])");
+  const pageview = page.params().find(params => params.event === 'pageview');
+  assert.equal(pageview.path, '/search?q=redacted&page=redacted');
+  assert.equal(pageview.prev_path, '/account?token=redacted');
+});
+
+test('the runtime tags assistant referrals and keeps the first touch once consent allows it', () => {
+  const localStorage = createStorage();
+  const config = { pixelUrl: 'https://pixel.test/p.gif', params: {}, aiReferrer: {} };
+
+  const first = createPage({ referrer: 'https://chatgpt.com/', globals: { localStorage } });
+  first.run(buildPixelRuntimeScript(config));
+  assert.equal(first.params()[0].ai_referrer, 'chatgpt');
+  assert.equal(first.params()[0].ai_referrer_current, 'chatgpt');
+  assert.match(localStorage.stored.bildit_ai_ref, /^chatgpt\|\d+$/);
+
+  const later = createPage({ url: 'https://example.com/pricing?utm_source=perplexity', globals: { localStorage } });
+  later.run(buildPixelRuntimeScript(config));
+  assert.equal(later.params()[0].ai_referrer, 'chatgpt');
+  assert.equal(later.params()[0].ai_referrer_current, 'perplexity');
+
+  const pending = createStorage();
+  createPage({ referrer: 'https://claude.ai/', globals: { localStorage: pending } }).run(
+    buildPixelRuntimeScript(Object.assign({}, config, { consent: { state: 'pending' } }))
+  );
+  assert.equal(pending.stored.bildit_ai_ref, undefined);
+});
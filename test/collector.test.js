@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPixelCollector } = require('../collector');
+
+async function startCollector(t, options) {
+  const collector = createPixelCollector(options);
+  const { url, pixelUrl } = await collector.listen(0);
+  t.after(() => collector.close());
+  return { collector, url, pixelUrl };
+}
+
+test('GET and batched POST beacons are recorded as hits', async t => {
+  const { collector, pixelUrl } = await startCollector(t);
+
+  const gif = await fetch(`${pixelUrl}?event=render&mode=img`, { headers: { cookie: 'bildit_sid=abcdef123456' } });
+  assert.equal(gif.status, 200);
+  assert.equal(gif.headers.get('content-type'), 'image/gif');
+
+  const batch = await fetch(`${pixelUrl}?batch=2`, { method: 'POST', body: 'event=pageview&path=%2Fa\nevent=mouse' });
+  assert.equal(batch.status, 204);
+
+  const hits = collector.query();
+  assert.deepEqual(hits.map(hit => [hit.id, hit.method, hit.params.event, hit.batch]), [
+    [1, 'GET', 'render', undefined],
+    [2, 'POST', 'pageview', 2],
+    [3, 'POST', 'mouse', 2],
+  ]);
+  assert.equal(hits[0].headers.cookie, 'redacted');
+  assert.equal(hits[1].params.path, '/a');
+  assert.equal(hits[1].params.batch, undefined);
+});
+
+test('/api/hits filters, limits and clears the hits', async t => {
+  const { url, pixelUrl } = await startCollector(t);
+  for (const event of ['render', 'mouse', 'render']) await fetch(`${pixelUrl}?event=${event}`);
+
+  const filtered = await (await fetch(`${url}/api/hits?event=render`)).json();
+  assert.deepEqual(filtered.hits.map(hit => hit.id), [1, 3]);
+  const latest = await (await fetch(`${url}/api/hits?limit=1`)).json();
+  assert.deepEqual(latest.hits.map(hit => hit.id), [3]);
+  const after = await (await fetch(`${url}/api/hits?after=1&event=mouse`)).json();
+  assert.deepEqual(after.hits.map(hit => hit.id), [2]);
+
+  assert.equal((await fetch(`${url}/api/hits`, { method: 'DELETE' })).status, 204);
+  assert.deepEqual((await (await fetch(`${url}/api/hits`)).json()).hits, []);
+});
+
+test('the API only allows cross-origin requests from local pages', async t => {
+  const { url, pixelUrl } = await startCollector(t);
+
+  const local = await fetch(`${url}/api/hits`, { headers: { origin: 'http://localhost:3000' } });
+  assert.equal(local.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+  const foreign = await fetch(`${url}/api/hits`, { headers: { origin: 'https://evil.example' } });
+  assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+  const preflight = await fetch(`${url}/api/hits`, { method: 'OPTIONS', headers: { origin: 'https://evil.example' } });
+  assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+  const beacon = await fetch(pixelUrl, { headers: { origin: 'https://evil.example' } });
+  assert.equal(beacon.headers.get('access-control-allow-origin'), '*');
+});
+
+test('oversized POST bodies are rejected without being recorded', async t => {
+  const { collector, pixelUrl } = await startCollector(t, { maxBodySize: 32 });
+  const response = await fetch(pixelUrl, { method: 'POST', body: `event=${'x'.repeat(64)}` });
+  assert.equal(response.status, 413);
+  assert.deepEqual(collector.query(), []);
+
+  const small = await fetch(pixelUrl, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{"event":"ok"}' });
+  assert.equal(small.status, 204);
+  assert.equal(collector.query()[0].params.event, 'ok');
+});
+
+test('hits are appended to the JSONL file', async t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bildit-collector-')), 'hits.jsonl');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  const collector = createPixelCollector({ file });
+  const { pixelUrl } = await collector.listen(0);
+  await fetch(`${pixelUrl}?event=render`);
+  await fetch(`${pixelUrl}?event=mouse`);
+  await collector.close();
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(hit => [hit.id, hit.params.event]), [
+    [1, 'render'],
+    [2, 'mouse'],
+  ]);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./browser');
+const { buildPixelRuntimeScript } = require('../client');
+
+const config = { pixelUrl: 'https://pixel.test/p.gif', params: { site: 'docs' } };
+
+test('track sends a custom event with its props and the base params', () => {
+  const page = createPage();
+  page.run(buildPixelRuntimeScript(config));
+  page.run("window.bilditPixel.track('signup', { plan: 'pro' })");
+  const signup = page.params().find(params => params.event === 'signup');
+  assert.equal(signup.plan, 'pro');
+  assert.equal(signup.mode, 'script');
+  assert.equal(signup.site, 'docs');
+  assert.ok(signup.ts);
+});
+
+test('commands pushed before the script loaded are replayed in order', () => {
+  const page = createPage({
+    globals: { bilditPixel: [['set', { customer_tier: 'gold' }], ['track', 'add-to-cart', { sku: 'A-100' }]] },
+  });
+  page.run(buildPixelRuntimeScript(config));
+  const cart = page.params().find(params => params.event === 'add-to-cart');
+  assert.equal(cart.sku, 'A-100');
+  assert.equal(cart.customer_tier, 'gold');
+  assert.equal(page.window.bilditPixel.loaded, true);
+});
+
+test('set merges params into later hits and the props cannot replace the event', () => {
+  const page = createPage();
+  page.run(buildPixelRuntimeScript(config));
+  page.run("window.bilditPixel.push(['set', { experiment: 'b' }], ['track', 'search', { event: 'spoofed', q: 'x' }])");
+  const search = page.params().pop();
+  assert.equal(search.event, 'search');
+  assert.equal(search.experiment, 'b');
+});
+
+test('unknown or malformed commands are ignored', () => {
+  const page = createPage();
+  page.run(buildPixelRuntimeScript(config));
+  const before = page.beacons.length;
+  page.run("window.bilditPixel.push(null, ['track'], ['nope', 1], [42])");
+  assert.equal(page.beacons.length, before);
+});
+
+test('a second runtime on the page keeps the installed queue', () => {
+  const page = createPage();
+  page.run(buildPixelRuntimeScript(config));
+  const installed = page.window.bilditPixel;
+  page.run(buildPixelRuntimeScript(config));
+  assert.equal(page.window.bilditPixel, installed);
+});
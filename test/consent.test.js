@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./browser');
+const { buildPixelRuntimeScript } = require('../client');
+const createConsentGate = require('../client/src/consent');
+
+test('a denied decision drops queued work and everything after it', () => {
+  const page = createPage();
+  const gate = page.load(createConsentGate)({ state: 'pending' });
+  const ran = [];
+  gate.run(() => ran.push('queued'));
+  page.window.BILDIT_CONSENT.update('denied');
+  gate.run(() => ran.push('later'));
+  page.window.BILDIT_CONSENT.update('granted');
+  assert.deepEqual(ran, []);
+});
+
+test('required purposes must all be granted', () => {
+  const page = createPage();
+  const gate = page.load(createConsentGate)({ purposes: ['analytics', 'personalization'] });
+  const ran = [];
+  gate.run(() => ran.push('first'));
+  page.window.BILDIT_CONSENT.update({ purposes: { analytics: true } });
+  assert.deepEqual(ran, []);
+  page.window.BILDIT_CONSENT.update({ purposes: { personalization: true } });
+  assert.deepEqual(ran, ['first']);
+
+  page.window.BILDIT_CONSENT.update({ purposes: { analytics: false } });
+  gate.run(() => ran.push('after withdrawal'));
+  assert.deepEqual(ran, ['first']);
+});
+
+test('Google Consent Mode commands in the dataLayer update the decision', () => {
+  const dataLayer = [['consent', 'default', { analytics_storage: 'denied' }]];
+  const page = createPage({ globals: { dataLayer } });
+  const gate = page.load(createConsentGate)({ state: 'pending' });
+  const ran = [];
+  gate.run(() => ran.push('denied by default'));
+  assert.deepEqual(ran, []);
+  dataLayer.push(['consent', 'update', { analytics_storage: 'granted' }]);
+  gate.run(() => ran.push('granted'));
+  assert.deepEqual(ran, ['granted']);
+});
+
+test('a TCF v2 CMP grants or denies through its purpose consents', () => {
+  const listen = consents => (command, version, callback) => {
+    callback({ eventStatus: 'useractioncomplete', gdprApplies: true, purpose: { consents } }, true);
+  };
+  const granted = createPage({ globals: { __tcfapi: listen({ 1: true }) } });
+  const ran = [];
+  granted.load(createConsentGate)({ state: 'pending' }).run(() => ran.push('granted'));
+
+  const denied = createPage({ globals: { __tcfapi: listen({ 1: false }) } });
+  denied.load(createConsentGate)({ state: 'pending' }).run(() => ran.push('denied'));
+  assert.deepEqual(ran, ['granted']);
+  assert.equal(denied.window.BILDIT_CONSENT.state, 'denied');
+});
+
+test('the runtime holds its beacons until consent is granted', () => {
+  const page = createPage();
+  page.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: {}, consent: { state: 'pending' } }));
+  page.run("window.bilditPixel.track('signup')");
+  assert.deepEqual(page.beacons, []);
+  page.window.BILDIT_CONSENT.update('granted');
+  assert.deepEqual(page.params().map(params => params.event).sort(), ['bootstrap', 'render', 'signup']);
+});
+
+test('the runtime sends nothing once consent is denied', () => {
+  const page = createPage({ globals: { BILDIT_CONSENT: 'denied' } });
+  page.run(buildPixelRuntimeScript({ pixelUrl: 'https://pixel.test/p.gif', params: {}, consent: { state: 'pending' } }));
+  page.run("window.bilditPixel.track('signup')");
+  assert.deepEqual(page.beacons, []);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackAIBotRequestForPixel } = require('../server');
+
+const botRequest = () => ({ url: '/docs', headers: { 'user-agent': 'GPTBot/1.1' } });
+
+// Stubs fetch, answering destination requests with `statusFor(url)`, and records every request.
+function captureRequests(t, statusFor = () => 204) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    const target = new URL(url);
+    requests.push({ url: target, method: init.method, headers: init.headers, body: init.body && JSON.parse(init.body) });
+    if (target.hostname === 'ai-pixel.bildit.co') return new Response(null, { status: 204 });
+    return new Response(null, { status: statusFor(target) });
+  });
+  return requests;
+}
+
+test('bot hits are forwarded to each destination with its own copy of the params', async t => {
+  const requests = captureRequests(t);
+  const custom = [];
+  const result = await trackAIBotRequestForPixel(botRequest(), {
+    destinations: [
+      { name: 'collector', url: 'https://collect.example/p', params: { site: 'docs' }, map: { ua: false, bot: 'crawler' } },
+      { type: 'http', method: 'POST', url: 'https://collect.example/json', headers: { 'x-key': 'k' } },
+      { type: 'custom', name: 'queue', send: (params, context) => custom.push([params.bot, context.bot]) },
+    ],
+  });
+
+  const pixel = requests.find(request => request.url.hostname === 'ai-pixel.bildit.co');
+  const get = requests.find(request => request.url.pathname === '/p');
+  const post = requests.find(request => request.url.pathname === '/json');
+  assert.equal(pixel.url.searchParams.get('ua'), 'GPTBot/1.1');
+  assert.equal(get.method, 'GET');
+  assert.equal(get.url.searchParams.get('crawler'), 'openai-gptbot');
+  assert.equal(get.url.searchParams.get('site'), 'docs');
+  assert.equal(get.url.searchParams.has('ua'), false);
+  assert.equal(post.method, 'POST');
+  assert.equal(post.headers['x-key'], 'k');
+  assert.equal(post.body.bot, 'openai-gptbot');
+  assert.deepEqual(custom, [['openai-gptbot', 'openai-gptbot']]);
+  assert.deepEqual(result.destinations, [
+    { name: 'collector', ok: true, status: 204 },
+    { name: 'http', ok: true, status: 204 },
+    { name: 'queue', ok: true, status: undefined },
+  ]);
+});
+
+test('GA4 and Segment destinations get their own request formats', async t => {
+  const requests = captureRequests(t);
+  await trackAIBotRequestForPixel(botRequest(), {
+    destinations: [
+      { type: 'ga4', measurementId: 'G-TEST', apiSecret: 'secret', clientId: 'client-1' },
+      { type: 'segment', writeKey: 'wk' },
+    ],
+  });
+
+  const ga4 = requests.find(request => request.url.hostname === 'www.google-analytics.com');
+  assert.equal(ga4.url.searchParams.get('measurement_id'), 'G-TEST');
+  assert.equal(ga4.url.searchParams.get('api_secret'), 'secret');
+  assert.equal(ga4.body.client_id, 'client-1');
+  assert.equal(ga4.body.events[0].name, 'server_bot');
+  assert.equal(ga4.body.events[0].params.bot, 'openai-gptbot');
+
+  const segment = requests.find(request => request.url.hostname === 'api.segment.io');
+  assert.equal(segment.headers.Authorization, `Basic ${Buffer.from('wk:').toString('base64')}`);
+  assert.equal(segment.body.event, 'server-bot');
+  assert.equal(segment.body.properties.bot, 'openai-gptbot');
+});
+
+test('events, transform and failures are handled per destination', async t => {
+  const requests = captureRequests(t, url => (url.pathname === '/down' ? 503 : 204));
+  const errors = [];
+  const result = await trackAIBotRequestForPixel(botRequest(), {
+    onError: (error, context) => errors.push([context.destination, error.message]),
+    destinations: [
+      { name: 'renders-only', url: 'https://collect.example/renders', events: ['render'] },
+      { name: 'vetoed', url: 'https://collect.example/vetoed', transform: () => false },
+      { name: 'down', url: 'https://collect.example/down' },
+      { name: 'broken', type: 'custom', send: () => { throw new Error('queue full'); } },
+      { name: 'kept', url: 'https://collect.example/kept', transform: params => ({ bot: params.bot }) },
+    ],
+  });
+
+  assert.equal(result.triggered, true);
+  const paths = requests.map(request => request.url.pathname);
+  assert.equal(paths.includes('/renders'), false);
+  assert.equal(paths.includes('/vetoed'), false);
+  assert.deepEqual(Object.fromEntries(requests.find(request => request.url.pathname === '/kept').url.searchParams), {
+    bot: 'openai-gptbot',
+  });
+  assert.deepEqual(result.destinations, [
+    { name: 'down', ok: false, status: 503 },
+    { name: 'broken', ok: false, error: 'queue full' },
+    { name: 'kept', ok: true, status: 204 },
+  ]);
+  assert.deepEqual(errors, [['broken', 'queue full']]);
+});
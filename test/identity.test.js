@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExpressMiddleware, createPixelIdentity, readPixelIdentity } = require('../server');
+
+function capturePixelHits(t) {
+  const hits = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    hits.push(Object.fromEntries(new URL(url).searchParams));
+    return new Response(null, { status: 204 });
+  });
+  return hits;
+}
+
+function createResponse() {
+  const headers = {};
+  return {
+    headers,
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+    getHeader: name => headers[name.toLowerCase()],
+  };
+}
+
+async function runMiddleware(options, requestHeaders = {}) {
+  const req = { method: 'GET', url: '/pricing', headers: { 'user-agent': 'GPTBot/1.1', host: 'example.com', ...requestHeaders } };
+  const res = createResponse();
+  await new Promise(resolve => createExpressMiddleware(options)(req, res, resolve));
+  return [].concat(res.headers['set-cookie'] || []);
+}
+
+test('createPixelIdentity keeps valid cookies and generates missing ones', () => {
+  const identity = createPixelIdentity(
+    { url: 'https://example.com/', headers: { cookie: 'bildit_sid=abcdef123456; bildit_vid=bad!' } },
+    { visitor: true }
+  );
+  assert.equal(identity.sessionId, 'abcdef123456');
+  assert.equal(identity.newSession, false);
+  assert.match(identity.visitorId, /^[0-9a-f]{24}$/);
+  assert.equal(identity.newVisitor, true);
+  assert.match(identity.cookies[0], /^bildit_sid=abcdef123456; Path=\/; Max-Age=1800; SameSite=Lax; Secure$/);
+  assert.deepEqual(readPixelIdentity({ cookie: 'bildit_sid=short' }), { sessionId: undefined, visitorId: undefined });
+});
+
+test('the Express middleware issues identity cookies and tags the hit with them', async t => {
+  const hits = capturePixelHits(t);
+  const cookies = await runMiddleware({ identity: { visitor: true } });
+  assert.equal(cookies.length, 2);
+  assert.match(cookies[0], /^bildit_sid=/);
+  assert.equal(hits[0].sid, cookies[0].slice('bildit_sid='.length, cookies[0].indexOf(';')));
+  assert.ok(hits[0].vid);
+});
+
+test('no identity cookies when the privacy decision strips identity', async t => {
+  const hits = capturePixelHits(t);
+  const cookies = await runMiddleware(
+    { identity: true, privacy: { respectGPC: true } },
+    { 'sec-gpc': '1', cookie: 'bildit_sid=abcdef123456' }
+  );
+  assert.deepEqual(cookies, []);
+  assert.equal(hits[0].privacy, 'downgraded');
+  assert.equal(hits[0].sid, undefined);
+});
+
+test('no identity cookies or IDs without consent', async t => {
+  const hits = capturePixelHits(t);
+  const consent = req => /(?:^|;\s*)consent=yes/.test(req.headers.cookie || '');
+  assert.deepEqual(await runMiddleware({ identity: { consent } }, { cookie: 'bildit_sid=abcdef123456' }), []);
+  assert.equal(hits[0].sid, undefined);
+
+  const cookies = await runMiddleware({ identity: { consent } }, { cookie: 'consent=yes; bildit_sid=abcdef123456' });
+  assert.match(cookies[0], /^bildit_sid=abcdef123456;/);
+  assert.equal(hits[1].sid, 'abcdef123456');
+});
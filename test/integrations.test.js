@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExpressMiddleware, wrapNodeHandler, wrapFetchHandler, fastifyPlugin } = require('../server');
+
+// Stubs fetch and returns the query params of each pixel request.
+function capturePixelHits(t) {
+  const hits = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    hits.push(Object.fromEntries(new URL(url).searchParams));
+    return new Response(null, { status: 204 });
+  });
+  return hits;
+}
+
+// An invalid custom signature makes tracking itself throw.
+function failingOptions(errors) {
+  return {
+    signatures: [{ slug: 'broken' }],
+    onError: (error, context) => errors.push({ error, context }),
+  };
+}
+
+const req = () => ({ headers: { 'user-agent': 'GPTBot/1.1' }, url: '/' });
+
+test('the Express middleware tracks bot requests before calling next()', async t => {
+  const hits = capturePixelHits(t);
+  const nextArgs = await new Promise(resolve => {
+    createExpressMiddleware()(req(), {}, (...args) => resolve(args));
+  });
+  assert.deepEqual(nextArgs, []);
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].bot, 'openai-gptbot');
+  assert.equal(hits[0].path, '/');
+});
+
+test('the Express middleware sends nothing for human visitors', async t => {
+  const hits = capturePixelHits(t);
+  await new Promise(resolve => {
+    createExpressMiddleware()({ headers: { 'user-agent': 'Mozilla/5.0 (Macintosh)' }, url: '/' }, {}, resolve);
+  });
+  assert.equal(hits.length, 0);
+});
+
+test('wrapNodeHandler tracks the request and runs the handler', async t => {
+  const hits = capturePixelHits(t);
+  let handled = false;
+  await wrapNodeHandler(() => { handled = true; })(req(), {});
+  assert.equal(handled, true);
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].bot, 'openai-gptbot');
+});
+
+test('wrapFetchHandler tracks the request and returns the handler response', async t => {
+  const hits = capturePixelHits(t);
+  const handler = wrapFetchHandler(request => new Response(`hello ${new URL(request.url).pathname}`));
+  const response = await handler(new Request('https://example.com/docs', { headers: { 'user-agent': 'ClaudeBot/1.0' } }));
+  assert.equal(await response.text(), 'hello /docs');
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].bot, 'anthropic-claudebot');
+  assert.equal(hits[0].path, '/docs');
+});
+
+test('wrapFetchHandler with afterResponse reports the served status via ctx.waitUntil', async t => {
+  const hits = capturePixelHits(t);
+  const pending = [];
+  const handler = wrapFetchHandler(() => new Response(null, { status: 404 }), { afterResponse: true });
+  const response = await handler(new Request('https://example.com/missing', { headers: { 'user-agent': 'GPTBot/1.1' } }), {}, {
+    waitUntil: promise => pending.push(promise),
+  });
+  assert.equal(response.status, 404);
+  assert.equal(pending.length, 1);
+  await pending[0];
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].http_status, '404');
+});
+
+test('the Fastify hook tracks bot requests', async t => {
+  const hits = capturePixelHits(t);
+  const hooks = {};
+  fastifyPlugin({ addHook: (name, hook) => { hooks[name] = hook; } }, {}, () => {});
+  await hooks.onRequest(req());
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].bot, 'openai-gptbot');
+});
+
+test('the Express middleware reports tracking errors and still calls next()', async () => {
+  const errors = [];
+  const nextArgs = await new Promise(resolve => {
+    createExpressMiddleware(failingOptions(errors))(req(), {}, (...args) => resolve(args));
+  });
+  assert.deepEqual(nextArgs, []);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].error.message, /broken/);
+});
+
+test('wrapNodeHandler reports tracking errors and still runs the handler', async () => {
+  const errors = [];
+  let handled = false;
+  await wrapNodeHandler(() => { handled = true; }, failingOptions(errors))(req(), {});
+  assert.equal(handled, true);
+  assert.equal(errors.length, 1);
+});
+
+test('the Fastify hook reports tracking errors instead of failing the request', async () => {
+  const errors = [];
+  const hooks = {};
+  fastifyPlugin({ addHook: (name, hook) => { hooks[name] = hook; } }, failingOptions(errors), () => {});
+  await hooks.onRequest(req());
+  assert.equal(errors.length, 1);
+});
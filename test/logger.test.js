@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, trackAIBotRequestForPixel } = require('../server');
+
+const botRequest = () => ({
+  url: '/docs',
+  headers: { 'user-agent': 'GPTBot/1.1', 'x-forwarded-for': '203.0.113.45' },
+});
+
+// Stubs fetch and returns the query params of each pixel request.
+function capturePixelHits(t) {
+  const hits = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    hits.push(Object.fromEntries(new URL(url).searchParams));
+    return new Response(null, { status: 204 });
+  });
+  return hits;
+}
+
+test('the logger drops entries below its level', () => {
+  const entries = [];
+  const log = createLogger({ level: 'warn', logger: entry => entries.push(entry) });
+  log.debug('hidden');
+  log.info('hidden');
+  log.warn('shown', { bot: 'openai-gptbot' });
+  log.error('shown too');
+
+  assert.deepEqual(entries.map(entry => [entry.level, entry.message]), [['warn', 'shown'], ['error', 'shown too']]);
+  assert.equal(entries[0].bot, 'openai-gptbot');
+  assert.equal(typeof entries[0].time, 'number');
+  assert.equal(log.enabled('info'), false);
+  assert.equal(log.enabled('error'), true);
+});
+
+test('the logger redacts user agents and truncates client IPs', () => {
+  const entries = [];
+  const log = createLogger({ level: 'debug', logger: entry => entries.push(entry) });
+  log.info('hit', {
+    ua: 'GPTBot/1.1',
+    ip: '203.0.113.45',
+    nested: { clientIp: '2001:db8:85a3:8d3:1319:8a2e:370:7348' },
+    url: 'https://ai-pixel.bildit.co/pixel.gif?bot=x&ua=GPTBot%2F1.1&path=%2F',
+    error: new Error('boom'),
+  });
+
+  assert.equal(entries[0].ua, 'redacted');
+  assert.equal(entries[0].ip, '203.0.113.0');
+  assert.equal(entries[0].nested.clientIp, '2001:db8:85a3::');
+  assert.equal(entries[0].url, 'https://ai-pixel.bildit.co/pixel.gif?bot=x&ua=redacted&path=%2F');
+  assert.equal(entries[0].error, 'boom');
+});
+
+test('redact: false passes fields through unchanged', () => {
+  const entries = [];
+  createLogger({ level: 'info', redact: false, logger: entry => entries.push(entry) }).info('hit', { ua: 'GPTBot/1.1', ip: '203.0.113.45' });
+  assert.equal(entries[0].ua, 'GPTBot/1.1');
+  assert.equal(entries[0].ip, '203.0.113.45');
+});
+
+test('console-style sinks receive the prefixed message and fields', () => {
+  const calls = [];
+  const sink = { warn: (...args) => calls.push(args) };
+  createLogger({ level: 'warn', prefix: '[BILDIT]', logger: sink }).warn('Pixel request failed', { bot: 'openai-gptbot' });
+  assert.deepEqual(calls, [['[BILDIT] Pixel request failed', { bot: 'openai-gptbot' }]]);
+});
+
+test('onDetect, beforeSend and onSent run in order for bot hits', async t => {
+  const hits = capturePixelHits(t);
+  const calls = [];
+  const result = await trackAIBotRequestForPixel(botRequest(), {
+    onDetect: detection => calls.push(['onDetect', detection.bot, detection.ip]),
+    beforeSend: params => {
+      calls.push(['beforeSend', params.bot]);
+      params.team = 'docs';
+    },
+    onSent: outcome => calls.push(['onSent', outcome.status]),
+  });
+
+  assert.deepEqual(calls, [
+    ['onDetect', 'openai-gptbot', '203.0.113.45'],
+    ['beforeSend', 'openai-gptbot'],
+    ['onSent', 204],
+  ]);
+  assert.equal(result.triggered, true);
+  assert.equal(hits[0].team, 'docs');
+});
+
+test('beforeSend can replace the params or veto the hit', async t => {
+  const hits = capturePixelHits(t);
+  await trackAIBotRequestForPixel(botRequest(), { beforeSend: params => ({ bot: params.bot, replaced: '1' }) });
+  assert.equal(hits[0].replaced, '1');
+  assert.equal(hits[0].ua, undefined);
+
+  const sent = [];
+  const vetoed = await trackAIBotRequestForPixel(botRequest(), { beforeSend: () => false, onSent: outcome => sent.push(outcome) });
+  assert.equal(hits.length, 1);
+  assert.equal(vetoed.skipped, true);
+  assert.equal(vetoed.reason, 'vetoed');
+  assert.deepEqual(sent, []);
+});
+
+test('onError receives failed pixel requests and throwing hooks', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+  const errors = [];
+  const result = await trackAIBotRequestForPixel(botRequest(), {
+    onDetect: () => { throw new Error('hook broke'); },
+    onError: (error, context) => errors.push([error.message, context.hook]),
+  });
+  assert.equal(result.triggered, true);
+  assert.deepEqual(errors, [['hook broke', 'onDetect']]);
+
+  t.mock.method(globalThis, 'fetch', async () => { throw new Error('network down'); });
+  const failed = await trackAIBotRequestForPixel(botRequest(), { onError: error => errors.push([error.message]) });
+  assert.equal(failed.triggered, false);
+  assert.deepEqual(errors[1], ['network down']);
+});
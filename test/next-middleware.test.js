@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isStaticAsset, createMiddleware } = require('../nextjs/middleware');
+
+// The request handling itself needs `next/server`; these cover what is decided up front.
+
+test('build output, dev overlay and file requests count as static assets', () => {
+  for (const pathname of ['/_next/static/chunks/main.js', '/__nextjs_original-stack-frame', '/logo.svg', '/fonts/inter.woff2', '/site.webmanifest']) {
+    assert.equal(isStaticAsset(pathname), true, pathname);
+  }
+  for (const pathname of ['/', '/docs/getting-started', '/api/products', '/blog/next.js-tips']) {
+    assert.equal(isStaticAsset(pathname), false, pathname);
+  }
+});
+
+test('policy actions are validated when the middleware is created', () => {
+  const track = async () => {};
+  assert.doesNotThrow(() =>
+    createMiddleware({
+      policy: {
+        training: 'block',
+        'openai-chatgpt': 429,
+        search: { headers: { 'x-robots-tag': 'noai' } },
+        perplexity: { action: 'rewrite', to: url => `/ai${url.pathname}` },
+        default: 'allow',
+      },
+    }, track)
+  );
+  assert.throws(() => createMiddleware({ policy: { training: 'ban' } }, track), /Unknown bot policy action "ban"/);
+  assert.throws(() => createMiddleware({ policy: { training: { action: 'rewrite' } } }, track), /needs a `to` URL/);
+  assert.throws(() => createMiddleware({ policy: { training: true } }, track), TypeError);
+});
+
+test('matcher and exclude entries must be patterns, regular expressions or functions', () => {
+  const track = async () => {};
+  assert.doesNotThrow(() => createMiddleware({ matcher: ['/docs/:path*', /^\/blog/, pathname => pathname === '/'], exclude: '/api/(.*)' }, track));
+  assert.throws(() => createMiddleware({ matcher: [42] }, track), /`matcher` entries/);
+  assert.throws(() => createMiddleware({ exclude: {} }, track), /`exclude` entries/);
+});
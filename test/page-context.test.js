@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./browser');
+const createPageContext = require('../client/src/page-context');
+
+function articlePage() {
+  return createPage({
+    url: 'https://example.com/blog/post?utm_source=x&page=2',
+    title: '  A   long\n title ',
+    attributes: { html: { lang: 'en-GB' }, body: { 'data-bildit-section': 'news' } },
+    elements: {
+      'link[rel="canonical"]': { href: 'https://example.com/blog/post?ref=abc' },
+      'meta[property="og:type"]': { getAttribute: () => 'article' },
+      'script[type="application/ld+json"]': [
+        { textContent: JSON.stringify({ '@graph': [{ '@type': 'Article' }, { '@type': ['WebPage', 'Article'] }] }) },
+        { textContent: '{not json' },
+      ],
+    },
+  });
+}
+
+test('render beacons carry the path, redacted query and page metadata', () => {
+  const page = articlePage();
+  const params = {};
+  page.load(createPageContext)({ attributes: ['section'], jsonLd: true, query: { allow: ['page'] } }).annotate(params);
+  assert.deepEqual(params, {
+    path: '/blog/post',
+    query: 'utm_source=redacted&page=2',
+    canonical: 'https://example.com/blog/post?ref=redacted',
+    lang: 'en-GB',
+    og_type: 'article',
+    ld_type: 'Article,WebPage',
+    title: 'A long title',
+    page_section: 'news',
+  });
+});
+
+test('a preset path keeps its own query and `query: false` drops it', () => {
+  const page = articlePage();
+  const pageview = { path: '/next?token=redacted' };
+  page.load(createPageContext)({}).annotate(pageview);
+  assert.equal(pageview.path, '/next?token=redacted');
+  assert.equal(pageview.query, undefined);
+
+  const params = {};
+  page.load(createPageContext)({ query: false }).annotate(params);
+  assert.equal(params.query, undefined);
+  assert.equal(params.canonical, 'https://example.com/blog/post');
+});
+
+test('values are cut to maxLength and fields dropped past maxTotal', () => {
+  const page = articlePage();
+  const params = {};
+  page.load(createPageContext)({ maxLength: 5, maxTotal: 41 }).annotate(params);
+  assert.deepEqual(params, { path: '/blog', query: 'utm_s', canonical: 'https' });
+});
+
+test('redactPath redacts page view queries', () => {
+  const context = createPage().load(createPageContext)({ query: { allow: ['page'] } });
+  assert.equal(context.redactPath('/a?page=2&email=a%40b.c'), '/a?page=2&email=redacted');
+  assert.equal(context.redactPath('/a'), '/a');
+});
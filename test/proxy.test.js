@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { forwardPixelHit, createPixelProxyHandler, createPixelProxyNodeHandler } = require('../server/proxy');
+
+function stubFetch(t) {
+  const sent = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    sent.push({ url: new URL(url), headers: init.headers });
+    return new Response(null, { status: 204 });
+  });
+  return sent;
+}
+
+const visitorHeaders = {
+  'user-agent': 'Mozilla/5.0',
+  referer: 'https://www.example.com/pricing',
+  'cf-ipcountry': 'DE',
+  'x-forwarded-for': '203.0.113.9',
+};
+
+test('downgraded hits are forwarded without user agent, referer, country or client IP', async t => {
+  const sent = stubFetch(t);
+  await forwardPixelHit({ query: new URLSearchParams('event=render&privacy=downgraded'), headers: visitorHeaders });
+  await forwardPixelHit({ query: new URLSearchParams('event=render'), headers: visitorHeaders });
+
+  const [downgraded, allowed] = sent;
+  assert.equal(downgraded.url.searchParams.get('site'), 'https://www.example.com');
+  for (const key of ['ua', 'referer', 'country']) assert.equal(downgraded.url.searchParams.has(key), false, key);
+  assert.equal(downgraded.headers['X-Forwarded-For'], undefined);
+  assert.equal(allowed.url.searchParams.get('country'), 'DE');
+  assert.equal(allowed.headers['X-Forwarded-For'], '203.0.113.9');
+});
+
+test('an invalid pixelUrl resolves with an error instead of rejecting', async () => {
+  const result = await forwardPixelHit({ query: new URLSearchParams(), headers: {} }, { pixelUrl: 'not a url' });
+  assert.equal(result.ok, false);
+});
+
+test('oversized POST bodies are answered with 413 and not forwarded', async t => {
+  const sent = stubFetch(t);
+  const handler = createPixelProxyHandler({ maxBodySize: 16 });
+  const post = body => new Request('https://www.example.com/pixel.gif', { method: 'POST', body });
+  assert.equal((await handler(post('event=render'))).status, 204);
+  assert.equal((await handler(post('x'.repeat(17)))).status, 413);
+
+  const nodeHandler = createPixelProxyNodeHandler({ maxBodySize: 16 });
+  const res = { headers: {}, setHeader(key, value) { this.headers[key] = value; }, end() {} };
+  const req = Object.assign(Readable.from([Buffer.from('x'.repeat(10)), Buffer.from('x'.repeat(10))]), {
+    method: 'POST',
+    url: '/pixel.gif',
+    headers: {},
+  });
+  await nodeHandler(req, res);
+  assert.equal(res.statusCode, 413);
+  assert.equal(sent.length, 1);
+});
+
+test('an aborted POST is answered with 400 instead of rejecting the handler', async t => {
+  const sent = stubFetch(t);
+  const res = { headers: {}, setHeader(key, value) { this.headers[key] = value; }, end() {} };
+  const req = Object.assign(
+    new Readable({
+      read() {
+        this.push('event=');
+        this.destroy(new Error('aborted'));
+      },
+    }),
+    { method: 'POST', url: '/pixel.gif', headers: {} }
+  );
+  await createPixelProxyNodeHandler()(req, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(sent.length, 0);
+});
+
+test('the GIF is built without atob so the module loads on older Node versions', () => {
+  const { PIXEL_GIF } = require('../server/proxy');
+  assert.equal(Buffer.from(PIXEL_GIF).toString('base64'), 'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7');
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchRobotsPolicy, resolveRobotsPolicy } = require('../server/robots');
+
+const ROBOTS_TXT = 'User-agent: GPTBot\nDisallow: /private\n';
+
+function stubFetch(t) {
+  const fetched = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    fetched.push(new URL(url).pathname);
+    return new Response(ROBOTS_TXT);
+  });
+  return fetched;
+}
+
+test('fetchRobotsPolicy drops unsupported files with a warning instead of rejecting', async t => {
+  const fetched = stubFetch(t);
+  const warnings = [];
+  const logger = { warn: (...args) => warnings.push(args.join(' ')), info() {}, debug() {}, error() {} };
+
+  const policy = await fetchRobotsPolicy('https://www.example.com', { files: ['/robots.txt', '/humans.txt'], logger });
+  assert.deepEqual(fetched, ['/robots.txt']);
+  assert.equal(policy.check('GPTBot', '/private/a'), 'disallowed');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /unsupported robots policy file/);
+});
+
+test('resolveRobotsPolicy does not cache a failed fetch', async t => {
+  let online = false;
+  const fetched = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    fetched.push(new URL(url).pathname);
+    if (!online) throw new TypeError('fetch failed');
+    return new Response(ROBOTS_TXT);
+  });
+  const robots = { origin: 'https://www.example.com' };
+
+  const offline = await resolveRobotsPolicy(robots);
+  assert.deepEqual(offline.failed, ['/robots.txt']);
+  assert.equal(offline.check('GPTBot', '/private'), undefined);
+
+  online = true;
+  const policy = await resolveRobotsPolicy(robots);
+  assert.equal(policy.check('GPTBot', '/private'), 'disallowed');
+  assert.equal(await resolveRobotsPolicy(robots), policy);
+  assert.equal(fetched.length, 2);
+});
+
+test('a failed refresh keeps the last complete policy and retries', async t => {
+  let status = 200;
+  t.mock.method(globalThis, 'fetch', async () => new Response(ROBOTS_TXT, { status }));
+  const robots = { origin: 'https://www.example.com', ttl: 1 };
+
+  const policy = await resolveRobotsPolicy(robots);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  status = 503;
+  assert.equal(await resolveRobotsPolicy(robots), policy);
+  assert.equal(globalThis.fetch.mock.callCount(), 2);
+  assert.equal(await resolveRobotsPolicy(robots), policy);
+  assert.equal(globalThis.fetch.mock.callCount(), 3);
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackAIBotRequestForPixel } = require('../server');
+
+const botRequest = () => ({ url: '/docs', headers: { 'user-agent': 'GPTBot/1.1' } });
+
+// A pixel endpoint that only answers once `release` is called, and fails when aborted.
+function stallPixel(t) {
+  const calls = [];
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  t.mock.method(globalThis, 'fetch', (url, init) => {
+    calls.push(url);
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      released.then(() => resolve(new Response(null, { status: 204 })));
+    });
+  });
+  return { calls, release: () => release() };
+}
+
+test('waitUntil schedules the hit and resolves before the pixel request', async t => {
+  const pixel = stallPixel(t);
+  const scheduled = [];
+  const result = await trackAIBotRequestForPixel(botRequest(), { waitUntil: promise => scheduled.push(promise) });
+
+  assert.equal(result.triggered, false);
+  assert.equal(result.scheduled, true);
+  assert.equal(scheduled.length, 1);
+  assert.equal(scheduled[0], result.completion);
+
+  pixel.release();
+  const outcome = await result.completion;
+  assert.equal(outcome.triggered, true);
+  assert.equal(outcome.status, 204);
+});
+
+test('waitUntil accepts a context exposing waitUntil', async t => {
+  const pixel = stallPixel(t);
+  const scheduled = [];
+  const result = await trackAIBotRequestForPixel(botRequest(), { waitUntil: { waitUntil: promise => scheduled.push(promise) } });
+
+  assert.equal(result.scheduled, true);
+  assert.equal(scheduled.length, 1);
+  pixel.release();
+  assert.equal((await result.completion).triggered, true);
+});
+
+test('background hits resolve immediately and never reject', async t => {
+  t.mock.method(globalThis, 'fetch', async () => { throw new Error('network down'); });
+  const result = await trackAIBotRequestForPixel(botRequest(), { background: true });
+
+  assert.equal(result.scheduled, true);
+  const outcome = await result.completion;
+  assert.equal(outcome.triggered, false);
+  assert.equal(outcome.error, 'network down');
+});
+
+test('the pixel request is aborted after the timeout', async t => {
+  const pixel = stallPixel(t);
+  const errors = [];
+  const outcome = await trackAIBotRequestForPixel(botRequest(), { timeout: 20, onError: error => errors.push(error) });
+
+  assert.equal(pixel.calls.length, 1);
+  assert.equal(outcome.triggered, false);
+  assert.equal(outcome.timedOut, true);
+  assert.match(outcome.error, /timed out after 20ms/);
+  assert.equal(errors.length, 1);
+  pixel.release();
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRateLimiter, resolveDedupe } = require('../server/throttle');
+
+test('rate limit options built per request share one bucket', () => {
+  const take = () => resolveRateLimiter({ capacity: 2, refillPerSecond: 0.001, name: 'per-request' }).take();
+  assert.deepEqual([take(), take(), take()], [true, true, false]);
+  assert.equal(resolveRateLimiter({ capacity: 2, refillPerSecond: 0.001, name: 'other' }).take(), true);
+});
+
+test('dedupe options built per request share one store', async () => {
+  const claim = () => {
+    const dedupe = resolveDedupe({ window: 1000, name: 'per-request' });
+    return dedupe.store.claim('gptbot|/|203.0.113.1', dedupe.window);
+  };
+  assert.equal(await claim(), true);
+  assert.equal(await claim(), false);
+  assert.notEqual(resolveDedupe({ window: 2000 }).store, resolveDedupe({ window: 1000, name: 'per-request' }).store);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackAIBotRequestForPixel, trackAIBotResponseForPixel } = require('../server');
+
+// Stubs fetch and returns the query params of each pixel request.
+function capturePixelHits(t) {
+  const hits = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    hits.push(Object.fromEntries(new URL(url).searchParams));
+    return new Response(null, { status: 204 });
+  });
+  return hits;
+}
+
+const botRequest = (headers = {}) => ({
+  method: 'get',
+  url: 'https://example.com/docs/page?page=2&token=abc',
+  headers: { 'user-agent': 'GPTBot/1.1', ...headers },
+});
+
+test('hits record the page, method, redacted query and served response', async t => {
+  const hits = capturePixelHits(t);
+  await trackAIBotResponseForPixel(botRequest(), new Response('<p>hi</p>', { status: 200, headers: { 'content-type': 'text/html; charset=utf-8' } }), {
+    query: { allow: ['page'] },
+  });
+
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].path, '/docs/page');
+  assert.equal(hits[0].method, 'GET');
+  assert.equal(hits[0].query, 'page=2&token=redacted');
+  assert.equal(hits[0].http_status, '200');
+  assert.equal(hits[0].content_type, 'text/html');
+});
+
+test('suppressed hits carry no request or response details', async t => {
+  const hits = capturePixelHits(t);
+  await trackAIBotResponseForPixel(botRequest({ 'sec-gpc': '1', referer: 'https://chatgpt.com/' }), new Response(null, { status: 404 }), {
+    privacy: { respectGPC: true, action: 'suppress' },
+  });
+
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].event, 'suppressed');
+  assert.equal(hits[0].privacy, 'suppressed');
+  for (const key of ['path', 'query', 'method', 'http_status', 'content_type', 'ua', 'referer']) {
+    assert.equal(hits[0][key], undefined, key);
+  }
+});
+
+test('downgraded hits keep the page but drop the user agent', async t => {
+  const hits = capturePixelHits(t);
+  await trackAIBotRequestForPixel(botRequest({ 'sec-gpc': '1' }), { privacy: { respectGPC: true } });
+
+  assert.equal(hits[0].privacy, 'downgraded');
+  assert.equal(hits[0].path, '/docs/page');
+  assert.equal(hits[0].ua, undefined);
+});
+
+test('DNT is honored only when asked for and the decision is reported on the result', async t => {
+  const hits = capturePixelHits(t);
+  const dnt = await trackAIBotRequestForPixel(botRequest({ dnt: '1' }), { privacy: { respectDNT: true } });
+  const ignored = await trackAIBotRequestForPixel(botRequest({ dnt: '1' }), { privacy: { respectGPC: true } });
+  const unset = await trackAIBotRequestForPixel(botRequest({ dnt: '1' }));
+
+  assert.equal(dnt.privacy, 'downgraded');
+  assert.equal(hits[0].privacy_signal, 'dnt');
+  assert.equal(ignored.privacy, 'allowed');
+  assert.equal(hits[1].ua, 'GPTBot/1.1');
+  assert.equal(unset.privacy, undefined);
+  assert.equal(hits[2].privacy, undefined);
+});
+
+test('hits carry the assistant behind the visit and the first-touch cookie', async t => {
+  const hits = capturePixelHits(t);
+  const human = headers => ({ url: 'https://example.com/pricing', headers: { 'user-agent': 'Mozilla/5.0 (Macintosh)', ...headers } });
+
+  await trackAIBotRequestForPixel(human({ referer: 'https://www.perplexity.ai/search/x' }), { requireBotMatch: false });
+  await trackAIBotRequestForPixel({ ...human(), url: 'https://example.com/pricing?utm_source=chatgpt.com' }, { requireBotMatch: false });
+  await trackAIBotRequestForPixel(human({ referer: 'https://claude.ai/', cookie: 'theme=dark; bildit_ai_ref=chatgpt' }), { requireBotMatch: false });
+  await trackAIBotRequestForPixel(human({ referer: 'https://news.ycombinator.com/' }), { requireBotMatch: false });
+
+  assert.deepEqual(hits.map(hit => [hit.ai_referrer, hit.ai_referrer_current]), [
+    ['perplexity', 'perplexity'],
+    ['chatgpt', 'chatgpt'],
+    ['chatgpt', 'claude'],
+    [undefined, undefined],
+  ]);
+});
+
+test('AI referrals honour custom sources, aiReferrer: false and suppression', async t => {
+  const hits = capturePixelHits(t);
+  const request = botRequest({ referer: 'https://assist.example/chat' });
+
+  await trackAIBotRequestForPixel(request, { aiReferrer: { sources: { 'assist.example': 'in-house' } } });
+  await trackAIBotRequestForPixel(botRequest({ referer: 'https://chatgpt.com/' }), { aiReferrer: false });
+  await trackAIBotRequestForPixel(botRequest({ referer: 'https://chatgpt.com/', 'sec-gpc': '1' }), {
+    privacy: { respectGPC: true, action: 'suppress' },
+  });
+
+  assert.equal(hits[0].ai_referrer_current, 'in-house');
+  assert.equal(hits[1].ai_referrer, undefined);
+  assert.equal(hits[2].ai_referrer, undefined);
+});
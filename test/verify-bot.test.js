@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyAIBot } = require('../server/verify-bot');
+
+test('without supplied ranges a claimed bot verifies as unknown', async () => {
+  assert.equal(await verifyAIBot('openai-gptbot', '20.171.206.10'), 'unknown');
+});
+
+test('a generated entry is conclusive while fresh, an empty or stale one only on a match', async () => {
+  const prefixes = [{ ipv4Prefix: '20.171.206.0/24' }];
+  const entry = creationTime => ({ ipRanges: { 'openai-gptbot': { creationTime, prefixes } } });
+  const fresh = entry(new Date().toISOString());
+  assert.equal(await verifyAIBot('openai-gptbot', '20.171.206.10', fresh), true);
+  assert.equal(await verifyAIBot('openai-gptbot', '198.51.100.7', fresh), false);
+
+  const empty = { ipRanges: { 'openai-gptbot': { creationTime: new Date().toISOString(), prefixes: [] } } };
+  assert.equal(await verifyAIBot('openai-gptbot', '198.51.100.7', empty), 'unknown');
+
+  const stale = entry(new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString());
+  assert.equal(await verifyAIBot('openai-gptbot', '20.171.206.10', stale), true);
+  assert.equal(await verifyAIBot('openai-gptbot', '198.51.100.7', stale), 'unknown');
+  const longer = Object.assign({ maxSnapshotAge: 60 * 24 * 60 * 60 * 1000 }, stale);
+  assert.equal(await verifyAIBot('openai-gptbot', '198.51.100.7', longer), false);
+});
+
+test('ranges supplied by the caller are authoritative', async () => {
+  const ipRanges = { 'openai-gptbot': ['203.0.113.0/24'] };
+  assert.equal(await verifyAIBot('openai-gptbot', '203.0.113.5', { ipRanges }), true);
+  assert.equal(await verifyAIBot('openai-gptbot', '198.51.100.7', { ipRanges }), false);
+});
+
+test('the tracker does not verify against a spoofed X-Forwarded-For unless told to trust it', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+  const { trackAIBotRequestForPixel } = require('../server');
+  const ipRanges = { 'openai-gptbot': ['20.171.206.0/24'] };
+  const request = {
+    url: '/',
+    headers: { 'user-agent': 'Mozilla/5.0 (compatible; GPTBot/1.1; +https://openai.com/gptbot)', 'x-forwarded-for': '20.171.206.10' },
+    socket: { remoteAddress: '198.51.100.7' },
+  };
+
+  assert.equal((await trackAIBotRequestForPixel(request, { verify: { ipRanges } })).verified, false);
+  assert.equal((await trackAIBotRequestForPixel(request, { verify: { ipRanges, trustProxy: true } })).verified, true);
+  assert.equal(
+    (await trackAIBotRequestForPixel(request, { verify: { ipRanges, trustProxy: 'cf-connecting-ip' } })).verified,
+    'unknown'
+  );
+});